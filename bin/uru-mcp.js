@@ -17,6 +17,8 @@ const os = require('os');
 // Import our MCP server
 const UruMCPServer = require('../lib/mcp-server');
 const ConfigManager = require('../lib/config-manager');
+const { AuditLog } = require('../lib/audit-log');
+const { fingerprint } = require('../lib/key-fingerprint');
 
 const program = new Command();
 let activeServer = null;
@@ -28,10 +30,51 @@ program
     .version('3.6.8')
     .option('-k, --key <key>', 'Authentication token')
     .option('-d, --debug', 'Enable debug mode')
+    .option('--log-level <level>', 'Lowest log level written: debug, info, warning, error, ...')
+    .option('--log-format <format>', 'stderr log format: text or json (default: text)')
+    .option('--log-file <path>', 'Also append JSON-lines logs to this file (rotated by size)')
+    .option('--log-payloads', 'Log tool arguments and proxy payloads (redacted, size-capped)')
     .option(
         '-p, --proxy-url <url>',
         'MCP proxy URL (default: https://mcp.uruintelligence.com)'
     )
+    .option('-t, --transport <type>', 'Transport to serve: stdio or http (default: stdio)')
+    .option('--port <port>', 'Port for the Streamable HTTP transport (default: 3000)')
+    .option('--host <host>', 'Host for the Streamable HTTP transport (default: 127.0.0.1)')
+    .option('--http-max-body-bytes <bytes>', 'Largest HTTP request body accepted (default: 4194304)')
+    .option(
+        '--http-allow-default-token',
+        'Let HTTP requests without a bearer token use the configured API key'
+    )
+    .option('--metrics-port <port>', 'Serve Prometheus metrics on this port at /metrics')
+    .option('--metrics-host <host>', 'Host for the metrics endpoint (default: 127.0.0.1)')
+    .option('--trace-exporter <exporter>', 'OpenTelemetry spans: none, console, file or otlp')
+    .option('--trace-endpoint <url>', 'OTLP/HTTP collector (default: http://localhost:4318)')
+    .option('--trace-file <path>', 'Spans file for the file exporter (default: ~/.uru-mcp/traces.jsonl)')
+    .option('--prompts-dir <dir>', 'Directory of YAML/Markdown prompt templates')
+    .option('--pipelines-dir <dir>', 'Directory of YAML/JSON multi-step pipeline definitions')
+    .option('--cache-dir <dir>', 'Directory for the on-disk catalog cache (default: ~/.uru-mcp/cache)')
+    .option('--no-persist-catalog', 'Do not persist the tool catalog to disk')
+    .option(
+        '--tool-exposure <mode>',
+        'tools/list exposure: hierarchical, flat or hybrid (default: hierarchical)'
+    )
+    .option('--policy <file>', 'YAML/JSON allow/deny policy for namespaces and tools')
+    .option('--confirm-tools <patterns>', 'Tools that need human confirmation (comma-separated globs)')
+    .option('--offline', 'Serve the cached catalog only; refuse tools that are not read-only')
+    .option('--queue-offline-writes', 'Queue write operations while offline and replay them later')
+    .option('--audit-file <path>', 'Tool execution audit log (default: ~/.uru-mcp/audit.jsonl)')
+    .option('--no-audit-log', 'Do not record tool executions in the audit log')
+    .option('--audit', 'Query the tool execution audit log and exit')
+    .option('--since <time>', 'With --audit: records since an ISO date or e.g. 30m, 12h, 7d')
+    .option('--until <time>', 'With --audit: records until an ISO date or relative time')
+    .option('--namespace <glob>', 'With --audit: only these namespaces')
+    .option('--tool <glob>', 'With --audit: only these tools')
+    .option('--audit-account <id>', 'With --audit: only this connected account')
+    .option('--outcome <outcome>', 'With --audit: success, error, cancelled or accepted')
+    .option('--limit <n>', 'With --audit: only the last n records')
+    .option('--format <format>', 'With --audit: table, jsonl or csv (default: table)')
+    .option('--output <file>', 'With --audit: export to a file instead of stdout')
     .option('--setup', 'Run interactive setup wizard')
     .option('--test', 'Test connection to backend')
     .option('--claude-config', 'Show MCP client configuration examples')
@@ -44,15 +87,58 @@ Examples:
   $ npx uru-mcp --claude-config            # Show MCP client config
   $ npx uru-mcp --key your-api-key-here    # Start MCP server
   $ npx uru-mcp --proxy-url http://localhost:3001  # Use development proxy
+  $ npx uru-mcp --transport http --port 3000       # Shared Streamable HTTP gateway
+  $ npx uru-mcp --audit --since 24h --outcome error # Failed tool calls of the last day
+  $ npx uru-mcp --audit --format csv --output audit.csv  # Export the audit log
+  $ npx uru-mcp --trace-exporter file --trace-file traces.jsonl  # Record spans locally
 
 Environment Variables:
   URU_API_KEY        Authentication API key (required)
   URU_DEBUG          Enable debug mode (true/false)
+  URU_LOG_LEVEL      Lowest log level written (default: debug with --debug, otherwise warning)
+  URU_LOG_FORMAT     stderr log format: text or json (default: text)
+  URU_LOG_FILE       Also append JSON-lines logs to this file (rotated by size)
+  URU_LOG_FILE_MAX_BYTES  Rotate the log file past this size (default 10485760)
+  URU_LOG_FILE_MAX_FILES  Rotated log files kept (default 5)
+  URU_AUDIT_LOG      Set to false to stop recording tool executions in the audit log
+  URU_AUDIT_FILE     Tool execution audit log (default: ~/.uru-mcp/audit.jsonl)
+  URU_LOG_PAYLOADS   Log tool arguments and proxy payloads in debug logs (true/false)
+  URU_LOG_PAYLOAD_MAX_CHARS  Logged payloads are cut at this length (default 2000)
+  URU_LOG_REDACT_PATTERNS  Extra PII regexes masked in logs (JSON array)
   URU_PROXY_URL      MCP proxy URL (default: https://mcp.uruintelligence.com)
   URU_ENABLE_TOOL_LIST_CHANGED  Enable live tools/list_changed notifications (default: true)
+  URU_PROMPTS_DIR    Directory of YAML/Markdown prompt templates
+  URU_PIPELINES_DIR  Directory of YAML/JSON multi-step pipeline definitions
+  URU_PERSIST_CATALOG  Persist the tool catalog to disk for instant startup (default: true)
+  URU_CACHE_DIR      Directory for the on-disk catalog cache (default: ~/.uru-mcp/cache)
+  URU_OFFLINE        Start in offline mode (true/false)
+  URU_POLICY_FILE    YAML/JSON allow/deny policy for namespaces and tools
+  URU_CONFIRM_TOOLS  Tools that need human confirmation (comma-separated globs)
+  URU_CONFIRM_DESTRUCTIVE  Set to false to skip confirmation of destructiveHint tools
+  URU_MAX_RESULT_CHARS  Longer tool results are truncated and paged (default 100000, 0 = off)
+  URU_JOB_MODE       Background jobs: wait (poll until done) or handle (return the job id)
+  URU_JOB_WAIT_MS    How long to wait for a background job before returning its id (default 600000)
+  URU_MAX_TENANTS    API keys whose caches are kept in memory (default 50)
+  URU_BATCH_CONCURRENCY  Calls an execute_batch request runs at once (default 5)
+  URU_PROGRESS_INTERVAL_MS  Interval of progress notifications during tool calls (default 5000)
+  URU_MAX_INLINE_FILE_BYTES  Larger result files are linked instead of inlined (default 1048576)
+  URU_TOOL_EXPOSURE  tools/list exposure: hierarchical, flat or hybrid (default: hierarchical)
+  URU_PINNED_NAMESPACES  Namespaces listed with real tools in hybrid mode (comma-separated)
+  URU_QUEUE_OFFLINE_WRITES  Queue writes while offline and replay them later (true/false)
+  URU_TRANSPORT      Transport to serve: stdio or http (default: stdio)
+  URU_HOST           Host for the HTTP transport (default: 127.0.0.1)
+  URU_PORT           Port for the HTTP transport (default: 3000)
+  URU_HTTP_MAX_BODY_BYTES  Largest HTTP request body accepted (default 4194304)
+  URU_HTTP_ALLOW_DEFAULT_TOKEN  Let HTTP requests without a bearer token use URU_API_KEY (true/false)
+  URU_METRICS_PORT   Serve Prometheus metrics on this port at /metrics (off by default)
+  URU_METRICS_HOST   Host for the metrics endpoint (default: 127.0.0.1)
+  URU_TRACE_EXPORTER OpenTelemetry spans: none, console, file or otlp (or OTEL_TRACES_EXPORTER)
+  URU_TRACE_ENDPOINT OTLP/HTTP collector (or OTEL_EXPORTER_OTLP_ENDPOINT; default localhost:4318)
+  URU_TRACE_FILE     Spans file for the file exporter (default: ~/.uru-mcp/traces.jsonl)
+  OTEL_SERVICE_NAME  service.name of exported spans (default: uru-mcp)
 
 MCP Protocol:
-  Transport: STDIO (JSON-RPC 2.0)
+  Transport: STDIO or Streamable HTTP (JSON-RPC 2.0)
   Capabilities: Tools, Logging
   Backend: Configurable (production or development)
 
@@ -82,6 +168,11 @@ async function main() {
             return;
         }
 
+        if (options.audit) {
+            await queryAuditLog();
+            return;
+        }
+
         if (options.claudeConfig) {
             console.log(chalk.blue.bold('Uru MCP'));
             console.log(chalk.gray('Connecting Uru Platform to Claude Desktop\n'));
@@ -118,13 +209,22 @@ async function main() {
             console.error(chalk.gray(`   Proxy: ${config.proxyUrl}`));
             console.error(
                 chalk.gray(
-                    `   Token: ${
+                    `   Token fingerprint: ${
                         config.token
-                            ? config.token.substring(0, 20) + '...'
+                            ? fingerprint(config.token)
                             : 'none (will use per-request API keys)'
                     }`
                 )
             );
+            console.error(
+                chalk.gray(
+                    `   Transport: ${
+                        config.transport === 'http'
+                            ? `http://${config.host}:${config.port}/mcp`
+                            : 'stdio'
+                    }`
+                )
+            );
             console.error(chalk.gray(`   Debug: enabled`));
             console.error();
         }
@@ -233,6 +333,60 @@ async function testConnection() {
     }
 }
 
+async function queryAuditLog() {
+    const configManager = new ConfigManager();
+    const config = await configManager.loadConfig(options);
+    const auditLog = new AuditLog({ file: config.auditFile });
+    const format = options.format || 'table';
+    if (!['table', 'jsonl', 'csv'].includes(format)) {
+        throw new Error("Audit format must be 'table', 'jsonl' or 'csv'");
+    }
+
+    const records = await auditLog.query({
+        since: options.since,
+        until: options.until,
+        namespace: options.namespace,
+        tool: options.tool,
+        connectedAccountId: options.auditAccount,
+        outcome: options.outcome,
+        limit: options.limit,
+    });
+
+    if (format === 'table' && !options.output) {
+        console.log(chalk.gray(`${records.length} records in ${auditLog.file}\n`));
+        for (const record of records) {
+            const outcome =
+                record.outcome === 'success'
+                    ? chalk.green(record.outcome)
+                    : record.outcome === 'error'
+                      ? chalk.red(record.outcome)
+                      : chalk.yellow(record.outcome);
+            console.log(
+                `${record.timestamp}  ${outcome}  ${record.namespace}__${record.tool}  ` +
+                    chalk.gray(
+                        `${record.duration_ms}ms account=${record.connected_account_id || '-'} ` +
+                            `log_id=${record.log_id || '-'}`
+                    )
+            );
+            if (record.error) {
+                console.log(chalk.gray(`    ${record.error}`));
+            }
+        }
+        return;
+    }
+
+    const text =
+        format === 'csv'
+            ? AuditLog.toCsv(records)
+            : records.map(record => JSON.stringify(record)).join('\n');
+    if (options.output) {
+        await fs.writeFile(options.output, `${text}\n`);
+        console.log(chalk.green(`Exported ${records.length} audit records to ${options.output}`));
+    } else {
+        console.log(text);
+    }
+}
+
 function showClaudeConfig() {
     console.log(chalk.yellow('📋 MCP Client Configuration Examples\n'));
 
@@ -0,0 +1,198 @@
+/**
+ * Audit Log - append-only record of every tool execution
+ *
+ * `executeToolOnProxy` appends one JSON line per call to `audit.jsonl`:
+ *
+ * ```json
+ * {"timestamp":"...","namespace":"gmail_work","connected_account_id":"ca_123",
+ *  "tool":"GMAIL_SEND_EMAIL","params_hash":"sha256:...","outcome":"success",
+ *  "duration_ms":812,"log_id":"log_abc","key_fingerprint":"1f2e..."}
+ * ```
+ *
+ * Parameters are never stored, only a hash of their redacted, key-sorted
+ * JSON. Outcomes are success, error, cancelled or accepted (a background
+ * job; its id is kept as job_id). `uru-mcp --audit` queries and exports the
+ * file.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { canonicalJson } = require('./canonical-json');
+const { fingerprint } = require('./key-fingerprint');
+const { globToRegExp } = require('./tool-policy');
+
+const AUDIT_OUTCOMES = ['success', 'error', 'cancelled', 'accepted'];
+const CSV_COLUMNS = [
+    'timestamp',
+    'namespace',
+    'connected_account_id',
+    'tool',
+    'params_hash',
+    'outcome',
+    'duration_ms',
+    'log_id',
+    'job_id',
+    'key_fingerprint',
+    'error',
+];
+const RELATIVE_TIME = /^(\d+)\s*(m|h|d)$/i;
+const RELATIVE_UNITS_MS = { m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Audit Log - JSONL writer and query
+ */
+class AuditLog {
+    /**
+     * @param {object} config
+     * @param {string} config.file - JSONL file (default ~/.uru-mcp/audit.jsonl)
+     * @param {LogRedactor} config.redactor - Applied to parameters before hashing
+     */
+    constructor(config = {}) {
+        this.file = config.file || AuditLog.getDefaultFile();
+        this.redactor = config.redactor || null;
+        this.logger = config.log || null;
+        this.writePromise = Promise.resolve();
+    }
+
+    static getDefaultFile() {
+        return path.join(os.homedir(), '.uru-mcp', 'audit.jsonl');
+    }
+
+    /**
+     * sha256 of the redacted, key-sorted parameters
+     */
+    hashParameters(parameters) {
+        const json = canonicalJson(parameters || {});
+        const redacted = this.redactor ? this.redactor.redact(json) : json;
+        return `sha256:${crypto.createHash('sha256').update(redacted).digest('hex')}`;
+    }
+
+    /**
+     * Append a record for one execution; appends are serialized and never throw
+     * @param {object} call - { namespace, connectedAccountId, tool, parameters,
+     *   outcome, durationMs, logId, jobId, apiKey, error }
+     */
+    record(call) {
+        const record = {
+            timestamp: new Date().toISOString(),
+            namespace: call.namespace || null,
+            connected_account_id: call.connectedAccountId || null,
+            tool: call.tool,
+            params_hash: this.hashParameters(call.parameters),
+            outcome: call.outcome,
+            duration_ms: call.durationMs,
+            log_id: call.logId || null,
+        };
+        if (call.jobId) {
+            record.job_id = call.jobId;
+        }
+        if (call.apiKey) {
+            record.key_fingerprint = fingerprint(call.apiKey);
+        }
+        if (call.error) {
+            const message = String(call.error).slice(0, 500);
+            record.error = this.redactor ? this.redactor.redact(message) : message;
+        }
+
+        this.writePromise = this.writePromise.then(async () => {
+            try {
+                await fs.ensureDir(path.dirname(this.file));
+                await fs.appendFile(this.file, `${JSON.stringify(record)}\n`, { mode: 0o600 });
+            } catch (error) {
+                this.log(`❌ Failed to write audit record: ${error.message}`, 'error');
+            }
+        });
+        return this.writePromise;
+    }
+
+    /**
+     * Records matching every given filter, oldest first
+     * @param {object} filters - { since, until, namespace, tool, outcome,
+     *   connectedAccountId, limit }. since/until take an ISO date or a relative
+     *   time such as 30m, 12h or 7d; namespace and tool take globs.
+     */
+    async query(filters = {}) {
+        await this.writePromise;
+        if (!(await fs.pathExists(this.file))) {
+            return [];
+        }
+
+        const since = filters.since ? parseTime(filters.since) : null;
+        const until = filters.until ? parseTime(filters.until) : null;
+        const namespace = filters.namespace ? globToRegExp(filters.namespace) : null;
+        const tool = filters.tool ? globToRegExp(filters.tool) : null;
+        if (filters.outcome && !AUDIT_OUTCOMES.includes(filters.outcome)) {
+            throw new Error(`Outcome must be one of ${AUDIT_OUTCOMES.join(', ')}`);
+        }
+
+        const records = [];
+        const lines = (await fs.readFile(this.file, 'utf8')).split('\n');
+        for (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                // A torn last line from a crash; skip it
+                continue;
+            }
+            const time = Date.parse(record.timestamp);
+            if (
+                (since !== null && time < since) ||
+                (until !== null && time > until) ||
+                (namespace && !namespace.test(record.namespace || '')) ||
+                (tool && !tool.test(record.tool || '')) ||
+                (filters.outcome && record.outcome !== filters.outcome) ||
+                (filters.connectedAccountId &&
+                    record.connected_account_id !== filters.connectedAccountId)
+            ) {
+                continue;
+            }
+            records.push(record);
+        }
+
+        const limit = Number(filters.limit);
+        return Number.isInteger(limit) && limit > 0 ? records.slice(-limit) : records;
+    }
+
+    /**
+     * Records as CSV with a header row
+     */
+    static toCsv(records) {
+        const cell = value => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [
+            CSV_COLUMNS.join(','),
+            ...records.map(record => CSV_COLUMNS.map(column => cell(record[column])).join(',')),
+        ].join('\n');
+    }
+
+    log(message, level = 'info') {
+        if (this.logger) {
+            this.logger(message, level);
+        }
+    }
+}
+
+/**
+ * Milliseconds since the epoch for an ISO date or a relative time (30m, 12h, 7d)
+ */
+function parseTime(value) {
+    const relative = String(value).trim().match(RELATIVE_TIME);
+    if (relative) {
+        return Date.now() - Number(relative[1]) * RELATIVE_UNITS_MS[relative[2].toLowerCase()];
+    }
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid time '${value}': use an ISO date or e.g. 30m, 12h, 7d`);
+    }
+    return time;
+}
+
+module.exports = { AuditLog, AUDIT_OUTCOMES };
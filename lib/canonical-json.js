@@ -0,0 +1,28 @@
+/**
+ * Canonical JSON - key-sorted JSON for hashing
+ *
+ * Audit parameter hashes and confirm token digests both hash parameters with
+ * this helper, so the same call always produces the same digest regardless of
+ * key order.
+ */
+
+/**
+ * JSON with object keys sorted and undefined values dropped
+ * @param {any} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+module.exports = { canonicalJson };
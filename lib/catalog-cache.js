@@ -0,0 +1,231 @@
+/**
+ * Persistent Catalog Cache for Uru MCP
+ *
+ * Saves the namespace catalog and per-app tool lists to disk so a restarted
+ * server can answer tools/list immediately, then revalidate against
+ * `/tools/sync/version` in the background. Snapshots are keyed by proxy URL
+ * and a fingerprint of the API key; the key itself is never written.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { fingerprint } = require('./key-fingerprint');
+const { Logger } = require('./logger');
+
+const SNAPSHOT_FORMAT = 1;
+
+/**
+ * Catalog Cache - one JSON snapshot file per (proxy URL, API key) pair
+ */
+class CatalogCache {
+    constructor(config = {}) {
+        this.cacheDir = config.cacheDir || CatalogCache.getDefaultCacheDir();
+        this.proxyUrl = config.proxyUrl;
+        this.debug = config.debug || false;
+        this.logger = config.logger || new Logger({ level: this.debug ? 'debug' : 'warning' });
+        this.writeDelayMs = config.writeDelayMs ?? 1000;
+
+        // In-memory snapshots by cache key, flushed to disk after writeDelayMs
+        this.snapshots = new Map();
+        this.cacheFiles = new Map();
+        this.pendingWrites = new Map();
+        this.toolsVersion = 0;
+    }
+
+    /**
+     * Default cache directory under the user's config directory
+     */
+    static getDefaultCacheDir() {
+        return path.join(os.homedir(), '.uru-mcp', 'cache');
+    }
+
+    getCacheKey(apiKey) {
+        return crypto
+            .createHash('sha256')
+            .update(`${this.proxyUrl}\n${fingerprint(apiKey)}`)
+            .digest('hex')
+            .slice(0, 24);
+    }
+
+    getCacheFile(apiKey) {
+        return path.join(this.cacheDir, `catalog-${this.getCacheKey(apiKey)}.json`);
+    }
+
+    /**
+     * Load the snapshot for an API key
+     * @returns {Promise<object|null>} Snapshot with namespaces, tools and toolsVersion
+     */
+    async load(apiKey) {
+        if (!apiKey) {
+            return null;
+        }
+
+        const cacheFile = this.getCacheFile(apiKey);
+        try {
+            if (!(await fs.pathExists(cacheFile))) {
+                return null;
+            }
+
+            const snapshot = await fs.readJson(cacheFile);
+            if (
+                !snapshot ||
+                snapshot.format !== SNAPSHOT_FORMAT ||
+                snapshot.proxyUrl !== this.proxyUrl ||
+                snapshot.keyFingerprint !== fingerprint(apiKey) ||
+                !Array.isArray(snapshot.namespaces)
+            ) {
+                this.log(`⚠️ Ignoring incompatible catalog snapshot: ${cacheFile}`, 'warn');
+                return null;
+            }
+
+            snapshot.tools = snapshot.tools || {};
+            this.snapshots.set(this.getCacheKey(apiKey), snapshot);
+            this.log(
+                `✅ Loaded catalog snapshot (${snapshot.namespaces.length} namespaces, saved ${snapshot.savedAt})`
+            );
+            return snapshot;
+        } catch (error) {
+            this.log(`⚠️ Failed to read catalog snapshot: ${error.message}`, 'warn');
+            return null;
+        }
+    }
+
+    /**
+     * Tool list recorded for an app, or null when it was never fetched
+     */
+    getTools(apiKey, appName) {
+        if (!apiKey) {
+            return null;
+        }
+        const snapshot = this.snapshots.get(this.getCacheKey(apiKey));
+        return snapshot?.tools?.[appName] || null;
+    }
+
+    /**
+     * Record a freshly fetched namespace list
+     */
+    recordNamespaces(apiKey, namespaces) {
+        this.update(apiKey, snapshot => {
+            snapshot.namespaces = namespaces;
+        });
+    }
+
+    /**
+     * Record a freshly fetched tool list for one app
+     */
+    recordTools(apiKey, appName, tools) {
+        this.update(apiKey, snapshot => {
+            snapshot.tools[appName] = tools;
+        });
+    }
+
+    /**
+     * Tools version the recorded catalog belongs to
+     */
+    setToolsVersion(version) {
+        this.toolsVersion = Number(version) || 0;
+
+        // Catalogs recorded before the first version poll belong to this version
+        for (const [key, snapshot] of this.snapshots) {
+            if (!snapshot.toolsVersion && this.toolsVersion && this.cacheFiles.has(key)) {
+                snapshot.toolsVersion = this.toolsVersion;
+                this.scheduleWrite(key, this.cacheFiles.get(key));
+            }
+        }
+    }
+
+    /**
+     * Drop recorded catalogs after a tools version change so stale tool lists
+     * are not written alongside the new version
+     */
+    invalidate() {
+        for (const snapshot of this.snapshots.values()) {
+            snapshot.tools = {};
+        }
+    }
+
+    update(apiKey, mutate) {
+        if (!apiKey) {
+            return;
+        }
+
+        const key = this.getCacheKey(apiKey);
+        const snapshot = this.snapshots.get(key) || {
+            format: SNAPSHOT_FORMAT,
+            proxyUrl: this.proxyUrl,
+            keyFingerprint: fingerprint(apiKey),
+            namespaces: [],
+            tools: {},
+        };
+        mutate(snapshot);
+        snapshot.toolsVersion = this.toolsVersion;
+        snapshot.savedAt = new Date().toISOString();
+        this.snapshots.set(key, snapshot);
+        this.cacheFiles.set(key, this.getCacheFile(apiKey));
+        this.scheduleWrite(key, this.cacheFiles.get(key));
+    }
+
+    /**
+     * Coalesce bursts of updates (e.g. parallel namespace loads) into one write
+     */
+    scheduleWrite(key, cacheFile) {
+        if (this.pendingWrites.has(key)) {
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            this.pendingWrites.delete(key);
+            void this.write(key, cacheFile);
+        }, this.writeDelayMs);
+        if (typeof timer.unref === 'function') {
+            timer.unref();
+        }
+        this.pendingWrites.set(key, { timer, cacheFile });
+    }
+
+    /**
+     * Atomically write a snapshot (temp file + rename), readable only by the user
+     */
+    async write(key, cacheFile) {
+        const snapshot = this.snapshots.get(key);
+        if (!snapshot) {
+            return;
+        }
+
+        const tempFile = `${cacheFile}.${process.pid}.tmp`;
+        try {
+            await fs.ensureDir(this.cacheDir);
+            await fs.writeJson(tempFile, snapshot, { mode: 0o600 });
+            await fs.move(tempFile, cacheFile, { overwrite: true });
+            this.log(`💾 Saved catalog snapshot: ${cacheFile}`);
+        } catch (error) {
+            this.log(`⚠️ Failed to save catalog snapshot: ${error.message}`, 'warn');
+            await fs.remove(tempFile).catch(() => {});
+        }
+    }
+
+    /**
+     * Write any pending snapshots immediately (on shutdown)
+     */
+    async flush() {
+        const pending = Array.from(this.pendingWrites.entries());
+        this.pendingWrites.clear();
+        await Promise.all(
+            pending.map(([key, { timer, cacheFile }]) => {
+                clearTimeout(timer);
+                return this.write(key, cacheFile);
+            })
+        );
+    }
+
+    /**
+     * Logging helper
+     */
+    log(message, level = 'info') {
+        this.logger.log(message, level, 'CatalogCache');
+    }
+}
+
+module.exports = { CatalogCache };
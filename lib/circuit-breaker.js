@@ -0,0 +1,241 @@
+/**
+ * Circuit Breaker for Uru MCP proxy calls
+ *
+ * Wraps every call to the proxy. After `failureThreshold` consecutive
+ * failures (network errors or 5xx responses, except tool errors the proxy
+ * relays) the circuit opens and calls fail fast instead of waiting out the
+ * full request timeout. Once `resetTimeoutMs`
+ * has elapsed, a single `/health` probe decides whether to close the circuit
+ * (half-open state) or keep it open for another period.
+ */
+
+const STATE_CLOSED = 'closed';
+const STATE_OPEN = 'open';
+const STATE_HALF_OPEN = 'half_open';
+
+/**
+ * Circuit Breaker - closed / open / half-open state machine
+ */
+class CircuitBreaker {
+    constructor(config = {}) {
+        this.failureThreshold = config.failureThreshold || 5;
+        this.resetTimeoutMs = config.resetTimeoutMs || 30000;
+        this.probe = config.probe || null;
+        this.logger = config.log || null;
+        // Called with (result, error) after every call, e.g. to count statuses
+        this.observer = config.observe || null;
+
+        this.state = STATE_CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = 0;
+        this.probePromise = null;
+
+        this.stats = {
+            opened: 0,
+            rejected: 0,
+            probes: 0,
+            failedProbes: 0,
+        };
+    }
+
+    /**
+     * Run an operation through the breaker
+     * @param {() => Promise<any>} operation
+     * @param {string} description - Label used in errors and logs
+     */
+    async execute(operation, description = 'proxy request') {
+        if (this.state !== STATE_CLOSED) {
+            try {
+                await this.ensureAvailable(description);
+            } catch (error) {
+                this.notify(null, error);
+                throw error;
+            }
+        }
+
+        try {
+            const result = await operation();
+            this.recordSuccess();
+            this.notify(result, null);
+            return result;
+        } catch (error) {
+            this.notify(null, error);
+            if (this.isFailure(error)) {
+                this.recordFailure(description, error);
+            } else if (!error?.circuitOpen && !this.isCancellation(error)) {
+                // The proxy answered (e.g. 4xx), so it is reachable
+                this.recordSuccess();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fail fast while open; probe /health once the reset timeout has elapsed
+     */
+    async ensureAvailable(description) {
+        const elapsed = Date.now() - this.openedAt;
+        if (this.state === STATE_OPEN && elapsed < this.resetTimeoutMs) {
+            this.stats.rejected++;
+            throw this.createOpenError(description, this.resetTimeoutMs - elapsed);
+        }
+
+        if (!this.probe) {
+            // Without a probe, let the next real call act as the trial request
+            this.state = STATE_HALF_OPEN;
+            return;
+        }
+
+        if (!this.probePromise) {
+            this.state = STATE_HALF_OPEN;
+            this.stats.probes++;
+            this.log('🩺 Circuit half-open: probing proxy health...');
+            this.probePromise = (async () => {
+                try {
+                    await this.probe();
+                    this.log('✅ Proxy health probe succeeded; closing circuit');
+                    this.close();
+                    return true;
+                } catch (error) {
+                    this.stats.failedProbes++;
+                    this.log(
+                        `❌ Proxy health probe failed: ${error.message}; circuit stays open`,
+                        'warn'
+                    );
+                    this.open();
+                    return false;
+                } finally {
+                    this.probePromise = null;
+                }
+            })();
+        }
+
+        if (!(await this.probePromise)) {
+            this.stats.rejected++;
+            throw this.createOpenError(description, this.resetTimeoutMs);
+        }
+    }
+
+    /**
+     * A call aborted by the client says nothing about the proxy's health
+     */
+    isCancellation(error) {
+        return Boolean(error?.cancelled) || error?.code === 'ERR_CANCELED';
+    }
+
+    /**
+     * Network errors, timeouts and 5xx responses count as failures. A 5xx
+     * carrying a tool error envelope (`successful: false`) is one tool's
+     * upstream failing; the proxy itself answered, so it does not count.
+     */
+    isFailure(error) {
+        if (!error || error.circuitOpen || this.isCancellation(error)) {
+            return false;
+        }
+        if (error.response) {
+            return error.response.status >= 500 && !this.isToolError(error.response.data);
+        }
+        return Boolean(error.code) && typeof error.code === 'string';
+    }
+
+    isToolError(data) {
+        return (
+            Boolean(data) &&
+            typeof data === 'object' &&
+            (data.successful === false || data.success === false)
+        );
+    }
+
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+        if (this.state !== STATE_CLOSED) {
+            this.close();
+        }
+    }
+
+    recordFailure(description, error) {
+        this.consecutiveFailures++;
+        if (
+            this.state === STATE_HALF_OPEN ||
+            (this.state === STATE_CLOSED &&
+                this.consecutiveFailures >= this.failureThreshold)
+        ) {
+            this.log(
+                `🚫 Opening circuit after ${this.consecutiveFailures} consecutive failures (last: ${description}: ${error.message})`,
+                'warn'
+            );
+            this.open();
+        }
+    }
+
+    open() {
+        if (this.state !== STATE_OPEN) {
+            this.stats.opened++;
+        }
+        this.state = STATE_OPEN;
+        this.openedAt = Date.now();
+    }
+
+    close() {
+        this.state = STATE_CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = 0;
+    }
+
+    /**
+     * True while calls are being rejected without reaching the proxy
+     */
+    isOpen() {
+        return this.state !== STATE_CLOSED;
+    }
+
+    /**
+     * Error thrown while the circuit is open. Carries an MCP error code so the
+     * server can surface it as a clear tool error.
+     */
+    createOpenError(description, retryAfterMs) {
+        const retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+        const error = new Error(
+            `Uru Platform is temporarily unavailable; skipped ${description} (retrying in ${retryAfterSeconds}s)`
+        );
+        error.code = -32003;
+        error.circuitOpen = true;
+        error.data = {
+            code: 'proxy_unavailable',
+            retryable: true,
+            retry_after_ms: retryAfterMs,
+            tip: `The proxy failed ${this.failureThreshold} times in a row. Wait about ${retryAfterSeconds}s and try again.`,
+        };
+        return error;
+    }
+
+    /**
+     * Get breaker statistics
+     */
+    getStats() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            ...this.stats,
+        };
+    }
+
+    notify(result, error) {
+        if (!this.observer) {
+            return;
+        }
+        try {
+            this.observer(result, error);
+        } catch (observerError) {
+            this.log(`⚠️ Circuit observer failed: ${observerError.message}`, 'warn');
+        }
+    }
+
+    log(message, level = 'info') {
+        if (this.logger) {
+            this.logger(message, level);
+        }
+    }
+}
+
+module.exports = { CircuitBreaker };
@@ -11,6 +11,8 @@
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const { Logger, LOG_LEVELS } = require('./logger');
+const { TRACE_EXPORTERS } = require('./tracing');
 require('dotenv').config();
 
 class ConfigManager {
@@ -38,12 +40,82 @@ class ConfigManager {
             // Standardize all MCP timeouts to 3 minutes (180000 ms)
             timeout: 180000,
             retries: 3,
+            // Execute calls are not idempotent; retry them only when opted in
+            retryExecute: false,
+            // Circuit breaker: open after N consecutive proxy failures
+            circuitFailureThreshold: 5,
+            circuitResetMs: 30000,
             cacheTimeout: 30000,
             toolSyncPollMs: 60000,
             enableToolListChanged: true,
+            // Validate execute_tool parameters against cached tool schemas
+            validateToolParameters: true,
+            // Transport: 'stdio' (default) or 'http' (Streamable HTTP gateway)
+            transport: 'stdio',
+            host: '127.0.0.1',
+            port: 3000,
+            // HTTP request bodies over this size are answered with 413
+            httpMaxBodyBytes: 4194304,
+            // Let HTTP requests without a bearer token use the configured token
+            httpAllowDefaultToken: false,
+            // Prometheus metrics endpoint (GET /metrics); off unless a port is set
+            metricsPort: null,
+            metricsHost: '127.0.0.1',
+            // OpenTelemetry span exporter: 'none', 'console', 'file' or 'otlp'
+            traceExporter: 'none',
+            traceFile: null,
+            traceEndpoint: 'http://localhost:4318',
+            traceServiceName: 'uru-mcp',
+            // Optional directory of YAML/Markdown prompt templates
+            promptsDir: null,
+            // Log level (defaults to 'debug' with --debug, otherwise 'warning'),
+            // stderr format ('text' or 'json') and an optional rotating JSON-lines file
+            logLevel: null,
+            logFormat: 'text',
+            logFile: null,
+            logFileMaxBytes: 10485760,
+            logFileMaxFiles: 5,
+            // Append-only JSONL record of every tool execution (~/.uru-mcp/audit.jsonl)
+            auditLog: true,
+            auditFile: null,
+            // Debug logs omit tool arguments and proxy payloads unless logPayloads is on
+            logPayloads: false,
+            logPayloadMaxChars: 2000,
+            // Extra PII regular expressions masked in debug logs
+            logRedactPatterns: [],
+            // Directory of YAML/JSON pipeline definitions (pipeline__{name} tools)
+            pipelinesDir: null,
+            // Persist the tool catalog on disk for instant startup
+            persistCatalog: true,
+            cacheDir: null,
+            // Offline mode: serve the cached catalog and refuse (or queue) writes
+            offline: false,
+            queueOfflineWrites: false,
+            // Optional YAML/JSON allow/deny policy for namespaces and tools
+            policyFile: null,
+            // Tools that need human confirmation (globs), plus destructiveHint tools
+            confirmTools: [],
+            confirmDestructive: true,
+            // Longer result text is truncated; the rest is read with uru__read_result
+            maxResultChars: 100000,
+            // Background jobs (202 + job id): 'wait' polls up to jobWaitMs, 'handle' returns at once
+            jobMode: 'wait',
+            jobWaitMs: 600000,
+            jobPollIntervalMs: 2000,
+            // Calls a namespace__execute_batch request runs at once
+            batchConcurrency: 5,
+            // Seconds-elapsed progress notifications while a tool runs
+            progressIntervalMs: 5000,
+            // Files larger than this are sent as resource_link instead of inline
+            maxInlineFileBytes: 1048576,
             // Hierarchical tool namespace configuration
+            // tools/list exposure: 'hierarchical', 'flat' or 'hybrid'
+            toolExposure: 'hierarchical',
+            pinnedNamespaces: [],
             maxToolsPerPage: 200,
             maxNamespaces: 20,
+            // API keys whose caches are kept in memory (least recently used dropped)
+            maxTenants: 50,
             preloadNamespaces: ['platform', 'company'],
             enableParallelLoading: true,
             enablePredictiveLoading: false,
@@ -56,6 +128,30 @@ class ConfigManager {
                 // Allow token, debug, and proxyUrl settings from config file
                 if (fileConfig.token) config.token = fileConfig.token;
                 if (fileConfig.debug !== undefined) config.debug = fileConfig.debug;
+                if (fileConfig.logLevel) config.logLevel = fileConfig.logLevel;
+                if (fileConfig.logFormat) config.logFormat = fileConfig.logFormat;
+                if (fileConfig.logFile) config.logFile = fileConfig.logFile;
+                if (fileConfig.logFileMaxBytes !== undefined) {
+                    config.logFileMaxBytes = Number(fileConfig.logFileMaxBytes);
+                }
+                if (fileConfig.logFileMaxFiles !== undefined) {
+                    config.logFileMaxFiles = Number(fileConfig.logFileMaxFiles);
+                }
+                if (fileConfig.auditLog !== undefined) {
+                    config.auditLog =
+                        fileConfig.auditLog !== false && fileConfig.auditLog !== 'false';
+                }
+                if (fileConfig.auditFile) config.auditFile = fileConfig.auditFile;
+                if (fileConfig.logPayloads !== undefined) {
+                    config.logPayloads =
+                        fileConfig.logPayloads === true || fileConfig.logPayloads === 'true';
+                }
+                if (fileConfig.logPayloadMaxChars !== undefined) {
+                    config.logPayloadMaxChars = Number(fileConfig.logPayloadMaxChars);
+                }
+                if (Array.isArray(fileConfig.logRedactPatterns)) {
+                    config.logRedactPatterns = fileConfig.logRedactPatterns;
+                }
                 if (fileConfig.proxyUrl) config.proxyUrl = fileConfig.proxyUrl;
                 if (fileConfig.timeout !== undefined) {
                     config.timeout = Number(fileConfig.timeout);
@@ -63,6 +159,19 @@ class ConfigManager {
                 if (fileConfig.retries !== undefined) {
                     config.retries = Number(fileConfig.retries);
                 }
+                if (fileConfig.retryExecute !== undefined) {
+                    config.retryExecute =
+                        fileConfig.retryExecute === true ||
+                        fileConfig.retryExecute === 'true';
+                }
+                if (fileConfig.circuitFailureThreshold !== undefined) {
+                    config.circuitFailureThreshold = Number(
+                        fileConfig.circuitFailureThreshold
+                    );
+                }
+                if (fileConfig.circuitResetMs !== undefined) {
+                    config.circuitResetMs = Number(fileConfig.circuitResetMs);
+                }
                 if (fileConfig.cacheTimeout !== undefined) {
                     config.cacheTimeout = Number(fileConfig.cacheTimeout);
                 }
@@ -74,6 +183,64 @@ class ConfigManager {
                         fileConfig.enableToolListChanged === true ||
                         fileConfig.enableToolListChanged === 'true';
                 }
+                if (fileConfig.validateToolParameters !== undefined) {
+                    config.validateToolParameters =
+                        fileConfig.validateToolParameters !== false &&
+                        fileConfig.validateToolParameters !== 'false';
+                }
+                if (fileConfig.promptsDir) config.promptsDir = fileConfig.promptsDir;
+                if (fileConfig.pipelinesDir) config.pipelinesDir = fileConfig.pipelinesDir;
+                if (fileConfig.persistCatalog !== undefined) {
+                    config.persistCatalog =
+                        fileConfig.persistCatalog !== false &&
+                        fileConfig.persistCatalog !== 'false';
+                }
+                if (fileConfig.cacheDir) config.cacheDir = fileConfig.cacheDir;
+                if (fileConfig.toolExposure) config.toolExposure = fileConfig.toolExposure;
+                if (fileConfig.policyFile) config.policyFile = fileConfig.policyFile;
+                if (Array.isArray(fileConfig.confirmTools)) {
+                    config.confirmTools = fileConfig.confirmTools;
+                }
+                if (fileConfig.confirmDestructive !== undefined) {
+                    config.confirmDestructive =
+                        fileConfig.confirmDestructive !== false &&
+                        fileConfig.confirmDestructive !== 'false';
+                }
+                if (Array.isArray(fileConfig.pinnedNamespaces)) {
+                    config.pinnedNamespaces = fileConfig.pinnedNamespaces;
+                }
+                if (fileConfig.offline !== undefined) {
+                    config.offline =
+                        fileConfig.offline === true || fileConfig.offline === 'true';
+                }
+                if (fileConfig.queueOfflineWrites !== undefined) {
+                    config.queueOfflineWrites =
+                        fileConfig.queueOfflineWrites === true ||
+                        fileConfig.queueOfflineWrites === 'true';
+                }
+                if (fileConfig.transport) config.transport = fileConfig.transport;
+                if (fileConfig.host) config.host = fileConfig.host;
+                if (fileConfig.port !== undefined) {
+                    config.port = Number(fileConfig.port);
+                }
+                if (fileConfig.httpMaxBodyBytes !== undefined) {
+                    config.httpMaxBodyBytes = Number(fileConfig.httpMaxBodyBytes);
+                }
+                if (fileConfig.httpAllowDefaultToken !== undefined) {
+                    config.httpAllowDefaultToken =
+                        fileConfig.httpAllowDefaultToken === true ||
+                        fileConfig.httpAllowDefaultToken === 'true';
+                }
+                if (fileConfig.metricsPort !== undefined && fileConfig.metricsPort !== null) {
+                    config.metricsPort = Number(fileConfig.metricsPort);
+                }
+                if (fileConfig.metricsHost) config.metricsHost = fileConfig.metricsHost;
+                if (fileConfig.traceExporter) config.traceExporter = fileConfig.traceExporter;
+                if (fileConfig.traceFile) config.traceFile = fileConfig.traceFile;
+                if (fileConfig.traceEndpoint) config.traceEndpoint = fileConfig.traceEndpoint;
+                if (fileConfig.traceServiceName) {
+                    config.traceServiceName = fileConfig.traceServiceName;
+                }
             }
         } catch (error) {
             // Config file errors are non-fatal, just warn
@@ -89,9 +256,59 @@ class ConfigManager {
         if (process.env.URU_DEBUG === 'true') {
             config.debug = true;
         }
+        if (process.env.URU_LOG_LEVEL) {
+            config.logLevel = process.env.URU_LOG_LEVEL;
+        }
+        if (process.env.URU_LOG_FORMAT) {
+            config.logFormat = process.env.URU_LOG_FORMAT;
+        }
+        if (process.env.URU_LOG_FILE) {
+            config.logFile = process.env.URU_LOG_FILE;
+        }
+        if (process.env.URU_LOG_FILE_MAX_BYTES) {
+            config.logFileMaxBytes = parseInt(process.env.URU_LOG_FILE_MAX_BYTES, 10);
+        }
+        if (process.env.URU_LOG_FILE_MAX_FILES) {
+            config.logFileMaxFiles = parseInt(process.env.URU_LOG_FILE_MAX_FILES, 10);
+        }
+        if (process.env.URU_AUDIT_LOG === 'false') {
+            config.auditLog = false;
+        }
+        if (process.env.URU_AUDIT_FILE) {
+            config.auditFile = process.env.URU_AUDIT_FILE;
+        }
+        if (process.env.URU_LOG_PAYLOADS === 'true') {
+            config.logPayloads = true;
+        }
+        if (process.env.URU_LOG_PAYLOAD_MAX_CHARS) {
+            config.logPayloadMaxChars = parseInt(process.env.URU_LOG_PAYLOAD_MAX_CHARS, 10);
+        }
+        if (process.env.URU_LOG_REDACT_PATTERNS) {
+            // A JSON array, since regular expressions often contain commas
+            try {
+                config.logRedactPatterns = JSON.parse(process.env.URU_LOG_REDACT_PATTERNS);
+            } catch (error) {
+                throw new Error('URU_LOG_REDACT_PATTERNS must be a JSON array of regexes');
+            }
+        }
         if (process.env.URU_PROXY_URL) {
             config.proxyUrl = process.env.URU_PROXY_URL;
         }
+        if (process.env.URU_RETRIES) {
+            config.retries = parseInt(process.env.URU_RETRIES, 10);
+        }
+        if (process.env.URU_RETRY_EXECUTE === 'true') {
+            config.retryExecute = true;
+        }
+        if (process.env.URU_CIRCUIT_FAILURE_THRESHOLD) {
+            config.circuitFailureThreshold = parseInt(
+                process.env.URU_CIRCUIT_FAILURE_THRESHOLD,
+                10
+            );
+        }
+        if (process.env.URU_CIRCUIT_RESET_MS) {
+            config.circuitResetMs = parseInt(process.env.URU_CIRCUIT_RESET_MS, 10);
+        }
         if (process.env.URU_TOOL_SYNC_POLL_MS) {
             config.toolSyncPollMs = parseInt(process.env.URU_TOOL_SYNC_POLL_MS, 10);
         }
@@ -100,6 +317,105 @@ class ConfigManager {
                 process.env.URU_ENABLE_TOOL_LIST_CHANGED === 'true';
         }
 
+        if (process.env.URU_VALIDATE_TOOL_PARAMETERS === 'false') {
+            config.validateToolParameters = false;
+        }
+        if (process.env.URU_PROMPTS_DIR) {
+            config.promptsDir = process.env.URU_PROMPTS_DIR;
+        }
+        if (process.env.URU_PIPELINES_DIR) {
+            config.pipelinesDir = process.env.URU_PIPELINES_DIR;
+        }
+        if (process.env.URU_PERSIST_CATALOG === 'false') {
+            config.persistCatalog = false;
+        }
+        if (process.env.URU_CACHE_DIR) {
+            config.cacheDir = process.env.URU_CACHE_DIR;
+        }
+        if (process.env.URU_POLICY_FILE) {
+            config.policyFile = process.env.URU_POLICY_FILE;
+        }
+        if (process.env.URU_CONFIRM_TOOLS) {
+            config.confirmTools = process.env.URU_CONFIRM_TOOLS.split(',')
+                .map(pattern => pattern.trim())
+                .filter(Boolean);
+        }
+        if (process.env.URU_CONFIRM_DESTRUCTIVE === 'false') {
+            config.confirmDestructive = false;
+        }
+        if (process.env.URU_MAX_RESULT_CHARS) {
+            config.maxResultChars = parseInt(process.env.URU_MAX_RESULT_CHARS, 10);
+        }
+        if (process.env.URU_JOB_MODE) {
+            config.jobMode = process.env.URU_JOB_MODE;
+        }
+        if (process.env.URU_JOB_WAIT_MS) {
+            config.jobWaitMs = parseInt(process.env.URU_JOB_WAIT_MS, 10);
+        }
+        if (process.env.URU_BATCH_CONCURRENCY) {
+            config.batchConcurrency = parseInt(process.env.URU_BATCH_CONCURRENCY, 10);
+        }
+        if (process.env.URU_PROGRESS_INTERVAL_MS) {
+            config.progressIntervalMs = parseInt(process.env.URU_PROGRESS_INTERVAL_MS, 10);
+        }
+        if (process.env.URU_MAX_INLINE_FILE_BYTES) {
+            config.maxInlineFileBytes = parseInt(process.env.URU_MAX_INLINE_FILE_BYTES, 10);
+        }
+        if (process.env.URU_OFFLINE === 'true') {
+            config.offline = true;
+        }
+        if (process.env.URU_QUEUE_OFFLINE_WRITES === 'true') {
+            config.queueOfflineWrites = true;
+        }
+        if (process.env.URU_TRANSPORT) {
+            config.transport = process.env.URU_TRANSPORT;
+        }
+        if (process.env.URU_HOST) {
+            config.host = process.env.URU_HOST;
+        }
+        if (process.env.URU_PORT) {
+            config.port = parseInt(process.env.URU_PORT, 10);
+        }
+        if (process.env.URU_HTTP_MAX_BODY_BYTES) {
+            config.httpMaxBodyBytes = parseInt(process.env.URU_HTTP_MAX_BODY_BYTES, 10);
+        }
+        if (process.env.URU_HTTP_ALLOW_DEFAULT_TOKEN === 'true') {
+            config.httpAllowDefaultToken = true;
+        }
+        if (process.env.URU_METRICS_PORT) {
+            config.metricsPort = parseInt(process.env.URU_METRICS_PORT, 10);
+        }
+        if (process.env.URU_METRICS_HOST) {
+            config.metricsHost = process.env.URU_METRICS_HOST;
+        }
+        // The standard OTEL_* variables are honoured when no URU_* override is set.
+        // OTEL_TRACES_EXPORTER is shared with other services, so values this
+        // server cannot export to (jaeger, zipkin, lists) turn tracing off
+        if (process.env.URU_TRACE_EXPORTER) {
+            config.traceExporter = process.env.URU_TRACE_EXPORTER;
+        } else if (process.env.OTEL_TRACES_EXPORTER) {
+            const otelExporter = process.env.OTEL_TRACES_EXPORTER.trim().toLowerCase();
+            if (TRACE_EXPORTERS.includes(otelExporter)) {
+                config.traceExporter = otelExporter;
+            } else {
+                console.warn(
+                    `Warning: OTEL_TRACES_EXPORTER '${process.env.OTEL_TRACES_EXPORTER}' is not supported (use one of ${TRACE_EXPORTERS.join(', ')}); tracing is off`
+                );
+                config.traceExporter = 'none';
+            }
+        }
+        if (process.env.URU_TRACE_FILE) {
+            config.traceFile = process.env.URU_TRACE_FILE;
+        }
+        const traceEndpoint =
+            process.env.URU_TRACE_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+        if (traceEndpoint) {
+            config.traceEndpoint = traceEndpoint;
+        }
+        if (process.env.OTEL_SERVICE_NAME) {
+            config.traceServiceName = process.env.OTEL_SERVICE_NAME;
+        }
+
         // Hierarchical tool configuration from environment
         if (process.env.URU_MAX_TOOLS_PER_PAGE) {
             config.maxToolsPerPage = parseInt(process.env.URU_MAX_TOOLS_PER_PAGE);
@@ -107,11 +423,22 @@ class ConfigManager {
         if (process.env.URU_MAX_NAMESPACES) {
             config.maxNamespaces = parseInt(process.env.URU_MAX_NAMESPACES);
         }
+        if (process.env.URU_MAX_TENANTS) {
+            config.maxTenants = parseInt(process.env.URU_MAX_TENANTS, 10);
+        }
         if (process.env.URU_PRELOAD_NAMESPACES) {
             config.preloadNamespaces = process.env.URU_PRELOAD_NAMESPACES.split(
                 ','
             ).map(ns => ns.trim());
         }
+        if (process.env.URU_TOOL_EXPOSURE) {
+            config.toolExposure = process.env.URU_TOOL_EXPOSURE;
+        }
+        if (process.env.URU_PINNED_NAMESPACES) {
+            config.pinnedNamespaces = process.env.URU_PINNED_NAMESPACES.split(',')
+                .map(ns => ns.trim())
+                .filter(Boolean);
+        }
         if (process.env.URU_ENABLE_PARALLEL_LOADING === 'false') {
             config.enableParallelLoading = false;
         }
@@ -126,9 +453,87 @@ class ConfigManager {
         if (cliOptions.debug) {
             config.debug = true;
         }
+        if (cliOptions.logLevel) {
+            config.logLevel = cliOptions.logLevel;
+        }
+        if (cliOptions.logFormat) {
+            config.logFormat = cliOptions.logFormat;
+        }
+        if (cliOptions.logFile) {
+            config.logFile = cliOptions.logFile;
+        }
+        if (cliOptions.auditLog === false) {
+            config.auditLog = false;
+        }
+        if (cliOptions.auditFile) {
+            config.auditFile = cliOptions.auditFile;
+        }
+        if (cliOptions.logPayloads) {
+            config.logPayloads = true;
+        }
         if (cliOptions.proxyUrl) {
             config.proxyUrl = cliOptions.proxyUrl;
         }
+        if (cliOptions.promptsDir) {
+            config.promptsDir = cliOptions.promptsDir;
+        }
+        if (cliOptions.pipelinesDir) {
+            config.pipelinesDir = cliOptions.pipelinesDir;
+        }
+        if (cliOptions.cacheDir) {
+            config.cacheDir = cliOptions.cacheDir;
+        }
+        if (cliOptions.persistCatalog === false) {
+            config.persistCatalog = false;
+        }
+        if (cliOptions.offline) {
+            config.offline = true;
+        }
+        if (cliOptions.toolExposure) {
+            config.toolExposure = cliOptions.toolExposure;
+        }
+        if (cliOptions.policy) {
+            config.policyFile = cliOptions.policy;
+        }
+        if (cliOptions.confirmTools) {
+            config.confirmTools = cliOptions.confirmTools
+                .split(',')
+                .map(pattern => pattern.trim())
+                .filter(Boolean);
+        }
+        if (cliOptions.queueOfflineWrites) {
+            config.queueOfflineWrites = true;
+        }
+        if (cliOptions.transport) {
+            config.transport = cliOptions.transport;
+        }
+        if (cliOptions.host) {
+            config.host = cliOptions.host;
+        }
+        if (cliOptions.port !== undefined) {
+            config.port = Number(cliOptions.port);
+        }
+        if (cliOptions.httpMaxBodyBytes !== undefined) {
+            config.httpMaxBodyBytes = Number(cliOptions.httpMaxBodyBytes);
+        }
+        if (cliOptions.httpAllowDefaultToken) {
+            config.httpAllowDefaultToken = true;
+        }
+        if (cliOptions.metricsPort !== undefined) {
+            config.metricsPort = Number(cliOptions.metricsPort);
+        }
+        if (cliOptions.metricsHost) {
+            config.metricsHost = cliOptions.metricsHost;
+        }
+        if (cliOptions.traceExporter) {
+            config.traceExporter = cliOptions.traceExporter;
+        }
+        if (cliOptions.traceFile) {
+            config.traceFile = cliOptions.traceFile;
+        }
+        if (cliOptions.traceEndpoint) {
+            config.traceEndpoint = cliOptions.traceEndpoint;
+        }
 
         // Validate and normalize configuration
         return this.validateConfig(config);
@@ -181,6 +586,23 @@ class ConfigManager {
             throw new Error('Retries must be between 0 and 10');
         }
 
+        if (
+            validated.circuitFailureThreshold !== undefined &&
+            (!Number.isInteger(validated.circuitFailureThreshold) ||
+                validated.circuitFailureThreshold < 1)
+        ) {
+            throw new Error('Circuit failure threshold must be a positive integer');
+        }
+
+        if (
+            validated.circuitResetMs !== undefined &&
+            (!Number.isFinite(validated.circuitResetMs) ||
+                validated.circuitResetMs < 1000 ||
+                validated.circuitResetMs > 3600000)
+        ) {
+            throw new Error('Circuit reset interval must be between 1000ms and 3600000ms');
+        }
+
         if (
             validated.toolSyncPollMs &&
             (validated.toolSyncPollMs < 1000 || validated.toolSyncPollMs > 3600000)
@@ -197,6 +619,162 @@ class ConfigManager {
             throw new Error('enableToolListChanged must be a boolean');
         }
 
+        if (
+            validated.transport !== undefined &&
+            !['stdio', 'http'].includes(validated.transport)
+        ) {
+            throw new Error("Transport must be either 'stdio' or 'http'");
+        }
+
+        if (
+            validated.toolExposure !== undefined &&
+            !['hierarchical', 'flat', 'hybrid'].includes(validated.toolExposure)
+        ) {
+            throw new Error(
+                "Tool exposure must be one of 'hierarchical', 'flat' or 'hybrid'"
+            );
+        }
+
+        if (
+            validated.batchConcurrency !== undefined &&
+            (!Number.isInteger(validated.batchConcurrency) || validated.batchConcurrency < 1)
+        ) {
+            throw new Error('Batch concurrency must be a positive integer');
+        }
+
+        if (
+            validated.maxResultChars !== undefined &&
+            (!Number.isInteger(validated.maxResultChars) || validated.maxResultChars < 0)
+        ) {
+            throw new Error('Max result chars must be a non-negative integer');
+        }
+
+        if (
+            validated.jobWaitMs !== undefined &&
+            (!Number.isInteger(validated.jobWaitMs) || validated.jobWaitMs < 0)
+        ) {
+            throw new Error('Job wait must be a non-negative integer of milliseconds');
+        }
+
+        if (
+            validated.jobPollIntervalMs !== undefined &&
+            (!Number.isInteger(validated.jobPollIntervalMs) || validated.jobPollIntervalMs < 1)
+        ) {
+            throw new Error('Job poll interval must be a positive integer of milliseconds');
+        }
+
+        if (
+            validated.progressIntervalMs !== undefined &&
+            (!Number.isInteger(validated.progressIntervalMs) || validated.progressIntervalMs < 1)
+        ) {
+            throw new Error('Progress interval must be a positive integer of milliseconds');
+        }
+
+        if (
+            validated.maxInlineFileBytes !== undefined &&
+            (!Number.isInteger(validated.maxInlineFileBytes) || validated.maxInlineFileBytes < 0)
+        ) {
+            throw new Error('Max inline file bytes must be a non-negative integer');
+        }
+
+        if (
+            validated.maxTenants !== undefined &&
+            (!Number.isInteger(validated.maxTenants) || validated.maxTenants < 1)
+        ) {
+            throw new Error('Max tenants must be a positive integer');
+        }
+
+        if (
+            validated.logLevel !== undefined &&
+            validated.logLevel !== null &&
+            !Logger.isValidLevel(validated.logLevel)
+        ) {
+            throw new Error(`Log level must be one of ${LOG_LEVELS.join(', ')}`);
+        }
+
+        if (validated.logFormat !== undefined && !['text', 'json'].includes(validated.logFormat)) {
+            throw new Error("Log format must be either 'text' or 'json'");
+        }
+
+        if (
+            validated.logFileMaxBytes !== undefined &&
+            (!Number.isInteger(validated.logFileMaxBytes) || validated.logFileMaxBytes < 1024)
+        ) {
+            throw new Error('Log file max bytes must be an integer of at least 1024');
+        }
+
+        if (
+            validated.logFileMaxFiles !== undefined &&
+            (!Number.isInteger(validated.logFileMaxFiles) || validated.logFileMaxFiles < 0)
+        ) {
+            throw new Error('Log file max files must be a non-negative integer');
+        }
+
+        if (
+            validated.logPayloadMaxChars !== undefined &&
+            (!Number.isInteger(validated.logPayloadMaxChars) || validated.logPayloadMaxChars < 1)
+        ) {
+            throw new Error('Log payload max chars must be a positive integer');
+        }
+
+        if (validated.logRedactPatterns !== undefined) {
+            if (!Array.isArray(validated.logRedactPatterns)) {
+                throw new Error('logRedactPatterns must be an array of regular expressions');
+            }
+            for (const pattern of validated.logRedactPatterns) {
+                try {
+                    new RegExp(pattern, 'g');
+                } catch (error) {
+                    throw new Error(`Invalid log redaction pattern '${pattern}': ${error.message}`);
+                }
+            }
+        }
+
+        if (validated.jobMode !== undefined && !['wait', 'handle'].includes(validated.jobMode)) {
+            throw new Error("Job mode must be either 'wait' or 'handle'");
+        }
+
+        if (
+            validated.port !== undefined &&
+            (!Number.isInteger(validated.port) ||
+                validated.port < 0 ||
+                validated.port > 65535)
+        ) {
+            throw new Error('Port must be an integer between 0 and 65535');
+        }
+
+        if (
+            validated.httpMaxBodyBytes !== undefined &&
+            (!Number.isInteger(validated.httpMaxBodyBytes) || validated.httpMaxBodyBytes < 1)
+        ) {
+            throw new Error('HTTP max body bytes must be a positive integer');
+        }
+
+        if (
+            validated.metricsPort !== undefined &&
+            validated.metricsPort !== null &&
+            (!Number.isInteger(validated.metricsPort) ||
+                validated.metricsPort < 0 ||
+                validated.metricsPort > 65535)
+        ) {
+            throw new Error('Metrics port must be an integer between 0 and 65535');
+        }
+
+        if (
+            validated.traceExporter !== undefined &&
+            !TRACE_EXPORTERS.includes(validated.traceExporter)
+        ) {
+            throw new Error(`Trace exporter must be one of ${TRACE_EXPORTERS.join(', ')}`);
+        }
+
+        if (validated.traceExporter === 'otlp') {
+            try {
+                new URL(validated.traceEndpoint);
+            } catch (error) {
+                throw new Error(`Invalid OTLP endpoint: ${validated.traceEndpoint}`);
+            }
+        }
+
         return validated;
     }
 
@@ -0,0 +1,117 @@
+/**
+ * Confirmation Gate - human confirmation before destructive tools run
+ *
+ * A tool needs confirmation when its name matches a configured pattern or
+ * the backend marks it with the `destructiveHint` annotation. Clients that
+ * support MCP elicitation are asked directly, with the exact parameters.
+ * Other clients get a single-use confirm token that must be sent back with
+ * the identical call by the same API key.
+ */
+
+const crypto = require('crypto');
+const { canonicalJson } = require('./canonical-json');
+const { fingerprint } = require('./key-fingerprint');
+const { globToRegExp } = require('./tool-policy');
+
+/**
+ * Confirmation Gate - decides which calls need confirmation and tracks tokens
+ */
+class ConfirmationGate {
+    constructor(config = {}) {
+        this.patterns = (config.patterns || []).map(pattern => globToRegExp(pattern));
+        this.honorDestructiveHint = config.honorDestructiveHint !== false;
+        this.tokenTtlMs = config.tokenTtlMs || 5 * 60 * 1000;
+
+        // token -> { digest, expiresAt }
+        this.pendingTokens = new Map();
+    }
+
+    /**
+     * Whether a call to this tool must be confirmed
+     * @param {string} namespace - Namespace name
+     * @param {string} toolName - Original (un-namespaced) tool name
+     * @param {object|null} tool - Registry tool, when its schema is loaded
+     */
+    requiresConfirmation(namespace, toolName, tool = null) {
+        if (this.honorDestructiveHint && tool?.annotations?.destructiveHint === true) {
+            return true;
+        }
+        const namespacedName = `${namespace}__${toolName}`;
+        return this.patterns.some(
+            pattern => pattern.test(toolName) || pattern.test(namespacedName)
+        );
+    }
+
+    /**
+     * Elicitation request showing the exact call
+     */
+    buildElicitation(namespace, toolName, parameters) {
+        return {
+            message: `Allow ${namespace} to run '${toolName}' with these parameters?\n\n${JSON.stringify(
+                parameters,
+                null,
+                2
+            )}`,
+            requestedSchema: {
+                type: 'object',
+                properties: {
+                    confirm: {
+                        type: 'boolean',
+                        title: `Run ${toolName}`,
+                        description: 'Approve this exact call',
+                    },
+                },
+                required: ['confirm'],
+            },
+        };
+    }
+
+    /**
+     * Issue a single-use token bound to this exact call and API key
+     */
+    issueToken(namespace, toolName, parameters, apiKey) {
+        this.pruneExpired();
+        const token = `confirm_${crypto.randomBytes(12).toString('hex')}`;
+        this.pendingTokens.set(token, {
+            digest: this.callDigest(namespace, toolName, parameters, apiKey),
+            expiresAt: Date.now() + this.tokenTtlMs,
+        });
+        return token;
+    }
+
+    /**
+     * Consume a token; valid only for the identical call by the same key, once
+     */
+    consumeToken(token, namespace, toolName, parameters, apiKey) {
+        this.pruneExpired();
+        const pending = this.pendingTokens.get(token);
+        if (
+            !pending ||
+            pending.digest !== this.callDigest(namespace, toolName, parameters, apiKey)
+        ) {
+            return false;
+        }
+        this.pendingTokens.delete(token);
+        return true;
+    }
+
+    pruneExpired() {
+        const now = Date.now();
+        for (const [token, pending] of this.pendingTokens) {
+            if (pending.expiresAt <= now) {
+                this.pendingTokens.delete(token);
+            }
+        }
+    }
+
+    callDigest(namespace, toolName, parameters, apiKey) {
+        return crypto
+            .createHash('sha256')
+            .update(
+                `${fingerprint(apiKey)}\n${namespace}\n${toolName}\n${canonicalJson(parameters || {})}`
+            )
+            .digest('hex');
+    }
+}
+
+module.exports = { ConfirmationGate };
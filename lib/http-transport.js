@@ -0,0 +1,391 @@
+/**
+ * Streamable HTTP Gateway for Uru MCP
+ *
+ * Serves the MCP Streamable HTTP endpoint so a single Uru MCP process can be
+ * shared by many MCP clients and remote agents. Each client session gets its
+ * own protocol server (built by UruMCPServer.createProtocolServer) bound to
+ * the credential presented when the session was initialized.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const {
+    StreamableHTTPServerTransport,
+} = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+const { Logger } = require('./logger');
+
+// Sentinels returned by readJsonBody when the request body is not valid JSON
+// or exceeds maxBodyBytes
+const INVALID_JSON = Symbol('invalid-json');
+const BODY_TOO_LARGE = Symbol('body-too-large');
+
+/**
+ * Bounded in-memory event store enabling resumable SSE streams
+ * (clients reconnect with Last-Event-ID and receive missed messages).
+ */
+class InMemoryEventStore {
+    constructor(config = {}) {
+        this.events = new Map();
+        this.maxEvents = config.maxEvents || 1000;
+    }
+
+    /**
+     * Store an outgoing message and return its event id
+     */
+    async storeEvent(streamId, message) {
+        const eventId = `${streamId}_${Date.now()}_${crypto
+            .randomBytes(4)
+            .toString('hex')}`;
+        this.events.set(eventId, { streamId, message });
+
+        // Drop the oldest events once the buffer is full
+        while (this.events.size > this.maxEvents) {
+            const oldest = this.events.keys().next().value;
+            this.events.delete(oldest);
+        }
+
+        return eventId;
+    }
+
+    /**
+     * Replay every message stored on the same stream after lastEventId
+     */
+    async replayEventsAfter(lastEventId, { send }) {
+        const anchor = this.events.get(lastEventId);
+        if (!anchor) {
+            return '';
+        }
+
+        let found = false;
+        for (const [eventId, { streamId, message }] of this.events.entries()) {
+            if (eventId === lastEventId) {
+                found = true;
+                continue;
+            }
+            if (found && streamId === anchor.streamId) {
+                await send(eventId, message);
+            }
+        }
+
+        return anchor.streamId;
+    }
+}
+
+/**
+ * Streamable HTTP gateway managing per-session transports and credentials
+ */
+class StreamableHttpGateway {
+    /**
+     * @param {object} mcpServer - UruMCPServer instance providing protocol servers
+     * @param {object} config - Gateway configuration
+     */
+    constructor(mcpServer, config = {}) {
+        this.mcpServer = mcpServer;
+        this.config = config;
+        this.host = config.host || '127.0.0.1';
+        this.port = config.port ?? 3000;
+        this.path = config.path || '/mcp';
+        this.sessionIdleMs = config.sessionIdleMs || 1800000; // 30 minutes
+        this.maxBodyBytes = config.maxBodyBytes || 4 * 1024 * 1024;
+        // Requests without a bearer token use the gateway's own key only on opt-in
+        this.defaultToken = config.allowDefaultToken ? config.token || null : null;
+        this.debug = config.debug || false;
+        this.logger = config.logger || new Logger({ level: this.debug ? 'debug' : 'warning' });
+
+        this.sessions = new Map();
+        this.httpServer = null;
+        this.cleanupInterval = null;
+    }
+
+    /**
+     * Start listening for HTTP connections
+     */
+    async listen() {
+        this.httpServer = http.createServer((req, res) => {
+            this.handleHttpRequest(req, res).catch(error => {
+                this.log(`❌ HTTP request failed: ${error.message}`, 'error');
+                if (!res.headersSent) {
+                    this.sendJsonRpcError(res, 500, -32603, 'Internal server error');
+                }
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.port, this.host, () => {
+                this.httpServer.off('error', reject);
+                resolve();
+            });
+        });
+
+        const address = this.httpServer.address();
+        if (address && typeof address === 'object') {
+            this.port = address.port;
+        }
+
+        this.cleanupInterval = setInterval(() => {
+            void this.cleanupIdleSessions();
+        }, 60000);
+        if (typeof this.cleanupInterval.unref === 'function') {
+            this.cleanupInterval.unref();
+        }
+
+        this.log(
+            `🌐 Streamable HTTP endpoint listening on http://${this.host}:${this.port}${this.path}`
+        );
+    }
+
+    /**
+     * Route an incoming HTTP request
+     */
+    async handleHttpRequest(req, res) {
+        const url = new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
+
+        if (url.pathname === '/health' && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: 'ok', sessions: this.sessions.size }));
+            return;
+        }
+
+        if (url.pathname !== this.path) {
+            this.sendJsonRpcError(res, 404, -32601, 'Not found');
+            return;
+        }
+
+        if (!['POST', 'GET', 'DELETE'].includes(req.method)) {
+            res.setHeader('Allow', 'GET, POST, DELETE');
+            this.sendJsonRpcError(res, 405, -32000, 'Method not allowed');
+            return;
+        }
+
+        const token = this.getRequestToken(req);
+        if (!token) {
+            res.setHeader('WWW-Authenticate', 'Bearer realm="uru-mcp"');
+            this.sendJsonRpcError(res, 401, -32001, 'Authentication required', {
+                suggestion:
+                    'Send an Authorization: Bearer <api key> header, or start the gateway with --http-allow-default-token to use its URU_API_KEY',
+            });
+            return;
+        }
+
+        const sessionId = req.headers['mcp-session-id'];
+        const body = req.method === 'POST' ? await this.readJsonBody(req) : undefined;
+
+        if (body === BODY_TOO_LARGE) {
+            // The rest of the body is not read, so the connection cannot be reused
+            res.setHeader('Connection', 'close');
+            this.sendJsonRpcError(res, 413, -32600, 'Request body too large', {
+                max_bytes: this.maxBodyBytes,
+            });
+            return;
+        }
+
+        if (body === INVALID_JSON) {
+            this.sendJsonRpcError(res, 400, -32700, 'Parse error: Invalid JSON');
+            return;
+        }
+
+        if (sessionId) {
+            const session = this.sessions.get(sessionId);
+            if (!session) {
+                this.sendJsonRpcError(res, 404, -32001, 'Session not found', {
+                    suggestion: 'Start a new session with an initialize request',
+                });
+                return;
+            }
+
+            if (!this.tokensMatch(session.tokenHash, token)) {
+                this.sendJsonRpcError(res, 403, -32002, 'Session belongs to another credential');
+                return;
+            }
+
+            session.lastSeen = Date.now();
+            req.auth = session.authInfo;
+            await session.transport.handleRequest(req, res, body);
+            return;
+        }
+
+        const initializing = Array.isArray(body)
+            ? body.some(message => isInitializeRequest(message))
+            : isInitializeRequest(body);
+
+        if (req.method !== 'POST' || !initializing) {
+            this.sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+            return;
+        }
+
+        const session = await this.createSession(token);
+        req.auth = session.authInfo;
+        await session.transport.handleRequest(req, res, body);
+
+        // Initialization was rejected; release the unused protocol server
+        if (!session.transport.sessionId) {
+            await this.closeSession(session);
+        }
+    }
+
+    /**
+     * Create a transport and protocol server for a new client session
+     */
+    async createSession(token) {
+        const session = {
+            transport: null,
+            server: this.mcpServer.createProtocolServer(),
+            tokenHash: this.hashToken(token),
+            authInfo: { token, clientId: 'uru-mcp-http', scopes: [] },
+            lastSeen: Date.now(),
+        };
+
+        session.transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => crypto.randomUUID(),
+            eventStore: new InMemoryEventStore({
+                maxEvents: this.config.maxEventsPerSession,
+            }),
+            onsessioninitialized: sessionId => {
+                this.sessions.set(sessionId, session);
+                this.log(`🔗 HTTP session initialized: ${sessionId}`);
+            },
+        });
+
+        session.transport.onclose = () => {
+            const sessionId = session.transport.sessionId;
+            if (sessionId && this.sessions.get(sessionId) === session) {
+                this.sessions.delete(sessionId);
+                this.log(`🔌 HTTP session closed: ${sessionId}`);
+            }
+        };
+
+        await session.server.connect(session.transport);
+        return session;
+    }
+
+    /**
+     * Protocol servers for every live session (used to broadcast notifications)
+     */
+    getProtocolServers() {
+        return Array.from(this.sessions.values()).map(session => session.server);
+    }
+
+    /**
+     * Close sessions that have been idle longer than sessionIdleMs
+     */
+    async cleanupIdleSessions() {
+        const now = Date.now();
+        for (const [sessionId, session] of this.sessions.entries()) {
+            if (now - session.lastSeen > this.sessionIdleMs) {
+                this.log(`⏱️ Closing idle HTTP session: ${sessionId}`);
+                this.sessions.delete(sessionId);
+                await this.closeSession(session);
+            }
+        }
+    }
+
+    async closeSession(session) {
+        try {
+            await session.server.close();
+        } catch (error) {
+            this.log(`⚠️ Error closing HTTP session: ${error.message}`, 'warn');
+        }
+    }
+
+    /**
+     * Extract the bearer credential, falling back to the configured token
+     * when allowDefaultToken is set
+     */
+    getRequestToken(req) {
+        const header = req.headers.authorization;
+        if (typeof header === 'string') {
+            const match = header.match(/^Bearer\s+(.+)$/i);
+            if (match && match[1].trim()) {
+                return match[1].trim();
+            }
+        }
+        return this.defaultToken;
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest();
+    }
+
+    tokensMatch(expectedHash, token) {
+        return crypto.timingSafeEqual(expectedHash, this.hashToken(token));
+    }
+
+    /**
+     * Read and parse a JSON request body of at most maxBodyBytes
+     */
+    async readJsonBody(req) {
+        if (Number(req.headers['content-length']) > this.maxBodyBytes) {
+            return BODY_TOO_LARGE;
+        }
+
+        const chunks = await new Promise((resolve, reject) => {
+            const received = [];
+            let size = 0;
+            const onData = chunk => {
+                size += chunk.length;
+                if (size > this.maxBodyBytes) {
+                    req.off('data', onData);
+                    req.pause();
+                    resolve(BODY_TOO_LARGE);
+                    return;
+                }
+                received.push(chunk);
+            };
+            req.on('data', onData);
+            req.once('end', () => resolve(received));
+            req.once('error', reject);
+        });
+        if (chunks === BODY_TOO_LARGE) {
+            return BODY_TOO_LARGE;
+        }
+        const raw = Buffer.concat(chunks).toString('utf8');
+        if (!raw.trim()) {
+            return undefined;
+        }
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return INVALID_JSON;
+        }
+    }
+
+    sendJsonRpcError(res, status, code, message, data = null) {
+        const error = { code, message };
+        if (data) {
+            error.data = data;
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', error, id: null }));
+    }
+
+    /**
+     * Stop accepting connections and close every session
+     */
+    async close() {
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+            this.cleanupInterval = null;
+        }
+
+        const sessions = Array.from(this.sessions.values());
+        this.sessions.clear();
+        await Promise.all(sessions.map(session => this.closeSession(session)));
+
+        if (this.httpServer) {
+            const httpServer = this.httpServer;
+            this.httpServer = null;
+            await new Promise(resolve => httpServer.close(() => resolve()));
+        }
+    }
+
+    /**
+     * Logging helper
+     */
+    log(message, level = 'info') {
+        this.logger.log(message, level, 'HttpGateway');
+    }
+}
+
+module.exports = { StreamableHttpGateway, InMemoryEventStore };
@@ -0,0 +1,312 @@
+/**
+ * Job Tracker - long-running tool executions that outlive the request timeout
+ *
+ * The proxy answers `202 Accepted` with a job id for workflows that run for
+ * minutes. Pending jobs are kept in `jobs.json` next to the catalog cache so
+ * their ids survive a restart, and can be checked with the `uru__job_status`
+ * and `uru__job_result` meta-tools. Only a fingerprint of the API key that
+ * started a job is stored; a job is visible only to callers with that key.
+ * Jobs not updated for maxAgeMs (never fetched, or forgotten by the proxy)
+ * are dropped.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { fingerprint } = require('./key-fingerprint');
+
+const JOB_STATUS_TOOL_NAME = 'uru__job_status';
+const JOB_RESULT_TOOL_NAME = 'uru__job_result';
+
+const COMPLETED_STATES = new Set([
+    'completed',
+    'complete',
+    'succeeded',
+    'success',
+    'done',
+    'finished',
+]);
+const FAILED_STATES = new Set(['failed', 'failure', 'error', 'errored', 'cancelled', 'canceled']);
+
+/**
+ * Job Tracker - persisted registry of pending jobs
+ */
+class JobTracker {
+    /**
+     * @param {object} config
+     * @param {string} config.jobsFile - Where pending jobs are persisted
+     * @param {string} config.proxyUrl - Base URL for status endpoints
+     * @param {number} config.maxAgeMs - Jobs not updated for this long are dropped
+     */
+    constructor(config = {}) {
+        this.jobsFile = config.jobsFile;
+        this.proxyUrl = config.proxyUrl;
+        this.maxAgeMs = config.maxAgeMs || 7 * 24 * 60 * 60 * 1000;
+        this.logger = config.log || null;
+
+        // jobId -> job
+        this.jobs = new Map();
+        this.loadPromise = null;
+        this.savePromise = Promise.resolve();
+    }
+
+    /**
+     * Tool definitions for the job meta-tools
+     */
+    static getToolDefinitions() {
+        const jobId = {
+            type: 'string',
+            description: 'Job id returned when the tool call was accepted as a background job',
+        };
+        return [
+            {
+                name: JOB_STATUS_TOOL_NAME,
+                description:
+                    'Check the status and progress of a long-running Uru tool call that was accepted as a background job.',
+                inputSchema: {
+                    type: 'object',
+                    properties: { job_id: jobId },
+                    required: ['job_id'],
+                },
+                annotations: {
+                    title: '⏳ Uru Job Status',
+                    category: 'discovery',
+                    priority: 'high',
+                    readOnlyHint: true,
+                },
+            },
+            {
+                name: JOB_RESULT_TOOL_NAME,
+                description:
+                    'Get the result of a background job. Returns the tool result once the job has finished, otherwise its current status.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        job_id: jobId,
+                        wait_seconds: {
+                            type: 'integer',
+                            description:
+                                'Wait up to this many seconds for the job to finish (default 0, max 120)',
+                            minimum: 0,
+                            maximum: 120,
+                        },
+                    },
+                    required: ['job_id'],
+                },
+                annotations: {
+                    title: '📦 Uru Job Result',
+                    category: 'discovery',
+                    priority: 'high',
+                    readOnlyHint: true,
+                },
+            },
+        ];
+    }
+
+    /**
+     * Job details from a `202 Accepted` execute response, or null
+     * @param {object} response - Axios response
+     */
+    parseAccepted(response) {
+        if (response?.status !== 202 || !response.data || typeof response.data !== 'object') {
+            return null;
+        }
+        const body = response.data;
+        const jobId = body.job_id || body.jobId || body.data?.job_id || body.data?.jobId;
+        if (!jobId) {
+            return null;
+        }
+        return {
+            jobId: String(jobId),
+            statusUrl: this.resolveUrl(
+                body.status_url || body.statusUrl || body.data?.status_url,
+                `/jobs/${encodeURIComponent(jobId)}`
+            ),
+            resultUrl: this.resolveUrl(
+                body.result_url || body.resultUrl || body.data?.result_url,
+                null
+            ),
+        };
+    }
+
+    /**
+     * Normalize a job status body
+     * @returns {{state: string, progress?: number, total?: number, message?: string,
+     *   envelope?: object, resultUrl?: string}} state is pending, running, completed or failed
+     */
+    parseStatus(body) {
+        const raw = String(body?.status || body?.state || 'pending').toLowerCase();
+        const state = COMPLETED_STATES.has(raw)
+            ? 'completed'
+            : FAILED_STATES.has(raw)
+              ? 'failed'
+              : raw === 'running' || raw === 'in_progress' || raw === 'processing'
+                ? 'running'
+                : 'pending';
+
+        const status = { state };
+        if (Number.isFinite(Number(body?.progress))) {
+            status.progress = Number(body.progress);
+        }
+        if (Number.isFinite(Number(body?.total))) {
+            status.total = Number(body.total);
+        }
+        if (typeof body?.message === 'string') {
+            status.message = body.message;
+        }
+
+        if (state === 'completed') {
+            const result = body.result !== undefined ? body.result : body.data;
+            const isEnvelope =
+                result &&
+                typeof result === 'object' &&
+                ('successful' in result || 'success' in result);
+            if (isEnvelope) {
+                status.envelope = result;
+            } else if (result !== undefined) {
+                status.envelope = { successful: true, data: result };
+            }
+            status.resultUrl = this.resolveUrl(body.result_url || body.resultUrl, null);
+        } else if (state === 'failed') {
+            status.envelope = {
+                successful: false,
+                error: body.error || body.message || `Job ${raw}`,
+            };
+        }
+        return status;
+    }
+
+    /**
+     * Only proxy URLs are followed, so the API key never leaves the proxy
+     */
+    resolveUrl(url, fallbackPath) {
+        if (typeof url === 'string' && url.startsWith('/')) {
+            return `${this.proxyUrl}${url}`;
+        }
+        if (typeof url === 'string' && url.startsWith(`${this.proxyUrl}/`)) {
+            return url;
+        }
+        return fallbackPath ? `${this.proxyUrl}${fallbackPath}` : null;
+    }
+
+    /**
+     * Start tracking an accepted job
+     * @param {object} job - { jobId, statusUrl, resultUrl, toolName, namespace, appName }
+     * @param {string} apiKey - Key that started the job
+     */
+    async track(job, apiKey) {
+        await this.load();
+        const now = new Date().toISOString();
+        const entry = {
+            ...job,
+            keyFingerprint: fingerprint(apiKey),
+            status: 'pending',
+            createdAt: now,
+            updatedAt: now,
+        };
+        this.jobs.set(entry.jobId, entry);
+        await this.save();
+        this.log(`⏳ Tracking job ${entry.jobId} for '${entry.toolName}'`);
+        return entry;
+    }
+
+    /**
+     * A job started with this API key, or null
+     */
+    async get(jobId, apiKey) {
+        await this.load();
+        const job = this.jobs.get(String(jobId));
+        return job && job.keyFingerprint === fingerprint(apiKey) ? job : null;
+    }
+
+    async update(jobId, fields) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            return;
+        }
+        Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+        await this.save();
+    }
+
+    async remove(jobId) {
+        if (this.jobs.delete(jobId)) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Read persisted jobs once
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = (async () => {
+                try {
+                    if (this.jobsFile && (await fs.pathExists(this.jobsFile))) {
+                        const saved = await fs.readJson(this.jobsFile);
+                        for (const job of Array.isArray(saved?.jobs) ? saved.jobs : []) {
+                            if (job?.jobId && !this.jobs.has(job.jobId)) {
+                                this.jobs.set(job.jobId, job);
+                            }
+                        }
+                        this.pruneExpired();
+                        this.log(`✅ Loaded ${this.jobs.size} pending jobs`);
+                    }
+                } catch (error) {
+                    this.log(`⚠️ Failed to read pending jobs: ${error.message}`, 'warn');
+                }
+            })();
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Atomically write pending jobs; writes are serialized
+     */
+    save() {
+        if (!this.jobsFile) {
+            return Promise.resolve();
+        }
+        this.savePromise = this.savePromise.then(async () => {
+            const tempFile = `${this.jobsFile}.${process.pid}.tmp`;
+            try {
+                this.pruneExpired();
+                if (this.jobs.size === 0) {
+                    await fs.remove(this.jobsFile);
+                    return;
+                }
+                // writeJson creates the file, so its mode applies
+                await fs.ensureDir(path.dirname(this.jobsFile));
+                await fs.writeJson(
+                    tempFile,
+                    { jobs: Array.from(this.jobs.values()) },
+                    { mode: 0o600 }
+                );
+                await fs.move(tempFile, this.jobsFile, { overwrite: true });
+            } catch (error) {
+                this.log(`⚠️ Failed to save pending jobs: ${error.message}`, 'warn');
+                await fs.remove(tempFile).catch(() => {});
+            }
+        });
+        return this.savePromise;
+    }
+
+    /**
+     * Drop jobs whose last update is older than maxAgeMs
+     */
+    pruneExpired() {
+        const cutoff = Date.now() - this.maxAgeMs;
+        for (const [jobId, job] of this.jobs) {
+            if (Date.parse(job.updatedAt || job.createdAt) < cutoff) {
+                this.jobs.delete(jobId);
+                this.log(`🧹 Dropped expired job ${jobId} for '${job.toolName}'`);
+            }
+        }
+    }
+
+    log(message, level = 'info') {
+        if (this.logger) {
+            this.logger(message, level);
+        }
+    }
+}
+
+module.exports = { JobTracker, JOB_STATUS_TOOL_NAME, JOB_RESULT_TOOL_NAME };
@@ -0,0 +1,21 @@
+/**
+ * Key Fingerprint - short, non-reversible id of an API key
+ *
+ * Everything scoped to a caller (cache partitions, stored results and files,
+ * jobs, queued offline writes, audit records) is keyed by this fingerprint
+ * instead of the key itself. Every module must use this one helper: records
+ * written by one are matched by another.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * First 16 hex characters of the key's SHA-256
+ * @param {string|null} apiKey
+ * @returns {string}
+ */
+function fingerprint(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 16);
+}
+
+module.exports = { fingerprint };
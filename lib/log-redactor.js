@@ -0,0 +1,88 @@
+/**
+ * Log Redactor - keeps secrets and personal data out of debug logs
+ *
+ * Every debug log line passes through `redact()`, which masks secret fields
+ * (`api_key`, `token`, `password`, ...), bearer credentials, the configured
+ * API token and PII patterns (emails and phone numbers by default, plus any
+ * configured regular expressions). Tool arguments and proxy payloads are only
+ * logged with `--log-payloads`, and then capped at `maxPayloadChars`.
+ */
+
+const SECRET_FIELD =
+    /(["']?)([\w-]*(?:api[_-]?key|token|secret|password|passwd|authorization|cookie|credential)[\w-]*)\1(\s*[:=]\s*)("(?:[^"\\]|\\.)*"|'[^']*'|[^\s,;&}\]]+)/gi;
+const AUTH_SCHEME = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi;
+
+const PII_PATTERNS = {
+    email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    phone: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4}(?!\w)/g,
+};
+
+/**
+ * Log Redactor - masks log messages and formats payloads for logging
+ */
+class LogRedactor {
+    /**
+     * @param {object} config
+     * @param {Array<string>} config.secrets - Exact values to mask (e.g. the configured token)
+     * @param {Array<string>} config.patterns - Extra PII regular expressions
+     * @param {boolean} config.logPayloads - Log tool arguments and proxy payloads
+     * @param {number} config.maxPayloadChars - Longer payloads are cut
+     */
+    constructor(config = {}) {
+        this.secrets = (config.secrets || []).filter(
+            secret => typeof secret === 'string' && secret.length >= 8
+        );
+        this.piiPatterns = [
+            ...Object.values(PII_PATTERNS),
+            ...(config.patterns || []).map(pattern => new RegExp(pattern, 'g')),
+        ];
+        this.logPayloads = config.logPayloads === true;
+        this.maxPayloadChars = config.maxPayloadChars || 2000;
+    }
+
+    /**
+     * Mask secrets and PII in a log message
+     */
+    redact(message) {
+        let text = String(message);
+        for (const secret of this.secrets) {
+            text = text.split(secret).join('[REDACTED]');
+        }
+        text = text
+            .replace(AUTH_SCHEME, '$1 [REDACTED]')
+            .replace(SECRET_FIELD, (match, quote, key, separator, value) => {
+                const masked = value.startsWith('"') ? '"[REDACTED]"' : '[REDACTED]';
+                return `${quote}${key}${quote}${separator}${masked}`;
+            });
+        for (const pattern of this.piiPatterns) {
+            text = text.replace(pattern, '[PII]');
+        }
+        return text;
+    }
+
+    /**
+     * A payload as it may appear in a log line: omitted unless payload logging
+     * is on, and capped at maxPayloadChars. The whole line is still redacted.
+     */
+    payload(value) {
+        let text;
+        try {
+            text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+        } catch (error) {
+            text = String(value);
+        }
+        text = text === undefined ? 'undefined' : text;
+
+        if (!this.logPayloads) {
+            return `[${text.length} chars omitted; start with --log-payloads to log payloads]`;
+        }
+        if (text.length > this.maxPayloadChars) {
+            return `${text.slice(0, this.maxPayloadChars)}… [${
+                text.length - this.maxPayloadChars
+            } more chars]`;
+        }
+        return text;
+    }
+}
+
+module.exports = { LogRedactor };
@@ -0,0 +1,181 @@
+/**
+ * Logger - shared leveled logging for every component
+ *
+ * Entries use the MCP (syslog) levels. Those at or above the configured level
+ * are written to stderr, as text or JSON lines, and optionally appended as
+ * JSON lines to a log file that is rotated by size. Every entry is also
+ * passed to the registered sinks, which is how the server forwards logs to
+ * MCP clients as `notifications/message`. Messages are redacted first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOG_LEVELS = [
+    'debug',
+    'info',
+    'notice',
+    'warning',
+    'error',
+    'critical',
+    'alert',
+    'emergency',
+];
+const LEVEL_ALIASES = { warn: 'warning', success: 'info', fatal: 'critical' };
+
+/**
+ * Logger - leveled stderr, file and sink output
+ */
+class Logger {
+    /**
+     * @param {object} config
+     * @param {string} config.level - Lowest level written to stderr and the file
+     * @param {string} config.format - 'text' (default) or 'json' for stderr
+     * @param {string} config.file - Optional JSON-lines log file
+     * @param {number} config.maxFileBytes - The file is rotated past this size
+     * @param {number} config.maxFiles - Rotated files kept (file.1 ... file.N)
+     * @param {object} config.redactor - LogRedactor applied to every message
+     */
+    constructor(config = {}) {
+        this.level = Logger.normalizeLevel(config.level || 'info');
+        this.format = config.format === 'json' ? 'json' : 'text';
+        this.redactor = config.redactor || null;
+        this.stream = config.stream || process.stderr;
+
+        this.file = config.file || null;
+        this.maxFileBytes = config.maxFileBytes || 10 * 1024 * 1024;
+        this.maxFiles = config.maxFiles ?? 5;
+        this.fileSize = null;
+
+        this.sinks = new Set();
+        this.dispatching = false;
+    }
+
+    /**
+     * MCP level for a level name; 'warn' and 'success' are accepted aliases
+     */
+    static normalizeLevel(level) {
+        const name = String(level || 'info').toLowerCase();
+        const normalized = LEVEL_ALIASES[name] || name;
+        return LOG_LEVELS.includes(normalized) ? normalized : 'info';
+    }
+
+    static isValidLevel(level) {
+        const name = String(level).toLowerCase();
+        return LOG_LEVELS.includes(LEVEL_ALIASES[name] || name);
+    }
+
+    /**
+     * Whether an entry at level passes a threshold
+     */
+    static meetsLevel(level, threshold) {
+        return (
+            LOG_LEVELS.indexOf(Logger.normalizeLevel(level)) >=
+            LOG_LEVELS.indexOf(Logger.normalizeLevel(threshold))
+        );
+    }
+
+    setLevel(level) {
+        this.level = Logger.normalizeLevel(level);
+    }
+
+    /**
+     * Receive every entry ({ time, level, logger, message }), whatever the level
+     * @returns {() => void} Removes the sink
+     */
+    addSink(sink) {
+        this.sinks.add(sink);
+        return () => this.sinks.delete(sink);
+    }
+
+    /**
+     * Log a message
+     * @param {string} message
+     * @param {string} level - MCP level or alias
+     * @param {string} component - Logger name, e.g. 'NamespaceManager'
+     */
+    log(message, level = 'info', component = 'uru-mcp') {
+        const normalized = Logger.normalizeLevel(level);
+        const written = Logger.meetsLevel(normalized, this.level);
+        if (!written && this.sinks.size === 0) {
+            return;
+        }
+
+        const text = String(message);
+        const entry = {
+            time: new Date().toISOString(),
+            level: normalized,
+            logger: component,
+            message: this.redactor ? this.redactor.redact(text) : text,
+        };
+
+        if (written) {
+            this.stream.write(`${this.formatEntry(entry)}\n`);
+            if (this.file) {
+                this.appendToFile(`${JSON.stringify(entry)}\n`);
+            }
+        }
+
+        // A sink that logs while handling an entry must not recurse
+        if (this.dispatching) {
+            return;
+        }
+        this.dispatching = true;
+        try {
+            for (const sink of this.sinks) {
+                try {
+                    sink(entry);
+                } catch (error) {
+                    // Sinks are best effort
+                }
+            }
+        } finally {
+            this.dispatching = false;
+        }
+    }
+
+    formatEntry(entry) {
+        if (this.format === 'json') {
+            return JSON.stringify(entry);
+        }
+        return `[${entry.time}] [${entry.level.toUpperCase()}] [${entry.logger}] ${entry.message}`;
+    }
+
+    /**
+     * Append a line, rotating the file first when it would grow past maxFileBytes
+     */
+    appendToFile(line) {
+        try {
+            if (this.fileSize === null) {
+                fs.mkdirSync(path.dirname(this.file), { recursive: true });
+                this.fileSize = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+            }
+            const bytes = Buffer.byteLength(line);
+            if (this.fileSize > 0 && this.fileSize + bytes > this.maxFileBytes) {
+                this.rotate();
+            }
+            fs.appendFileSync(this.file, line, { mode: 0o600 });
+            this.fileSize += bytes;
+        } catch (error) {
+            this.stream.write(`[Logger] Failed to write ${this.file}: ${error.message}\n`);
+            this.file = null;
+        }
+    }
+
+    rotate() {
+        if (this.maxFiles < 1) {
+            fs.rmSync(this.file, { force: true });
+        } else {
+            fs.rmSync(`${this.file}.${this.maxFiles}`, { force: true });
+            for (let index = this.maxFiles - 1; index >= 1; index--) {
+                if (fs.existsSync(`${this.file}.${index}`)) {
+                    fs.renameSync(`${this.file}.${index}`, `${this.file}.${index + 1}`);
+                }
+            }
+            fs.renameSync(this.file, `${this.file}.1`);
+        }
+        this.fileSize = 0;
+    }
+}
+
+module.exports = { Logger, LOG_LEVELS };
@@ -11,15 +11,51 @@ const {
     CallToolRequestSchema,
     ListToolsRequestSchema,
     InitializedNotificationSchema,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ReadResourceRequestSchema,
+    ListPromptsRequestSchema,
+    GetPromptRequestSchema,
+    CompleteRequestSchema,
+    SetLevelRequestSchema,
     McpError,
     ErrorCode,
 } = require('@modelcontextprotocol/sdk/types.js');
+const { AsyncLocalStorage } = require('async_hooks');
 const axios = require('axios');
-const chalk = require('chalk');
+const path = require('path');
 
 // Import hierarchical namespace components
 const { DynamicToolRegistry, ToolNamespaceManager } = require('./namespace-manager');
 const { IntelligentToolLoader } = require('./tool-loader');
+const { StreamableHttpGateway } = require('./http-transport');
+const { NamespaceResourceCatalog } = require('./resource-catalog');
+const { PromptCatalog } = require('./prompt-catalog');
+const { ToolParameterValidator } = require('./schema-validator');
+const { RetryPolicy } = require('./retry-policy');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { CatalogCache } = require('./catalog-cache');
+const { OfflineMode } = require('./offline-mode');
+const { ToolSearch, SEARCH_TOOL_NAME } = require('./tool-search');
+const { ToolPolicy } = require('./tool-policy');
+const { ConfirmationGate } = require('./confirmation-gate');
+const { ResultFileStore } = require('./result-files');
+const { ProgressReporter } = require('./progress-reporter');
+const { JobTracker, JOB_STATUS_TOOL_NAME, JOB_RESULT_TOOL_NAME } = require('./job-tracker');
+const { ResultStore, READ_RESULT_TOOL_NAME } = require('./result-store');
+const { PipelineCatalog, resolveReferences } = require('./pipeline-catalog');
+const { LogRedactor } = require('./log-redactor');
+const { Logger } = require('./logger');
+const { AuditLog } = require('./audit-log');
+const { MetricsRegistry, MetricsServer } = require('./metrics');
+const { Tracer } = require('./tracing');
+const { fingerprint } = require('./key-fingerprint');
+
+// Clients that never sent logging/setLevel receive warnings and above
+const DEFAULT_CLIENT_LOG_LEVEL = 'warning';
+
+// Most calls one namespace__execute_batch request may hold
+const MAX_BATCH_CALLS = 100;
 
 class UruMCPServer {
     constructor(config) {
@@ -32,22 +68,109 @@ class UruMCPServer {
         this.debug = config.debug;
         this.isConnected = false;
         this._transport = null;
+        this._httpGateway = null;
         this._toolsVersionMonitor = null;
         this._toolsSyncEtag = null;
         this._lastToolsVersion = 0;
         this._stdinLifecycleHandlers = null;
         this._shutdownPromise = null;
 
+        // Proxy executions; cancelled calls are counted apart from failures
+        this.executionStats = { calls: 0, failed: 0, cancelled: 0 };
+
+        // Secrets and PII are masked in every debug log line
+        this.redactor = new LogRedactor({
+            secrets: [this.token],
+            patterns: config.logRedactPatterns || [],
+            logPayloads: config.logPayloads === true,
+            maxPayloadChars: config.logPayloadMaxChars,
+        });
+
+        // Shared by every component; entries are also forwarded to MCP clients
+        this.logger = new Logger({
+            level: config.logLevel || (this.debug ? 'debug' : 'warning'),
+            format: config.logFormat,
+            file: config.logFile,
+            maxFileBytes: config.logFileMaxBytes,
+            maxFiles: config.logFileMaxFiles,
+            redactor: this.redactor,
+        });
+        // Protocol server -> level the client asked for with logging/setLevel
+        this.clientLogLevels = new WeakMap();
+        // Protocol server of the request being handled, so its logs reach only that client
+        this.requestContext = new AsyncLocalStorage();
+        this.logger.addSink(entry => this.forwardLogEntry(entry));
+
+        // Prometheus metrics, served on metricsPort when one is configured
+        this.metricsRegistry = new MetricsRegistry();
+        this.meters = this.createMeters(this.metricsRegistry);
+        this._metricsServer = null;
+
+        // OpenTelemetry spans for requests and proxy calls; off unless an exporter is set
+        this.tracer = new Tracer({
+            exporter: config.traceExporter,
+            file: config.traceFile,
+            endpoint: config.traceEndpoint,
+            serviceName: config.traceServiceName,
+            log: (message, level) => this.log(message, level),
+        });
+
         this.log('[INFO] Uru MCP Server initializing with hierarchical namespaces...');
         this.log(`[INFO] Proxy URL: ${this.proxyUrl}`);
-        this.log(
-            `[INFO] Token: ${this.token ? this.token.substring(0, 20) + '...' : 'none'}`
-        );
+        this.log(`[INFO] Token fingerprint: ${this.token ? fingerprint(this.token) : 'none'}`);
+
+        // Shared retry policy for every proxy call
+        this.retryPolicy = new RetryPolicy({
+            retries: config.retries ?? 3,
+            retryExecute: config.retryExecute === true,
+            deadlineMs: config.timeout || 180000,
+            log: (message, level) => this.log(message, level),
+        });
+
+        // Circuit breaker around every proxy call; half-open probes use /health
+        this.circuitBreaker = new CircuitBreaker({
+            failureThreshold: config.circuitFailureThreshold || 5,
+            resetTimeoutMs: config.circuitResetMs || 30000,
+            probe: () => this.probeProxyHealth(),
+            log: (message, level) => this.log(message, level),
+            observe: (result, error) =>
+                this.meters.proxyRequests.inc({ status: this.proxyStatusLabel(result, error) }),
+        });
+
+        // On-disk catalog snapshot so restarts can serve tools/list immediately
+        this.catalogCache =
+            config.persistCatalog !== false
+                ? new CatalogCache({
+                      cacheDir: config.cacheDir,
+                      proxyUrl: this.proxyUrl,
+                      debug: this.debug,
+                      logger: this.logger,
+                  })
+                : null;
+
+        // Offline mode: forced with --offline, automatic while the circuit is open
+        this.offlineMode = new OfflineMode({
+            forced: config.offline === true,
+            queueWrites: config.queueOfflineWrites === true,
+            journalFile: path.join(
+                config.cacheDir || CatalogCache.getDefaultCacheDir(),
+                'offline-journal.jsonl'
+            ),
+            circuitBreaker: this.circuitBreaker,
+            replayIntervalMs: config.circuitResetMs || 30000,
+            log: (message, level) => this.log(message, level),
+        });
+
+        // Allow/deny policy enforced regardless of what the proxy exposes
+        this.toolPolicy = config.policyFile ? ToolPolicy.fromFile(config.policyFile) : null;
 
         // Initialize hierarchical namespace components
+        // Registry and namespace caches are partitioned by API key
         this.toolRegistry = new DynamicToolRegistry({
             maxCacheAge: config.cacheTimeout || 300000,
             maxNamespaces: config.maxNamespaces || 20,
+            maxTenants: config.maxTenants || 50,
+            defaultApiKey: this.token,
         });
 
         this.namespaceManager = new ToolNamespaceManager({
@@ -56,6 +179,14 @@ class UruMCPServer {
             debug: this.debug,
             cacheTimeout: config.cacheTimeout || 30000,
             timeout: config.timeout || 30000,
+            retryPolicy: this.retryPolicy,
+            circuitBreaker: this.circuitBreaker,
+            catalogCache: this.catalogCache,
+            offlineMode: this.offlineMode,
+            maxTenants: config.maxTenants || 50,
+            redactor: this.redactor,
+            logger: this.logger,
+            tracer: this.tracer,
         });
 
         this.toolLoader = new IntelligentToolLoader(
@@ -64,15 +195,101 @@ class UruMCPServer {
             {
                 // No max tool limit by default; can be overridden via config if needed
                 maxToolsPerPage: config.maxToolsPerPage ?? Infinity,
+                toolExposure: config.toolExposure || 'hierarchical',
+                pinnedNamespaces: config.pinnedNamespaces || [],
+                toolPolicy: this.toolPolicy,
                 preloadNamespaces: config.preloadNamespaces || ['platform', 'company'],
                 enableParallelLoading: config.enableParallelLoading !== false,
                 enablePredictiveLoading: config.enablePredictiveLoading || false,
                 debug: this.debug,
+                redactor: this.redactor,
+                logger: this.logger,
+                metricsRegistry: this.metricsRegistry,
             }
         );
 
+        this.resourceCatalog = new NamespaceResourceCatalog(
+            this.namespaceManager,
+            this.toolLoader
+        );
+
+        this.parameterValidator = new ToolParameterValidator();
+
+        // Human confirmation for destructive tools (elicitation or confirm token)
+        this.confirmationGate = new ConfirmationGate({
+            patterns: config.confirmTools || [],
+            honorDestructiveHint: config.confirmDestructive !== false,
+        });
+
+        // Files in tool results, inlined or served through resources/read
+        this.resultFiles = new ResultFileStore({
+            maxInlineBytes: config.maxInlineFileBytes,
+            fetchFile: (url, apiKey) => this.fetchResultFile(url, apiKey),
+        });
+
+        // Cross-namespace search, listed as the top-level uru__search_tools tool
+        this.toolSearch = new ToolSearch(this.namespaceManager, this.toolLoader);
+        this.toolLoader.addMetaTool(this.toolSearch.getToolDefinition());
+
+        // Background jobs for workflows that outlive the request timeout
+        this.jobTracker = new JobTracker({
+            jobsFile: path.join(
+                config.cacheDir || CatalogCache.getDefaultCacheDir(),
+                'jobs.json'
+            ),
+            proxyUrl: this.proxyUrl,
+            log: (message, level) => this.log(message, level),
+        });
+        for (const tool of JobTracker.getToolDefinitions()) {
+            this.toolLoader.addMetaTool(tool);
+        }
+
+        // Append-only record of every proxy execution, queried with --audit
+        this.auditLog =
+            config.auditLog !== false
+                ? new AuditLog({
+                      file: config.auditFile,
+                      redactor: this.redactor,
+                      log: (message, level) => this.log(message, level),
+                  })
+                : null;
+
+        // Oversized results are truncated; the rest is read with uru__read_result
+        this.resultStore = new ResultStore({ maxChars: config.maxResultChars });
+        this.toolLoader.addMetaTool(ResultStore.getToolDefinition());
+
+        // Declarative multi-step pipelines, each listed as a pipeline__{name} tool
+        this.pipelineCatalog = config.pipelinesDir
+            ? PipelineCatalog.fromDir(config.pipelinesDir)
+            : new PipelineCatalog();
+        for (const tool of this.pipelineCatalog.getToolDefinitions()) {
+            this.toolLoader.addMetaTool(tool);
+        }
+
+        this.promptCatalog = new PromptCatalog(this.namespaceManager, this.toolLoader, {
+            proxyUrl: this.proxyUrl,
+            token: this.token,
+            debug: this.debug,
+            timeout: config.timeout || 30000,
+            cacheTimeout: config.cacheTimeout || 30000,
+            maxTenants: config.maxTenants || 50,
+            promptsDir: config.promptsDir,
+            circuitBreaker: this.circuitBreaker,
+            logger: this.logger,
+        });
+
         // Create MCP server instance with updated information
-        this.server = new Server(
+        this.server = this.createProtocolServer();
+    }
+
+    /**
+     * Create an MCP protocol server with all request handlers registered.
+     * The stdio transport uses a single instance; the HTTP gateway creates
+     * one per session because each SDK server binds to exactly one transport.
+     */
+    createProtocolServer() {
+        const config = this.config;
+        const server = new Server(
             {
                 name: 'uru-mcp',
                 version: '3.6.8',
@@ -85,7 +302,7 @@ HOW TO USE:
 
 1. DISCOVERY: Call tools/list to see namespace tools (e.g., company__list_tools, company__execute_tool)
 
-2. EXPLORATION: Call namespace list_tools (e.g., company__list_tools) to see available tools in that namespace
+2. EXPLORATION: Call namespace list_tools (e.g., company__list_tools) to see available tools in that namespace, or call uru__search_tools with a query to find a capability across all namespaces
 
 3. EXECUTION: Call namespace execute_tool (e.g., company__execute_tool) with tool_name and parameters
 
@@ -101,16 +318,18 @@ This hierarchical approach provides full MCP compliance while efficiently managi
                     tools: {
                         listChanged: config.enableToolListChanged !== false,
                     },
-                    resources: {},
-                    prompts: {},
-                    logging: {
-                        level: 'info',
+                    resources: {
+                        listChanged: config.enableToolListChanged !== false,
                     },
+                    prompts: {},
+                    completions: {},
+                    logging: {},
                 },
             }
         );
 
-        this.setupHandlers();
+        this.setupHandlers(server);
+        return server;
     }
 
     /**
@@ -156,15 +375,36 @@ This hierarchical approach provides full MCP compliance while efficiently managi
     }
 
     /**
-     * Log messages for internal debugging only
-     * Always use stderr to avoid contaminating JSON-RPC on stdout
-     * Note: MCP notifications should NOT be used for routine logging
+     * Log through the shared logger (stderr, never stdout, so JSON-RPC stays clean)
      */
     log(message, level = 'info') {
-        // Internal debug logging to stderr only
-        if (this.debug) {
-            console.error(chalk.gray(`[Uru MCP] ${message}`));
+        this.logger.log(message, level, 'server');
+    }
+
+    /**
+     * Send a log entry as notifications/message to the client whose request
+     * logged it, if it meets that client's logging/setLevel threshold. Entries
+     * logged outside a request only go to the stdio client: over HTTP they
+     * could carry another tenant's tools, accounts or payloads.
+     */
+    forwardLogEntry(entry) {
+        const server =
+            this.requestContext.getStore()?.server || (this._httpGateway ? null : this.server);
+        if (!server || !server.getClientCapabilities()) {
+            return;
         }
+        const level = this.clientLogLevels.get(server) || DEFAULT_CLIENT_LOG_LEVEL;
+        if (!Logger.meetsLevel(entry.level, level)) {
+            return;
+        }
+        // Not logged: a failure here would be forwarded again
+        server
+            .sendLoggingMessage({
+                level: entry.level,
+                logger: entry.logger,
+                data: entry.message,
+            })
+            .catch(() => {});
     }
 
     /**
@@ -408,6 +648,38 @@ This hierarchical approach provides full MCP compliance while efficiently managi
             }
         }
 
+        const invalidParameters = this.extractToolErrorDetail(
+            data,
+            'invalid_parameters'
+        );
+        if (Array.isArray(invalidParameters) && invalidParameters.length > 0) {
+            const lines = invalidParameters.map(
+                issue => `- \`${issue.field}\` ${issue.message}`
+            );
+            sections.push(`Invalid parameters:\n${lines.join('\n')}`);
+        }
+
+        const example = this.extractToolErrorDetail(data, 'example');
+        if (example && typeof example === 'object') {
+            sections.push(
+                `Corrected example:\n\`\`\`json\n${JSON.stringify(
+                    example,
+                    null,
+                    2
+                )}\n\`\`\``
+            );
+        }
+
+        const reason = this.extractToolErrorDetail(data, 'reason');
+        if (typeof reason === 'string' && reason.trim()) {
+            sections.push(`Reason: ${reason.trim()}`);
+        }
+
+        const policyRule = this.extractToolErrorDetail(data, 'policy_rule');
+        if (typeof policyRule === 'string' && policyRule.trim()) {
+            sections.push(`Policy rule: ${policyRule.trim()}`);
+        }
+
         const tip =
             this.extractToolErrorDetail(data, 'tip') ||
             this.extractToolErrorDetail(data, 'suggestion');
@@ -461,40 +733,62 @@ This hierarchical approach provides full MCP compliance while efficiently managi
         try {
             // Test connection to proxy (skip in test mode)
             if (!this.config.testMode) {
-                try {
-                    await this.testProxyConnection();
-                    this.log('✅ Proxy connection successful');
-
-                    // Clear all caches on startup to ensure fresh tools
-                    this.log('[INFO] Clearing caches for fresh tool discovery...');
-                    this.toolRegistry.clearCaches();
-                    this.namespaceManager.clearCaches();
-                    this.toolLoader.clearCaches();
-                    this.log('✅ Caches cleared - fresh tools will be loaded');
-
-                    // Pre-warm namespace cache for Claude Desktop performance
-                    this.log('[INFO] Pre-warming namespace cache...');
+                const snapshot = await this.restoreCatalogSnapshot();
+                if (this.offlineMode.forced) {
+                    this.log('[INFO] Offline mode: serving the cached catalog only');
+                    if (!snapshot) {
+                        this.log(
+                            '[WARNING]: Offline mode without a catalog cache - no tools are available',
+                            'warn'
+                        );
+                    }
+                } else if (snapshot) {
+                    // Serve the snapshot now; the proxy is contacted in the background
+                    void this.revalidateCatalogSnapshot(snapshot);
+                } else {
                     try {
-                        await this.namespaceManager.fetchNamespacesFromProxy();
-                        this.log('✅ Namespace cache pre-warmed successfully');
-                    } catch (cacheError) {
+                        await this.testProxyConnection();
+                        this.log('✅ Proxy connection successful');
+
+                        // Clear all caches on startup to ensure fresh tools
+                        this.log('[INFO] Clearing caches for fresh tool discovery...');
+                        this.toolRegistry.clearCaches();
+                        this.namespaceManager.clearCaches();
+                        this.toolLoader.clearCaches();
+                        this.log('✅ Caches cleared - fresh tools will be loaded');
+
+                        // Pre-warm namespace cache for Claude Desktop performance
+                        this.log('[INFO] Pre-warming namespace cache...');
+                        try {
+                            await this.namespaceManager.fetchNamespacesFromProxy();
+                            this.log('✅ Namespace cache pre-warmed successfully');
+                        } catch (cacheError) {
+                            this.log(
+                                `[WARNING]: Cache pre-warming failed: ${cacheError.message}`,
+                                'warn'
+                            );
+                        }
+                    } catch (error) {
+                        this.log(
+                            `[WARNING]: Proxy connection test failed: ${error.message}`,
+                            'warn'
+                        );
                         this.log(
-                            `[WARNING]: Cache pre-warming failed: ${cacheError.message}`,
+                            '[WARNING]: Server will start anyway - tools may fail until proxy is available',
                             'warn'
                         );
                     }
-                } catch (error) {
-                    this.log(
-                        `[WARNING]: Proxy connection test failed: ${error.message}`,
-                        'warn'
-                    );
-                    this.log(
-                        '[WARNING]: Server will start anyway - tools may fail until proxy is available',
-                        'warn'
-                    );
                 }
 
-                this.startToolsVersionMonitor();
+                if (!this.offlineMode.forced) {
+                    this.startToolsVersionMonitor();
+                    if (this.token) {
+                        this.offlineMode.startReplayMonitor(
+                            entry => this.replayQueuedWrite(entry),
+                            this.token
+                        );
+                    }
+                }
             } else {
                 this.log(
                     '[WARNING]: Running in test mode - skipping proxy connection test'
@@ -503,22 +797,118 @@ This hierarchical approach provides full MCP compliance while efficiently managi
 
             this.log('[INFO] Starting MCP server...');
 
-            // Create transport and start server
-            const transport = new StdioServerTransport();
-            this._transport = transport;
-            this._bindStdioLifecycle(process.stdin);
-            await this.server.connect(transport);
+            if (this.config.metricsPort !== undefined && this.config.metricsPort !== null) {
+                this._metricsServer = new MetricsServer(this.metricsRegistry, {
+                    host: this.config.metricsHost,
+                    port: this.config.metricsPort,
+                    log: (message, level) => this.log(message, level),
+                });
+                await this._metricsServer.listen();
+            }
+
+            if (this.config.transport === 'http') {
+                // Serve Streamable HTTP; each session gets its own protocol server
+                this._httpGateway = new StreamableHttpGateway(this, {
+                    host: this.config.host,
+                    port: this.config.port,
+                    token: this.token,
+                    allowDefaultToken: this.config.httpAllowDefaultToken === true,
+                    maxBodyBytes: this.config.httpMaxBodyBytes,
+                    debug: this.debug,
+                    logger: this.logger,
+                });
+                await this._httpGateway.listen();
+            } else {
+                // Create transport and start server
+                const transport = new StdioServerTransport();
+                this._transport = transport;
+                this._bindStdioLifecycle(process.stdin);
+                await this.server.connect(transport);
+            }
 
             // Mark as connected after successful connection
             this.isConnected = true;
 
             this.log('[INFO] MCP server started successfully');
         } catch (error) {
-            this.log(`[ERROR]: Failed to start server: ${error.message}`);
+            this.log(`[ERROR]: Failed to start server: ${error.message}`, 'error');
             throw error;
         }
     }
 
+    /**
+     * Load the on-disk catalog snapshot for the configured API key and seed
+     * the in-memory caches with it
+     * @returns {Promise<object|null>} The restored snapshot, or null
+     */
+    async restoreCatalogSnapshot() {
+        if (!this.catalogCache || !this.token) {
+            return null;
+        }
+
+        const snapshot = await this.catalogCache.load(this.token);
+        if (!snapshot || snapshot.namespaces.length === 0) {
+            return null;
+        }
+
+        this.toolLoader.restoreSnapshot(snapshot);
+        if (snapshot.toolsVersion > 0) {
+            // The version monitor's first poll now revalidates the snapshot
+            this._lastToolsVersion = snapshot.toolsVersion;
+            this.catalogCache.setToolsVersion(snapshot.toolsVersion);
+        }
+
+        this.log(
+            `[INFO] Serving cached catalog (${snapshot.namespaces.length} namespaces, tools version ${snapshot.toolsVersion || 'unknown'}, saved ${snapshot.savedAt})`
+        );
+        return snapshot;
+    }
+
+    /**
+     * Refresh a restored snapshot from the proxy without blocking startup.
+     * When the snapshot has a tools version and list-changed notifications
+     * are enabled, the version monitor handles this instead.
+     */
+    async revalidateCatalogSnapshot(snapshot) {
+        const notify = this.config.enableToolListChanged !== false;
+        if (notify && snapshot.toolsVersion > 0) {
+            return;
+        }
+
+        try {
+            const namespaces = await this.namespaceManager.fetchNamespacesFromProxy(null, {
+                forceRefresh: true,
+            });
+            this.log('✅ Cached catalog revalidated against the proxy');
+
+            if (notify && JSON.stringify(namespaces) !== JSON.stringify(snapshot.namespaces)) {
+                await this.broadcast(server => server.sendToolListChanged());
+                await this.broadcast(server => server.sendResourceListChanged());
+            }
+        } catch (error) {
+            this.log(
+                `[WARNING]: Cached catalog revalidation failed: ${error.message}`,
+                'warn'
+            );
+        }
+    }
+
+    /**
+     * Send one queued offline write to the proxy. The entry id goes out as
+     * the Idempotency-Key, so the proxy can drop a write it already ran when
+     * an earlier attempt failed after reaching it.
+     */
+    async replayQueuedWrite(entry) {
+        return this.executeToolOnProxy(
+            entry.toolName,
+            entry.parameters,
+            entry.appName,
+            null,
+            entry.namespace,
+            { idempotencyKey: entry.id }
+        );
+    }
+
     /**
      * Test connection to proxy with fallback endpoints
      */
@@ -555,7 +945,8 @@ This hierarchical approach provides full MCP compliance while efficiently managi
                         // If no token is configured, this is expected - just warn
                         if (!this.token) {
                             this.log(
-                                '⚠️ No authentication token configured - API keys must be provided in tool arguments'
+                                '⚠️ No authentication token configured - API keys must be provided in tool arguments',
+                                'warn'
                             );
                             return true;
                         }
@@ -574,6 +965,18 @@ This hierarchical approach provides full MCP compliance while efficiently managi
         );
     }
 
+    /**
+     * Half-open probe for the circuit breaker: any non-5xx /health answer
+     * means the proxy is reachable again
+     */
+    async probeProxyHealth() {
+        await axios.get(`${this.proxyUrl}/health`, {
+            timeout: Math.min(this.config.timeout || 10000, 10000),
+            headers: this.getAuthHeaders(),
+            validateStatus: status => status < 500,
+        });
+    }
+
     /**
      * Get authentication headers
      * @param {string} apiKey - Optional API key to use instead of the configured token
@@ -590,15 +993,37 @@ This hierarchical approach provides full MCP compliance while efficiently managi
             headers['Authorization'] = `Bearer ${tokenToUse}`;
         }
 
-        return headers;
+        // W3C trace context, so the proxy can join the active trace
+        return { ...headers, ...this.tracer.headers() };
+    }
+
+    /**
+     * Resolve the API key bound to the transport session, if any.
+     * Only the HTTP gateway attaches credentials; stdio requests return null.
+     * @param {object} extra - Request handler extra supplied by the SDK
+     */
+    getSessionApiKey(extra) {
+        const token = extra?.authInfo?.token;
+        return typeof token === 'string' && token ? token : null;
     }
 
     /**
      * Setup MCP request handlers for hierarchical namespace system
+     * @param {Server} server - Protocol server to register handlers on
      */
-    setupHandlers() {
+    setupHandlers(server = this.server) {
+        // Every request is traced, counted and timed, and logs to its own client only
+        const handle = (schema, handler) =>
+            server.setRequestHandler(schema, (request, extra) =>
+                this.requestContext.run({ server }, () =>
+                    this.traceRequest(request, extra, () =>
+                        this.observeRequest(request.method, () => handler(request, extra))
+                    )
+                )
+            );
+
         // Handle tool listing with hierarchical namespacing
-        this.server.setRequestHandler(ListToolsRequestSchema, async request => {
+        handle(ListToolsRequestSchema, async (request, extra) => {
             try {
                 this.log('📋 MCP client requesting tool list...');
 
@@ -608,7 +1033,11 @@ This hierarchical approach provides full MCP compliance while efficiently managi
                 }
 
                 const cursor = request.params?.cursor;
-                const result = await this.toolLoader.getToolsForListing(cursor);
+                const result = await this.toolLoader.getToolsForListing(
+                    cursor,
+                    null,
+                    this.getSessionApiKey(extra)
+                );
 
                 // Removed legacy 'uru_help' injection to avoid duplicates and confusion.
                 // Help is provided via top-level namespaces (e.g., Uru Platform Guide / Tool Info).
@@ -683,13 +1112,116 @@ This hierarchical approach provides full MCP compliance while efficiently managi
 
         // Handle notifications/initialized (required by MCP protocol)
         // Handle notifications/initialized (required by MCP protocol)
-        this.server.setNotificationHandler(InitializedNotificationSchema, async () => {
+        server.setNotificationHandler(InitializedNotificationSchema, async () => {
             this.log('📨 Client initialized notification received');
             return {}; // Return empty object for notifications
         });
 
+        // Expose namespace catalogs as resources
+        handle(ListResourcesRequestSchema, async (request, extra) => {
+            try {
+                const resources = await this.resourceCatalog.listResources(
+                    this.getSessionApiKey(extra)
+                );
+                this.log(`📚 Returning ${resources.length} namespace resources`);
+                return { resources };
+            } catch (error) {
+                this.log(`❌ Error in resources/list: ${error.message}`, 'error');
+                throw this.toResourceError(error, 'Failed to list resources');
+            }
+        });
+
+        handle(ListResourceTemplatesRequestSchema, async () => ({
+            resourceTemplates: this.resourceCatalog.getResourceTemplates(),
+        }));
+
+        handle(ReadResourceRequestSchema, async (request, extra) => {
+            const { uri } = request.params;
+            this.log(`📖 Reading resource: ${uri}`);
+
+            let result;
+            try {
+                result = ResultFileStore.isFileUri(uri)
+                    ? await this.resultFiles.read(uri, this.getSessionApiKey(extra) || this.token)
+                    : await this.resourceCatalog.readResource(uri, this.getSessionApiKey(extra));
+            } catch (error) {
+                this.log(`❌ Error reading resource '${uri}': ${error.message}`, 'error');
+                throw this.toResourceError(error, `Failed to read resource '${uri}'`);
+            }
+
+            if (!result) {
+                throw this.createMcpError(-32002, `Resource not found: ${uri}`, {
+                    uri,
+                    suggestion:
+                        'Call resources/list to see available namespace resources',
+                });
+            }
+            return result;
+        });
+
+        // Serve workflow prompts from the prompt catalog
+        handle(ListPromptsRequestSchema, async (request, extra) => {
+            const prompts = await this.promptCatalog.listPrompts(
+                this.getSessionApiKey(extra)
+            );
+            this.log(`💬 Returning ${prompts.length} prompts`);
+            return { prompts };
+        });
+
+        handle(GetPromptRequestSchema, async (request, extra) => {
+            const { name, arguments: promptArgs } = request.params;
+            this.log(`💬 Rendering prompt: ${name}`);
+
+            const result = await this.promptCatalog.getPrompt(
+                name,
+                promptArgs,
+                this.getSessionApiKey(extra)
+            );
+            if (!result) {
+                throw this.createMcpError(-32602, `Prompt not found: ${name}`, {
+                    suggestion: 'Call prompts/list to see available prompts',
+                });
+            }
+            return result;
+        });
+
+        // Complete prompt arguments and resource template variables
+        handle(CompleteRequestSchema, async (request, extra) => {
+            const { ref, argument, context } = request.params;
+            const apiKey = this.getSessionApiKey(extra);
+
+            try {
+                const completion =
+                    ref.type === 'ref/prompt'
+                        ? await this.promptCatalog.completePromptArgument(
+                              ref.name,
+                              argument.name,
+                              argument.value,
+                              context?.arguments,
+                              apiKey
+                          )
+                        : await this.promptCatalog.completeArgument(
+                              argument.name,
+                              argument.value,
+                              context?.arguments,
+                              apiKey
+                          );
+                return { completion };
+            } catch (error) {
+                this.log(`⚠️ Completion failed: ${error.message}`, 'warn');
+                return { completion: { values: [], total: 0, hasMore: false } };
+            }
+        });
+
+        // Log entries at or above this level are sent to the client as notifications/message
+        handle(SetLevelRequestSchema, async request => {
+            this.clientLogLevels.set(server, request.params.level);
+            this.log(`📶 Client log level set to ${request.params.level}`);
+            return {};
+        });
+
         // Handle tool execution with hierarchical namespacing
-        this.server.setRequestHandler(CallToolRequestSchema, async request => {
+        handle(CallToolRequestSchema, async (request, extra) => {
             try {
                 let { name, arguments: toolArgs } = request.params;
 
@@ -703,7 +1235,16 @@ This hierarchical approach provides full MCP compliance while efficiently managi
                 }
 
                 this.log(`🔧 Executing tool: ${name}`);
-                this.log(`📝 Arguments: ${JSON.stringify(toolArgs, null, 2)}`);
+                this.log(`📝 Arguments: ${this.redactor.payload(toolArgs)}`);
+
+                // Elicitation, cancellation (notifications/cancelled) and progress
+                const context = {
+                    server,
+                    signal: extra?.signal,
+                    progress: ProgressReporter.fromRequest(extra, (message, level) =>
+                        this.log(message, level)
+                    ),
+                };
 
                 // Extract API key from tool arguments
                 let apiKey = null;
@@ -714,6 +1255,9 @@ This hierarchical approach provides full MCP compliance while efficiently managi
                     cleanedArgs = { ...toolArgs };
                     delete cleanedArgs.api_key;
                     this.log(`🔑 Using API key from tool arguments`);
+                } else if (this.getSessionApiKey(extra)) {
+                    apiKey = this.getSessionApiKey(extra);
+                    this.log(`🔑 Using API key bound to the HTTP session`);
                 } else if (this.token) {
                     this.log(`🔑 Using configured token as fallback`);
                 } else {
@@ -725,6 +1269,29 @@ This hierarchical approach provides full MCP compliance while efficiently managi
 
                 // Legacy 'uru_help' tool removed. Use top-level guide/tool info namespaces instead.
 
+                // Handle cross-namespace tool search
+                if (name === SEARCH_TOOL_NAME) {
+                    return await this.handleSearchTools(cleanedArgs, apiKey);
+                }
+
+                // Handle background job status and results
+                if (name === JOB_STATUS_TOOL_NAME) {
+                    return await this.handleJobStatus(cleanedArgs, apiKey);
+                }
+                if (name === JOB_RESULT_TOOL_NAME) {
+                    return await this.handleJobResult(cleanedArgs, apiKey, context);
+                }
+
+                // Handle reads of truncated results
+                if (name === READ_RESULT_TOOL_NAME) {
+                    return this.handleReadResult(cleanedArgs, apiKey);
+                }
+
+                // Handle pipeline tools
+                if (this.pipelineCatalog.has(name)) {
+                    return await this.handlePipeline(name, cleanedArgs, apiKey, context);
+                }
+
                 // Handle namespace discovery tools
                 if (name.endsWith('__list_tools')) {
                     return await this.handleNamespaceDiscovery(
@@ -739,7 +1306,18 @@ This hierarchical approach provides full MCP compliance while efficiently managi
                     return await this.handleNamespaceExecuteTool(
                         name,
                         cleanedArgs,
-                        apiKey
+                        apiKey,
+                        context
+                    );
+                }
+
+                // Handle namespace batch execute tools
+                if (name.endsWith('__execute_batch')) {
+                    return await this.handleNamespaceExecuteBatch(
+                        name,
+                        cleanedArgs,
+                        apiKey,
+                        context
                     );
                 }
 
@@ -752,13 +1330,19 @@ This hierarchical approach provides full MCP compliance while efficiently managi
                     return await this.handleNamespacedToolExecution(
                         name,
                         cleanedArgs,
-                        apiKey
+                        apiKey,
+                        context
                     );
                 }
 
                 // Handle legacy tool names (for backward compatibility during transition)
                 return await this.handleLegacyToolExecution(name, cleanedArgs, apiKey);
             } catch (error) {
+                if (error.cancelled) {
+                    // The client stopped waiting, so the SDK drops this result
+                    return this.buildToolErrorResult(error.message, { code: 'cancelled' });
+                }
+
                 this.log(`❌ Tool execution failed: ${error.message}`, 'error');
 
                 if (this.isMcpError(error)) {
@@ -836,6 +1420,27 @@ This hierarchical approach provides full MCP compliance while efficiently managi
         });
     }
 
+    /**
+     * Convert a failure while serving resources into an MCP error
+     */
+    toResourceError(error, fallbackMessage) {
+        if (this.isMcpError(error)) {
+            return error;
+        }
+
+        if (error.response?.data) {
+            return this.createMcpErrorFromProxyPayload(
+                error.response.data,
+                error.response.status,
+                fallbackMessage
+            );
+        }
+
+        return this.createMcpError(-32603, fallbackMessage, {
+            error: error.message,
+        });
+    }
+
     // NOTE: Legacy help handler removed. Help content is now provided via
     // dedicated top-level namespaces (e.g., uru_platform_guide, uru_platform_tool_info).
 
@@ -851,6 +1456,11 @@ This hierarchical approach provides full MCP compliance while efficiently managi
 
         this.log(`📋 Discovering tools for namespace: ${namespace} (${appName})`);
 
+        const namespaceDecision = this.toolPolicy?.evaluateNamespace(namespace);
+        if (namespaceDecision && !namespaceDecision.allowed) {
+            return this.buildPolicyDeniedResult(namespace, null, namespaceDecision);
+        }
+
         try {
             // Load tools for this namespace if not already loaded
             const namespacedTools = await this.toolLoader.loadNamespace(
@@ -858,9 +1468,11 @@ This hierarchical approach provides full MCP compliance while efficiently managi
                 apiKey
             );
 
-            // Get available tools in this namespace (excluding discovery tool)
-            const availableTools = namespacedTools.filter(
-                tool => !tool.name.endsWith('_list_tools')
+            // Get available tools in this namespace (excluding discovery tool
+            // and anything the tool policy blocks)
+            const availableTools = this.toolLoader.filterAllowedTools(
+                namespace,
+                namespacedTools.filter(tool => !tool.name.endsWith('_list_tools'))
             );
 
             // Apply filters if provided
@@ -927,6 +1539,62 @@ This hierarchical approach provides full MCP compliance while efficiently managi
         }
     }
 
+    /**
+     * Handle uru__search_tools
+     * @param {object} args - { query, limit?, namespace? }
+     * @param {string} apiKey - Optional API key to use for this request
+     */
+    async handleSearchTools(args, apiKey = null) {
+        const query = typeof args?.query === 'string' ? args.query.trim() : '';
+        if (!query) {
+            throw this.createMcpError(-32602, 'Missing required parameter: query', {
+                suggestion: 'Describe the capability you need, e.g. "send email"',
+            });
+        }
+
+        this.log(`🔎 Searching tools across namespaces: "${query}"`);
+        const { results, searchedNamespaces, skippedNamespaces } = await this.toolSearch.search(
+            query,
+            { limit: args.limit, namespace: args.namespace },
+            apiKey
+        );
+
+        let response = `# 🔎 Tool search: "${query}" (${results.length} results across ${searchedNamespaces} namespaces)\n\n`;
+
+        if (results.length === 0) {
+            response += 'No matching tools found. Try different words, or call a namespace `__list_tools` tool to browse.\n';
+        }
+
+        results.forEach((result, index) => {
+            const label = result.account.account_label
+                ? `${result.account.display_name} (${result.account.account_label})`
+                : result.account.display_name;
+            const accountId = result.account.connected_account_id
+                ? `, account ${result.account.connected_account_id}`
+                : '';
+            response += `${index + 1}. **${result.tool}** in \`${result.namespace}\` - ${label}${accountId}\n`;
+            if (result.description) {
+                response += `   ${result.description}\n`;
+            }
+            response += `   Run with \`${result.namespace}__execute_tool\` and \`"tool_name": "${result.tool}"\`\n\n`;
+        });
+
+        if (skippedNamespaces.length > 0) {
+            response += `\n⚠️ Not searched (failed to load): ${skippedNamespaces
+                .map(entry => entry.namespace)
+                .join(', ')}\n`;
+        }
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: response,
+                },
+            ],
+        };
+    }
+
     /**
      * Format tool discovery response with detailed parameter information
      */
@@ -1073,8 +1741,9 @@ This hierarchical approach provides full MCP compliance while efficiently managi
      * @param {string} toolName - Name of the execute tool (e.g., gmail_work_kal__execute_tool)
      * @param {object} args - Tool arguments containing tool_name and parameters
      * @param {string} apiKey - Optional API key to use for this request
+     * @param {object} context - Request context: { server, signal, progress }
      */
-    async handleNamespaceExecuteTool(toolName, args, apiKey = null) {
+    async handleNamespaceExecuteTool(toolName, args, apiKey = null, context = {}) {
         const namespace = toolName.replace('__execute_tool', '');
         const appName = this.namespaceManager.denormalizeNamespace(namespace);
 
@@ -1094,10 +1763,56 @@ This hierarchical approach provides full MCP compliance while efficiently managi
         const targetToolName = args.tool_name;
         const toolParameters = args.parameters || {};
 
+        // Tools blocked by the policy never reach the proxy
+        const policyError = this.checkToolPolicy(namespace, targetToolName, apiKey);
+        if (policyError) {
+            return policyError;
+        }
+
         this.log(
             `🔧 Executing tool '${targetToolName}' in app '${appName}' with namespace '${namespace}'`
         );
 
+        // Fail fast on parameters that violate the cached input schema
+        const validationError = this.validateToolParameters(
+            namespace,
+            targetToolName,
+            toolParameters,
+            apiKey
+        );
+        if (validationError) {
+            return validationError;
+        }
+
+        // Destructive tools need a human to approve the exact call
+        const confirmationResult = await this.confirmToolExecution(
+            namespace,
+            targetToolName,
+            toolParameters,
+            args.confirm_token,
+            apiKey,
+            context.server,
+            context.confirmTokens !== false,
+            context.directToolName
+        );
+        if (confirmationResult) {
+            return confirmationResult;
+        }
+
+        // Offline: only read-only tools run; writes are refused or queued
+        if (this.offlineMode.isActive()) {
+            const offlineResult = await this.handleOfflineExecute(
+                namespace,
+                appName,
+                targetToolName,
+                toolParameters,
+                apiKey
+            );
+            if (offlineResult) {
+                return offlineResult;
+            }
+        }
+
         try {
             // Execute the tool via proxy with namespace for connection routing
             const result = await this.executeToolOnProxy(
@@ -1105,12 +1820,17 @@ This hierarchical approach provides full MCP compliance while efficiently managi
                 toolParameters,
                 appName,
                 apiKey,
-                namespace
+                namespace,
+                {
+                    signal: context.signal,
+                    progress: context.progress,
+                    pipelineStep: context.pipelineStep === true,
+                }
             );
 
             // Debug logging to check the result format
             this.log(
-                `🔍 Execute tool result: ${JSON.stringify(result, null, 2)}`,
+                `🔍 Execute tool result: ${this.redactor.payload(result)}`,
                 'debug'
             );
 
@@ -1140,6 +1860,9 @@ This hierarchical approach provides full MCP compliance while efficiently managi
 
             return result;
         } catch (error) {
+            if (error.cancelled) {
+                throw error;
+            }
             this.log(
                 `❌ Failed to execute tool '${targetToolName}' in namespace '${namespace}': ${error.message}`,
                 'error'
@@ -1159,13 +1882,549 @@ This hierarchical approach provides full MCP compliance while efficiently managi
     }
 
     /**
-     * Handle namespaced tool execution (legacy/backward compatibility)
+     * Handle namespace execute_batch: run many execute_tool calls with a
+     * concurrency limit. Each call gets its own result or error; a failed
+     * call does not fail the batch.
      */
-    async handleNamespacedToolExecution(toolName, args, apiKey) {
-        this.log(`🔧 Executing namespaced tool: ${toolName}`);
-
-        // Check if tool is in registry
-        let tool = this.toolRegistry.getTool(toolName);
+    async handleNamespaceExecuteBatch(toolName, args, apiKey = null, context = {}) {
+        const namespace = toolName.replace('__execute_batch', '');
+        const calls = args?.calls;
+
+        if (!Array.isArray(calls) || calls.length === 0) {
+            throw this.createMcpError(-32602, 'Missing required parameter: calls', {
+                suggestion: 'Provide calls as an array of { tool_name, parameters } objects',
+            });
+        }
+        if (calls.length > MAX_BATCH_CALLS) {
+            throw this.createMcpError(
+                -32602,
+                `A batch can hold at most ${MAX_BATCH_CALLS} calls (got ${calls.length})`,
+                { suggestion: 'Split the calls into several batches' }
+            );
+        }
+
+        const limit = this.config.batchConcurrency || 5;
+        const concurrency = Math.max(1, Math.min(Number(args.concurrency) || limit, limit));
+        this.log(
+            `📦 Executing batch of ${calls.length} calls in '${namespace}' (concurrency ${concurrency})`
+        );
+
+        const results = new Array(calls.length);
+        const extraContent = [];
+        let next = 0;
+        let done = 0;
+
+        const runCall = async index => {
+            const call = calls[index] && typeof calls[index] === 'object' ? calls[index] : {};
+            let result;
+            try {
+                result = await this.handleNamespaceExecuteTool(
+                    `${namespace}__execute_tool`,
+                    call,
+                    apiKey,
+                    { server: context.server, signal: context.signal, progress: null }
+                );
+            } catch (error) {
+                if (error.cancelled) {
+                    throw error;
+                }
+                result = this.isMcpError(error)
+                    ? this.buildToolErrorResultFromMcpError(error)
+                    : error.response?.data
+                      ? this.buildToolErrorResultFromProxyPayload(
+                            error.response.data,
+                            error.response.status,
+                            `Tool '${call.tool_name}' failed`
+                        )
+                      : this.buildToolErrorResult(error.message);
+            }
+
+            const content = Array.isArray(result?.content) ? result.content : [];
+            const text = content
+                .filter(item => item.type === 'text')
+                .map(item => item.text)
+                .join('\n\n');
+            extraContent.push(...content.filter(item => item.type !== 'text'));
+
+            const entry = { index, tool_name: call.tool_name ?? null, ok: !result?.isError };
+            if (result?.isError) {
+                entry.error = text;
+            } else if (result?.structuredContent !== undefined) {
+                entry.data = result.structuredContent;
+            } else {
+                entry.text = text;
+            }
+            results[index] = entry;
+
+            done++;
+            context.progress?.send(done, calls.length, `${done}/${calls.length} calls finished`);
+        };
+
+        const worker = async () => {
+            while (next < calls.length && !context.signal?.aborted) {
+                await runCall(next++);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, calls.length) }, worker));
+        if (context.signal?.aborted) {
+            throw this.createCancelledError(toolName);
+        }
+
+        const failed = results.filter(entry => !entry.ok).length;
+        const payload = {
+            namespace,
+            total: calls.length,
+            succeeded: calls.length - failed,
+            failed,
+            results,
+        };
+        this.log(`📦 Batch in '${namespace}' finished: ${payload.succeeded} ok, ${failed} failed`);
+
+        const summary = `Batch of ${calls.length} calls in ${namespace}: ${payload.succeeded} succeeded, ${failed} failed.`;
+        const text = `${summary}\n\n${JSON.stringify(payload, null, 2)}`;
+        const truncated = this.truncateResult(text, payload, toolName, apiKey);
+        if (truncated) {
+            return { content: [{ type: 'text', text: truncated.text }, ...extraContent] };
+        }
+        return {
+            content: [{ type: 'text', text }, ...extraContent],
+            structuredContent: payload,
+        };
+    }
+
+    /**
+     * Handle a pipeline tool: run its steps in order, feeding each step the
+     * outputs of earlier ones. When a step fails, the rollback hooks of the
+     * completed steps run in reverse order.
+     */
+    async handlePipeline(toolName, args, apiKey = null, context = {}) {
+        const pipeline = this.pipelineCatalog.get(toolName);
+        const input = args || {};
+
+        const { valid, errors } = this.parameterValidator.validate(pipeline.inputSchema, input);
+        if (!valid) {
+            return this.buildToolErrorResult(`Invalid input for pipeline '${pipeline.name}'`, {
+                code: 'invalid_parameters',
+                invalid_parameters: errors,
+            });
+        }
+
+        this.log(`🔗 Running pipeline '${pipeline.name}' (${pipeline.steps.length} steps)`);
+        const scope = { input, steps: {} };
+        const report = { pipeline: pipeline.name, status: 'completed', steps: [], rollback: [] };
+        const stepContext = {
+            server: context.server,
+            signal: context.signal,
+            progress: null,
+            confirmTokens: false,
+            // Later steps read the full output, so steps are neither truncated nor left running
+            pipelineStep: true,
+        };
+
+        const completed = [];
+        for (const step of pipeline.steps) {
+            const entry = { id: step.id, tool: step.tool };
+            report.steps.push(entry);
+
+            const outcome = await this.runPipelineCall(step, scope, apiKey, stepContext);
+            if (!outcome.ok) {
+                entry.status = 'failed';
+                entry.error = outcome.error;
+                report.status = 'failed';
+                report.failed_step = step.id;
+                break;
+            }
+
+            entry.status = 'ok';
+            entry.output = outcome.output;
+            scope.steps[step.id] = outcome.output;
+            completed.push(step);
+            context.progress?.send(
+                completed.length,
+                pipeline.steps.length,
+                `Step '${step.id}' finished`
+            );
+        }
+
+        for (const step of pipeline.steps.slice(report.steps.length)) {
+            report.steps.push({ id: step.id, tool: step.tool, status: 'skipped' });
+        }
+
+        if (report.status === 'failed') {
+            for (const step of completed.reverse().filter(candidate => candidate.rollback)) {
+                const outcome = await this.runPipelineCall(
+                    step.rollback,
+                    scope,
+                    apiKey,
+                    stepContext
+                );
+                report.rollback.push({
+                    id: step.id,
+                    tool: step.rollback.tool,
+                    status: outcome.ok ? 'ok' : 'failed',
+                    ...(outcome.ok ? {} : { error: outcome.error }),
+                });
+            }
+            this.log(
+                `❌ Pipeline '${pipeline.name}' failed at '${report.failed_step}', ${report.rollback.length} rollback(s) run`,
+                'error'
+            );
+        } else {
+            this.log(`✅ Pipeline '${pipeline.name}' completed`);
+        }
+
+        const summary =
+            report.status === 'completed'
+                ? `Pipeline '${pipeline.name}' completed ${report.steps.length} steps.`
+                : `Pipeline '${pipeline.name}' failed at step '${report.failed_step}'.`;
+        const text = `${summary}\n\n${JSON.stringify(report, null, 2)}`;
+        const truncated = this.truncateResult(text, report, toolName, apiKey);
+        const result = { content: [{ type: 'text', text: truncated ? truncated.text : text }] };
+        if (!truncated) {
+            result.structuredContent = report;
+        }
+        if (report.status === 'failed') {
+            result.isError = true;
+        }
+        return result;
+    }
+
+    /**
+     * Run one pipeline step or rollback through execute_tool
+     * @returns {Promise<{ok: boolean, output?: any, error?: string}>}
+     */
+    async runPipelineCall(call, scope, apiKey, context) {
+        let result;
+        try {
+            const parameters = resolveReferences(call.parameters, scope);
+            result = await this.handleNamespaceExecuteTool(
+                `${call.namespace}__execute_tool`,
+                { tool_name: call.toolName, parameters },
+                apiKey,
+                context
+            );
+        } catch (error) {
+            if (error.cancelled) {
+                throw error;
+            }
+            result = this.isMcpError(error)
+                ? this.buildToolErrorResultFromMcpError(error)
+                : this.buildToolErrorResult(error.message);
+        }
+
+        const text = (result?.content || [])
+            .filter(item => item.type === 'text')
+            .map(item => item.text)
+            .join('\n\n');
+        if (result?.isError) {
+            return { ok: false, error: text };
+        }
+        // Step outputs are the parsed tool result, so references see arrays unwrapped
+        try {
+            return { ok: true, output: JSON.parse(text) };
+        } catch (error) {
+            return { ok: true, output: result?.structuredContent ?? text };
+        }
+    }
+
+    /**
+     * Connection metadata for a namespace from the caller's own catalog. A key
+     * that has not fetched its namespaces yet fetches them first, so it is never
+     * routed with another key's connected account.
+     */
+    async resolveConnectionMetadata(namespace, apiKey = null) {
+        const metadata = this.namespaceManager.getNamespaceMetadata(namespace, apiKey);
+        if (metadata || this.namespaceManager.getLastKnownNamespaces(apiKey)) {
+            return metadata;
+        }
+        try {
+            await this.namespaceManager.fetchNamespacesFromProxy(apiKey);
+        } catch (error) {
+            this.log(`⚠️ Could not load namespaces for routing: ${error.message}`, 'warn');
+        }
+        return this.namespaceManager.getNamespaceMetadata(namespace, apiKey);
+    }
+
+    /**
+     * Check an execute_tool call against the tool policy
+     * @returns {object|null} Tool error result when the tool is blocked, or null
+     */
+    checkToolPolicy(namespace, toolName, apiKey = null) {
+        if (!this.toolPolicy) {
+            return null;
+        }
+
+        // Same category the registry assigns, even when the namespace is not loaded
+        const namespacedName = `${namespace}__${toolName}`;
+        const category =
+            this.toolRegistry.getTool(namespacedName, apiKey)?.annotations?.category ||
+            this.toolRegistry.getToolCategory({ name: namespacedName });
+        const decision = this.toolPolicy.evaluateTool(namespace, toolName, category);
+        if (decision.allowed) {
+            return null;
+        }
+
+        this.log(`🚫 Policy denied '${toolName}' in '${namespace}': ${decision.reason}`, 'warn');
+        return this.buildPolicyDeniedResult(namespace, toolName, decision);
+    }
+
+    /**
+     * Structured tool error for a policy denial
+     */
+    buildPolicyDeniedResult(namespace, toolName, decision) {
+        const subject = toolName ? `Tool '${toolName}'` : `Namespace '${namespace}'`;
+        return this.buildToolErrorResult(`${subject} is blocked by policy`, {
+            code: 'policy_denied',
+            namespace,
+            tool: toolName || undefined,
+            reason: decision.reason,
+            policy_rule: decision.rule,
+            tip: 'This is an administrator policy, so retrying will not help. Use a different tool or ask your administrator for access.',
+        });
+    }
+
+    /**
+     * Ask for human confirmation when a tool is flagged as destructive.
+     * Uses elicitation when the client supports it, otherwise a single-use
+     * confirm token the model must send back with the identical call.
+     * @param {boolean} allowToken - false when nobody can send a token back
+     *   (pipeline steps); the call then fails without elicitation
+     * @param {string|null} directToolName - Directly exposed tool the call came
+     *   through (flat and hybrid exposure); the token is sent back to it
+     * @returns {Promise<object|null>} Tool result when the call must not run
+     *   yet, or null when it is confirmed or needs no confirmation
+     */
+    async confirmToolExecution(
+        namespace,
+        toolName,
+        parameters,
+        confirmToken,
+        apiKey,
+        server,
+        allowToken = true,
+        directToolName = null
+    ) {
+        // destructiveHint comes from the tool schema, so make sure it is loaded
+        let tool = this.toolRegistry.getTool(`${namespace}__${toolName}`, apiKey);
+        if (
+            !tool &&
+            this.confirmationGate.honorDestructiveHint &&
+            !this.toolRegistry.isNamespaceLoaded(namespace, apiKey)
+        ) {
+            try {
+                await this.toolLoader.loadNamespace(namespace, apiKey);
+                tool = this.toolRegistry.getTool(`${namespace}__${toolName}`, apiKey);
+            } catch (error) {
+                this.log(
+                    `⚠️ Could not load '${namespace}' to check annotations: ${error.message}`,
+                    'warn'
+                );
+            }
+        }
+
+        if (!this.confirmationGate.requiresConfirmation(namespace, toolName, tool)) {
+            return null;
+        }
+
+        if (confirmToken) {
+            if (
+                this.confirmationGate.consumeToken(
+                    confirmToken,
+                    namespace,
+                    toolName,
+                    parameters,
+                    apiKey || this.token
+                )
+            ) {
+                this.log(`✅ '${toolName}' confirmed with confirm_token`);
+                return null;
+            }
+            return this.buildToolErrorResult('Invalid or expired confirm_token', {
+                code: 'confirmation_invalid',
+                tip: 'Call again without confirm_token to get a new token. The tool_name and parameters must be identical to the confirmed call.',
+            });
+        }
+
+        if (server?.getClientCapabilities()?.elicitation) {
+            let elicitation = null;
+            try {
+                elicitation = await server.elicitInput(
+                    this.confirmationGate.buildElicitation(namespace, toolName, parameters)
+                );
+            } catch (error) {
+                this.log(
+                    `⚠️ Elicitation failed, falling back to confirm token: ${error.message}`,
+                    'warn'
+                );
+            }
+
+            if (elicitation) {
+                if (elicitation.action === 'accept' && elicitation.content?.confirm === true) {
+                    this.log(`✅ '${toolName}' confirmed by the user`);
+                    return null;
+                }
+                return this.buildToolErrorResult(`The user did not approve '${toolName}'`, {
+                    code: 'confirmation_declined',
+                    tip: 'Do not retry this call unless the user asks for it again.',
+                });
+            }
+        }
+
+        if (!allowToken) {
+            return this.buildToolErrorResult(`'${toolName}' needs confirmation`, {
+                code: 'confirmation_required',
+                tip: `This client cannot confirm calls while a pipeline runs. Run the step with ${namespace}__execute_tool instead.`,
+            });
+        }
+
+        const token = this.confirmationGate.issueToken(
+            namespace,
+            toolName,
+            parameters,
+            apiKey || this.token
+        );
+        const retry = directToolName
+            ? `call \`${directToolName}\` again with the same arguments`
+            : `call \`${namespace}__execute_tool\` again with the same tool_name and parameters`;
+        const ttlMinutes = Math.round(this.confirmationGate.tokenTtlMs / 60000);
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `⚠️ Confirmation required: '${toolName}' was NOT run.
+
+Show the user this exact call and ask them to approve it:
+
+\`\`\`json
+${JSON.stringify({ namespace, tool_name: toolName, parameters }, null, 2)}
+\`\`\`
+
+Only if the user approves, ${retry} plus \`"confirm_token": "${token}"\`. The token works once and expires in ${ttlMinutes} minutes.`,
+                },
+            ],
+        };
+    }
+
+    /**
+     * Apply the offline policy to an execute_tool call
+     * @returns {Promise<object|null>} Tool result when the call is refused or
+     *   queued, or null when the tool is read-only and may be attempted
+     */
+    async handleOfflineExecute(namespace, appName, toolName, parameters, apiKey = null) {
+        const cachedTools = this.catalogCache?.getTools(apiKey || this.token, appName) || [];
+        const tool = this.toolRegistry.getTool(`${namespace}__${toolName}`, apiKey) ||
+            cachedTools.find(candidate => candidate.name === toolName) || { name: toolName };
+        if (this.offlineMode.isReadOnlyTool(tool)) {
+            return null;
+        }
+
+        const reason = this.offlineMode.getReason();
+        const replayKey = apiKey || this.token;
+
+        // Queued writes are replayed with the configured key, so only its calls can be queued
+        if (this.offlineMode.queueWrites && replayKey && replayKey === this.token) {
+            const entry = await this.offlineMode.enqueue(
+                { namespace, appName, toolName, parameters },
+                replayKey
+            );
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `📴 Offline: '${toolName}' was not run yet. It is queued (id ${entry.id}) and will be sent to ${namespace} once connectivity returns. Delivery is at-least-once: if a replay attempt fails after reaching the Uru Platform, the write may run twice.`,
+                    },
+                ],
+            };
+        }
+
+        return this.buildToolErrorResult(
+            `'${toolName}' is not read-only and cannot run while offline`,
+            {
+                code: 'offline_write_refused',
+                offline_reason: reason,
+                tip:
+                    reason === 'forced'
+                        ? 'Restart without --offline to run write operations, or enable URU_QUEUE_OFFLINE_WRITES to queue them'
+                        : 'The Uru Platform is unreachable. Try again once connectivity returns',
+            }
+        );
+    }
+
+    /**
+     * Validate execute_tool parameters against the tool's cached inputSchema.
+     * Only schemas already loaded into the registry are used, so validation
+     * never adds a network round trip; unknown tools pass through unchanged.
+     * @returns {object|null} Tool error result listing every invalid field, or null
+     */
+    validateToolParameters(namespace, toolName, parameters, apiKey = null) {
+        if (this.config.validateToolParameters === false) {
+            return null;
+        }
+
+        if (!this.toolRegistry.isNamespaceLoaded(namespace, apiKey)) {
+            return null;
+        }
+
+        const tool = this.toolRegistry.getTool(`${namespace}__${toolName}`, apiKey);
+        if (!tool || !tool.inputSchema) {
+            return null;
+        }
+
+        if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+            return this.buildToolErrorResult(
+                `Invalid parameters for tool '${toolName}'`,
+                {
+                    code: 'invalid_parameters',
+                    invalid_parameters: [
+                        { field: 'parameters', message: 'must be an object' },
+                    ],
+                    example: {
+                        tool_name: toolName,
+                        parameters: this.parameterValidator.buildCorrectedExample(
+                            tool.inputSchema,
+                            {}
+                        ),
+                    },
+                }
+            );
+        }
+
+        const { valid, errors } = this.parameterValidator.validate(
+            tool.inputSchema,
+            parameters
+        );
+        if (valid) {
+            return null;
+        }
+
+        this.log(
+            `⚠️ Rejected '${toolName}' locally: ${errors.length} invalid parameter(s)`,
+            'warn'
+        );
+
+        return this.buildToolErrorResult(`Invalid parameters for tool '${toolName}'`, {
+            code: 'invalid_parameters',
+            invalid_parameters: errors,
+            example: {
+                tool_name: toolName,
+                parameters: this.parameterValidator.buildCorrectedExample(
+                    tool.inputSchema,
+                    parameters,
+                    errors
+                ),
+            },
+            tip: `Call ${namespace}__list_tools with filter "${toolName}" to review the full parameter list`,
+        });
+    }
+
+    /**
+     * Handle namespaced tool execution (legacy/backward compatibility)
+     */
+    async handleNamespacedToolExecution(toolName, args, apiKey, context = {}) {
+        this.log(`🔧 Executing namespaced tool: ${toolName}`);
+
+        // Check if tool is in registry
+        let tool = this.toolRegistry.getTool(toolName, apiKey);
 
         if (!tool) {
             // Try to load the namespace for this tool
@@ -1173,8 +2432,8 @@ This hierarchical approach provides full MCP compliance while efficiently managi
             this.log(`🔍 Loading namespace ${namespace} for tool ${toolName}`);
 
             try {
-                await this.toolLoader.loadNamespace(namespace);
-                tool = this.toolRegistry.getTool(toolName);
+                await this.toolLoader.loadNamespace(namespace, apiKey);
+                tool = this.toolRegistry.getTool(toolName, apiKey);
             } catch (error) {
                 this.log(
                     `❌ Failed to load namespace ${namespace}: ${error.message}`,
@@ -1191,22 +2450,14 @@ This hierarchical approach provides full MCP compliance while efficiently managi
             });
         }
 
-        // Extract original tool name and app context
-        const namespace = tool.namespace;
-        const originalToolName = tool.originalName;
-        const appName = this.namespaceManager.denormalizeNamespace(namespace);
-
-        this.log(
-            `🔧 Executing tool '${originalToolName}' in app '${appName}' with namespace '${namespace}'`
-        );
-
-        // Execute the tool via proxy with namespace for connection routing
-        return await this.executeToolOnProxy(
-            originalToolName,
-            args,
-            appName,
+        // Route through execute_tool so directly exposed tools (flat and
+        // hybrid exposure) get the same validation, confirmation and offline policy
+        const { confirm_token: confirmToken, ...parameters } = args || {};
+        return await this.handleNamespaceExecuteTool(
+            `${tool.namespace}__execute_tool`,
+            { tool_name: tool.originalName, parameters, confirm_token: confirmToken },
             apiKey,
-            namespace
+            { ...context, directToolName: toolName }
         );
     }
 
@@ -1224,13 +2475,13 @@ This hierarchical approach provides full MCP compliance while efficiently managi
                     const namespace = this.namespaceManager.normalizeNamespace(appName);
 
                     // Load namespace if not already loaded
-                    if (!this.toolRegistry.isNamespaceLoaded(namespace)) {
+                    if (!this.toolRegistry.isNamespaceLoaded(namespace, apiKey)) {
                         await this.toolLoader.loadNamespace(namespace, apiKey);
                     }
 
                     // Check if tool exists in this namespace
                     const namespacedToolName = `${namespace}.${toolName}`;
-                    const tool = this.toolRegistry.getTool(namespacedToolName);
+                    const tool = this.toolRegistry.getTool(namespacedToolName, apiKey);
 
                     if (tool) {
                         this.log(
@@ -1269,225 +2520,1011 @@ This hierarchical approach provides full MCP compliance while efficiently managi
     }
 
     /**
-     * Execute tool on proxy using REST API endpoint with enhanced namespace routing
-     * @param {string} toolName - Name of the tool to execute
-     * @param {object} parameters - Tool parameters
-     * @param {string} appName - App name for context
-     * @param {string} apiKey - Optional API key to use for this request
-     * @param {string} namespace - Optional namespace for connection metadata lookup
+     * Download a file linked from a tool result. Auth headers are only sent
+     * to the proxy itself, never to third-party storage URLs.
+     */
+    async fetchResultFile(url, apiKey) {
+        const headers = url.startsWith(`${this.proxyUrl}/`) ? this.getAuthHeaders(apiKey) : {};
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: this.config.timeout || 180000,
+            headers,
+        });
+        return {
+            data: Buffer.from(response.data),
+            mimeType: String(response.headers?.['content-type'] || '').split(';')[0] || null,
+        };
+    }
+
+    /**
+     * MCP structuredContent for a tool result. Objects are passed through;
+     * arrays and other JSON values are wrapped as { result }. Plain strings
+     * stay text-only.
+     * @returns {object|null}
+     */
+    toStructuredContent(payload) {
+        if (payload === undefined || payload === null || typeof payload === 'string') {
+            return null;
+        }
+        if (typeof payload === 'object' && !Array.isArray(payload)) {
+            return payload;
+        }
+        return { result: payload };
+    }
+
+    /**
+     * Execute tool on proxy using REST API endpoint with enhanced namespace routing
+     * @param {string} toolName - Name of the tool to execute
+     * @param {object} parameters - Tool parameters
+     * @param {string} appName - App name for context
+     * @param {string} apiKey - Optional API key to use for this request
+     * @param {string} namespace - Optional namespace for connection metadata lookup
+     * @param {object} options
+     * @param {AbortSignal} options.signal - Aborts the HTTP request when the client cancels
+     * @param {ProgressReporter} options.progress - Progress notifications for the call
+     * @param {boolean} options.pipelineStep - Return the untruncated result, and
+     *   fail instead of returning a job handle when a background job is still running
+     * @param {string} options.idempotencyKey - Sent as the Idempotency-Key header
+     */
+    async executeToolOnProxy(
+        toolName,
+        parameters,
+        appName,
+        apiKey = null,
+        namespace = null,
+        options = {}
+    ) {
+        return this.tracer.startActiveSpan(
+            'executeToolOnProxy',
+            {
+                kind: 'client',
+                attributes: { 'uru.tool': toolName, 'uru.namespace': namespace || appName },
+            },
+            span =>
+                this.runToolOnProxy(toolName, parameters, appName, apiKey, namespace, {
+                    ...options,
+                    span,
+                })
+        );
+    }
+
+    /**
+     * executeToolOnProxy inside its span; options.span gets the outcome and log_id
+     */
+    async runToolOnProxy(toolName, parameters, appName, apiKey, namespace, options = {}) {
+        // Connection metadata for routing (declared outside try so catch can reference it)
+        let connectionMetadata = null;
+        const {
+            signal = null,
+            progress = null,
+            span = null,
+            pipelineStep = false,
+            idempotencyKey = null,
+        } = options;
+        const startedAt = Date.now();
+        this.executionStats.calls++;
+        // Written to the audit log when the call ends
+        const audit = { outcome: 'error', logId: null, jobId: null, error: null };
+
+        try {
+            if (signal?.aborted) {
+                throw this.createCancelledError(toolName);
+            }
+            progress?.start(this.config.progressIntervalMs || 5000, `Running ${toolName}`);
+
+            this.log(
+                `🔧 Executing tool '${toolName}' in app '${appName}' (namespace: ${
+                    namespace || 'none'
+                })`
+            );
+
+            // Use the tool name directly for proxy execution
+            const toolSlug = toolName;
+
+            // Get connection metadata if namespace is provided
+            if (namespace) {
+                connectionMetadata = await this.resolveConnectionMetadata(namespace, apiKey);
+                if (connectionMetadata) {
+                    this.log(
+                        `🔗 Found connection metadata for namespace '${namespace}': ${JSON.stringify(
+                            connectionMetadata
+                        )}`
+                    );
+                } else {
+                    this.log(
+                        `⚠️ No connection metadata found for namespace '${namespace}', falling back to app context`,
+                        'warn'
+                    );
+                }
+            }
+
+            // Build request body with enhanced routing context
+            const requestBody = {
+                ...(parameters || {}),
+                _app_context: appName, // Legacy app context for backward compatibility
+            };
+
+            // Add connection metadata if available
+            if (connectionMetadata && connectionMetadata.connected_account_id) {
+                requestBody._connected_account_id =
+                    connectionMetadata.connected_account_id;
+                requestBody._server_id = connectionMetadata.server_id;
+                this.log(
+                    `🎯 Using connected_account_id: ${connectionMetadata.connected_account_id}`
+                );
+            }
+
+            const headers = {
+                ...this.getAuthHeaders(apiKey),
+                'Content-Type': 'application/json',
+                'X-App-Context': appName, // Legacy header for backward compatibility
+            };
+
+            // Add connection metadata to headers if available
+            if (connectionMetadata && connectionMetadata.connected_account_id) {
+                headers['X-Connected-Account-Id'] =
+                    connectionMetadata.connected_account_id;
+                if (connectionMetadata.server_id) {
+                    headers['X-Server-Id'] = connectionMetadata.server_id;
+                }
+            }
+            if (idempotencyKey) {
+                headers['Idempotency-Key'] = idempotencyKey;
+            }
+
+            // Execute calls are not idempotent: retried only when retryExecute is enabled
+            const response = await this.circuitBreaker.execute(
+                () =>
+                    this.retryPolicy.execute(
+                        (attempt, remainingMs) =>
+                            this.postExecute(
+                                `${this.proxyUrl}/execute/${encodeURIComponent(toolSlug)}`,
+                                requestBody,
+                                {
+                                    // Standardize timeout to 3 minutes
+                                    timeout: Math.min(
+                                        this.config.timeout || 180000,
+                                        remainingMs
+                                    ),
+                                    headers,
+                                    signal: signal || undefined,
+                                },
+                                progress ? event => progress.forward(event) : null
+                            ),
+                        { description: `execute '${toolSlug}'`, idempotent: false }
+                    ),
+                `execute '${toolSlug}'`
+            );
+
+            this.log(
+                `📊 Tool execution response: ${this.redactor.payload(response.data)}`
+            );
+            audit.logId = response.data?.log_id || null;
+
+            // Long-running workflows are accepted as background jobs (202 + job id)
+            const acceptedJob = this.jobTracker.parseAccepted(response);
+            if (acceptedJob) {
+                audit.jobId = acceptedJob.jobId;
+                const { result: jobResult, finished } = await this.handleAcceptedJob(
+                    { ...acceptedJob, toolName, namespace, appName },
+                    apiKey,
+                    { signal, progress, requireResult: pipelineStep }
+                );
+                // 'accepted' only while the job is still running on the proxy
+                audit.outcome = !finished ? 'accepted' : jobResult.isError ? 'error' : 'success';
+                return jobResult;
+            }
+
+            const result = this.buildExecuteResult(response, toolName, appName, apiKey, {
+                namespace,
+                truncate: !pipelineStep,
+            });
+            audit.outcome = 'success';
+            return result;
+        } catch (error) {
+            if (error.cancelled || error.code === 'ERR_CANCELED' || signal?.aborted) {
+                audit.outcome = 'cancelled';
+                this.executionStats.cancelled++;
+                this.log(
+                    `🛑 Tool '${toolName}' cancelled by the client after ${Date.now() - startedAt}ms`
+                );
+                throw this.createCancelledError(toolName);
+            }
+            this.executionStats.failed++;
+            audit.error = error.message;
+            audit.logId = audit.logId || error.response?.data?.log_id || null;
+
+            // Enhanced error logging for debugging
+            this.log(`❌ Tool execution failed for '${toolName}':`, 'error');
+            this.log(`   App: ${appName}`, 'error');
+            this.log(`   Namespace: ${namespace || 'none'}`, 'error');
+            this.log(
+                `   Connection metadata: ${
+                    connectionMetadata ? JSON.stringify(connectionMetadata) : 'none'
+                }`,
+                'error'
+            );
+            this.log(`   Error: ${error.message}`, 'error');
+
+            if (error.response) {
+                this.log(`   HTTP Status: ${error.response.status}`, 'error');
+                this.log(
+                    `   Response data: ${this.redactor.payload(error.response.data)}`,
+                    'error'
+                );
+            }
+
+            if (this.isMcpError(error)) {
+                throw error;
+            }
+
+            if (error.response?.data) {
+                throw this.createMcpErrorFromProxyPayload(
+                    error.response.data,
+                    error.response.status,
+                    `Tool '${toolName}' failed`,
+                    {
+                        tool: toolName,
+                        app: appName,
+                        namespace,
+                        suggestion:
+                            namespace && error.response.status === 404
+                                ? `Tool '${toolName}' not found. Try calling ${namespace}__list_tools to see available tools.`
+                                : undefined,
+                    }
+                );
+            }
+
+            // Provide specific error messages based on HTTP status
+            if (error.response?.status === 404) {
+                const suggestion = namespace
+                    ? `Tool '${toolName}' not found. Try calling ${namespace}_list_tools to see available tools.`
+                    : `Tool '${toolName}' not found on proxy. Check if the tool name is correct.`;
+                throw new Error(suggestion);
+            } else if (error.response?.status === 400) {
+                const details =
+                    error.response.data?.message ||
+                    error.response.data?.error ||
+                    'Bad request';
+                throw new Error(
+                    `Invalid parameters for tool '${toolName}': ${details}`
+                );
+            } else if (error.response?.status === 401) {
+                throw new Error('Authentication failed. Check your API key or token.');
+            } else if (error.response?.status === 403) {
+                const suggestion = connectionMetadata
+                    ? `Access denied for tool '${toolName}'. The connected account may not have permission or the connection may be inactive.`
+                    : `Access denied for tool '${toolName}'. Check your permissions.`;
+                throw new Error(suggestion);
+            } else if (error.response?.status === 500) {
+                const serverError = new Error(
+                    `Server error executing tool '${toolName}'. This may be a temporary issue - please try again.`
+                );
+                // Offline replay keeps writes queued after a server error
+                serverError.status = 500;
+                throw serverError;
+            } else {
+                const proxyError = new Error(
+                    `Proxy error executing '${toolName}': ${error.message}`
+                );
+                // Keep the network error code and status so offline replay can tell them apart
+                proxyError.code = error.code;
+                proxyError.status = error.response?.status;
+                throw proxyError;
+            }
+        } finally {
+            progress?.stop();
+            const labels = this.toolMetricLabels(toolName, appName, apiKey, namespace);
+            this.meters.toolCalls.inc({ ...labels, outcome: audit.outcome });
+            this.meters.toolCallDuration.observe(labels, (Date.now() - startedAt) / 1000);
+            span?.setAttributes({
+                'uru.outcome': audit.outcome,
+                'uru.log_id': audit.logId,
+                'uru.job_id': audit.jobId,
+                'uru.connected_account_id': connectionMetadata?.connected_account_id,
+            });
+            this.auditLog?.record({
+                namespace: namespace || appName,
+                connectedAccountId: connectionMetadata?.connected_account_id,
+                tool: toolName,
+                parameters,
+                durationMs: Date.now() - startedAt,
+                apiKey: apiKey || this.token,
+                ...audit,
+            });
+        }
+    }
+
+    /**
+     * Metric labels for a tool call. The names come from the model, so a tool
+     * or namespace that does not resolve to a known one is recorded as
+     * `unknown` instead of adding a new series.
+     */
+    toolMetricLabels(toolName, appName, apiKey, namespace) {
+        const namespaceLabel = namespace || appName;
+        const knownNamespace =
+            this.toolRegistry.isNamespaceLoaded(namespaceLabel, apiKey) ||
+            Boolean(
+                this.namespaceManager
+                    .getLastKnownNamespaces(apiKey)
+                    ?.some(known => known.name === namespaceLabel)
+            );
+        const knownTool =
+            Boolean(this.toolRegistry.getTool(`${namespaceLabel}__${toolName}`, apiKey)) ||
+            Boolean(
+                this.catalogCache
+                    ?.getTools(apiKey || this.token, appName)
+                    ?.some(tool => tool.name === toolName)
+            );
+        return {
+            namespace: knownNamespace || knownTool ? namespaceLabel : 'unknown',
+            tool: knownTool ? toolName : 'unknown',
+        };
+    }
+
+    /**
+     * A tool call the proxy accepted as a background job: wait for it (with
+     * progress) up to jobWaitMs, or hand the job id back right away. A tool
+     * with an outputSchema always waits for the job to end, since a handle
+     * cannot match its schema. With requireResult (pipeline steps) it always
+     * waits too, and a job still running after jobWaitMs is an error.
+     * @returns {Promise<{result: object, finished: boolean}>} finished is false
+     *   when the result is a job handle
+     */
+    async handleAcceptedJob(
+        accepted,
+        apiKey,
+        { signal = null, progress = null, requireResult = false } = {}
+    ) {
+        const job = await this.jobTracker.track(accepted, apiKey || this.token);
+        const hasOutputSchema =
+            !requireResult && Boolean(this.getOutputSchema(job.namespace, job.toolName, apiKey));
+        if (this.config.jobMode === 'handle' && !requireResult && !hasOutputSchema) {
+            return { result: this.buildJobHandleResult(job), finished: false };
+        }
+
+        const waitMs = hasOutputSchema ? Infinity : (this.config.jobWaitMs ?? 600000);
+        const result = await this.waitForJob(job, apiKey, {
+            signal,
+            progress,
+            waitMs,
+            truncate: !requireResult,
+        });
+        if (!result && requireResult) {
+            throw this.createMcpError(
+                -32001,
+                `'${job.toolName}' is still running as background job ${job.jobId} after ${waitMs}ms`,
+                {
+                    job_id: job.jobId,
+                    suggestion: `Call ${JOB_RESULT_TOOL_NAME} with this job_id to get its result`,
+                }
+            );
+        }
+        return result
+            ? { result, finished: true }
+            : { result: this.buildJobHandleResult(job), finished: false };
+    }
+
+    /**
+     * Poll a job until it finishes or waitMs elapses
+     * @returns {Promise<object|null>} Tool result, or null while still running
+     */
+    async waitForJob(
+        job,
+        apiKey,
+        { signal = null, progress = null, waitMs = 0, truncate = true } = {}
+    ) {
+        const deadline = Date.now() + waitMs;
+        let delayMs = this.config.jobPollIntervalMs || 2000;
+
+        while (true) {
+            if (signal?.aborted) {
+                // The job keeps running on the proxy; its id stays in jobs.json
+                throw this.createCancelledError(job.toolName);
+            }
+
+            const status = await this.pollJob(job, apiKey);
+            if (status.state === 'completed' || status.state === 'failed') {
+                return await this.finishJob(job, status, apiKey, { truncate });
+            }
+            progress?.forward(status);
+
+            const remainingMs = deadline - Date.now();
+            if (remainingMs <= 0) {
+                return null;
+            }
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, Math.min(delayMs, remainingMs));
+                signal?.addEventListener(
+                    'abort',
+                    () => {
+                        clearTimeout(timer);
+                        resolve();
+                    },
+                    { once: true }
+                );
+            });
+            delayMs = Math.min(Math.round(delayMs * 1.5), 10000);
+        }
+    }
+
+    /**
+     * Fetch the current status of a job once
+     */
+    async pollJob(job, apiKey) {
+        const response = await this.circuitBreaker.execute(
+            () =>
+                this.retryPolicy.execute(
+                    (attempt, remainingMs) =>
+                        axios.get(job.statusUrl, {
+                            timeout: Math.min(30000, remainingMs),
+                            headers: this.getAuthHeaders(apiKey),
+                        }),
+                    { description: `job '${job.jobId}' status` }
+                ),
+            `job '${job.jobId}' status`
+        );
+
+        const status = this.jobTracker.parseStatus(response.data);
+        await this.jobTracker.update(job.jobId, {
+            status: status.state,
+            progress: status.progress,
+            total: status.total,
+            message: status.message,
+        });
+        return status;
+    }
+
+    /**
+     * Tool result for a finished job; the job is forgotten afterwards
+     */
+    async finishJob(job, status, apiKey, { truncate = true } = {}) {
+        let envelope = status.envelope;
+        // The 202 response may be the only place that names the result URL
+        const resultUrl = status.resultUrl || job.resultUrl;
+        if (!envelope && resultUrl) {
+            envelope = (
+                await this.circuitBreaker.execute(
+                    () =>
+                        this.retryPolicy.execute(
+                            (attempt, remainingMs) =>
+                                axios.get(resultUrl, {
+                                    timeout: Math.min(this.config.timeout || 180000, remainingMs),
+                                    headers: this.getAuthHeaders(apiKey),
+                                }),
+                            { description: `job '${job.jobId}' result` }
+                        ),
+                    `job '${job.jobId}' result`
+                )
+            ).data;
+        }
+
+        await this.jobTracker.remove(job.jobId);
+        this.log(`✅ Job ${job.jobId} for '${job.toolName}' ${status.state}`);
+        return this.buildExecuteResult(
+            { status: 200, data: envelope ?? { successful: true, data: null } },
+            job.toolName,
+            job.appName,
+            apiKey,
+            { namespace: job.namespace, truncate }
+        );
+    }
+
+    /**
+     * Result telling the model a tool is still running as a background job
+     */
+    buildJobHandleResult(job) {
+        const progress =
+            job.progress !== undefined
+                ? ` (${job.progress}${job.total !== undefined ? `/${job.total}` : ''})`
+                : '';
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `⏳ '${job.toolName}' is still running as background job \`${job.jobId}\`: ${job.status}${progress}${job.message ? ` - ${job.message}` : ''}
+
+Call \`${JOB_RESULT_TOOL_NAME}\` with \`"job_id": "${job.jobId}"\` to get the result when it finishes (pass \`wait_seconds\` to wait for it), or \`${JOB_STATUS_TOOL_NAME}\` to check on it.`,
+                },
+            ],
+            structuredContent: {
+                job_id: job.jobId,
+                status: job.status,
+                tool: job.toolName,
+                namespace: job.namespace || null,
+                progress: job.progress ?? null,
+                total: job.total ?? null,
+                message: job.message || null,
+                created_at: job.createdAt,
+            },
+        };
+    }
+
+    /**
+     * Handle uru__job_status
+     */
+    async handleJobStatus(args, apiKey = null) {
+        const job = await this.findJob(args, apiKey);
+        if (!job) {
+            return this.buildJobNotFoundResult(args?.job_id);
+        }
+
+        const status = await this.pollJob(job, apiKey);
+        if (status.state === 'completed' || status.state === 'failed') {
+            // Leave the job in place so uru__job_result can still return it
+            const result = this.buildJobHandleResult(job);
+            result.content[0].text = `${status.state === 'completed' ? '✅' : '❌'} Background job \`${job.jobId}\` for '${job.toolName}' has ${status.state}. Call \`${JOB_RESULT_TOOL_NAME}\` with \`"job_id": "${job.jobId}"\` to get the result.`;
+            return result;
+        }
+        return this.buildJobHandleResult(job);
+    }
+
+    /**
+     * Handle uru__job_result
+     */
+    async handleJobResult(args, apiKey = null, context = {}) {
+        const job = await this.findJob(args, apiKey);
+        if (!job) {
+            return this.buildJobNotFoundResult(args?.job_id);
+        }
+
+        const waitSeconds = Math.min(Math.max(Number(args.wait_seconds) || 0, 0), 120);
+        const result = await this.waitForJob(job, apiKey, {
+            signal: context.signal,
+            progress: context.progress,
+            waitMs: waitSeconds * 1000,
+        });
+        return result || this.buildJobHandleResult(job);
+    }
+
+    async findJob(args, apiKey) {
+        if (!args?.job_id) {
+            throw this.createMcpError(-32602, 'Missing required parameter: job_id', {
+                suggestion: 'Pass the job_id returned when the tool call was accepted',
+            });
+        }
+        return this.jobTracker.get(args.job_id, apiKey || this.token);
+    }
+
+    buildJobNotFoundResult(jobId) {
+        return this.buildToolErrorResult(`Unknown job '${jobId}'`, {
+            code: 'job_not_found',
+            tip: 'The job id is wrong, belongs to another API key, or its result was already returned.',
+        });
+    }
+
+    /**
+     * Turn a proxy execute response into an MCP tool result
+     * @param {object} response - { status, data } with the normalized envelope
+     * @param {object} options
+     * @param {string} options.namespace - Looks up the tool's outputSchema, if any
+     * @param {boolean} options.truncate - false keeps results over the budget whole
+     */
+    buildExecuteResult(
+        response,
+        toolName,
+        appName,
+        apiKey = null,
+        { namespace = null, truncate = true } = {}
+    ) {
+        // Handle the response according to the architecture
+        // The architecture specifies normalized responses: {data, successful, error, log_id}
+        // Also handle backend responses that use 'success' instead of 'successful'
+        if (response.data && typeof response.data === 'object') {
+            if (
+                response.data.successful === false ||
+                response.data.success === false
+            ) {
+                throw this.createMcpErrorFromProxyPayload(
+                    response.data,
+                    response.status,
+                    `Tool '${toolName}' failed`,
+                    {
+                        tool: toolName,
+                        app: appName,
+                    }
+                );
+            }
+
+            // Return MCP-compliant response format
+            // Fallback if data field is missing - use the whole response
+            const data = response.data.data !== undefined ? response.data.data : response.data;
+
+            // Files become image, audio, resource or resource_link items; the
+            // JSON keeps a reference to each instead of the base64
+            const { payload, files } = this.resultFiles.extract(data, apiKey || this.token);
+            const responseText =
+                typeof payload === 'string' ? payload : JSON.stringify(payload, null, 2);
+            const truncated =
+                truncate && this.truncateResult(responseText, payload, toolName, apiKey);
+
+            const result = {
+                content: [
+                    {
+                        type: 'text',
+                        text: truncated ? truncated.text : responseText,
+                    },
+                    ...this.resultFiles.toContent(files),
+                ],
+            };
+
+            // Structured results travel as structuredContent; the text block
+            // stays for clients that do not read it. Truncated results send
+            // neither in full, only a preview for an advertised outputSchema.
+            const outputSchema = truncated
+                ? this.getOutputSchema(namespace, toolName, apiKey)
+                : null;
+            const structuredContent = truncated
+                ? this.truncatedStructuredContent(payload, outputSchema)
+                : this.toStructuredContent(payload);
+            if (structuredContent) {
+                result.structuredContent = structuredContent;
+            } else if (outputSchema) {
+                // Clients reject a result without structuredContent unless it is an error
+                result.isError = true;
+                result.content[0].text += `\n\nThe preview of this result does not match the tool's output schema, so it is returned as text only. The call itself succeeded; do not repeat it. Read the full result with ${READ_RESULT_TOOL_NAME}.`;
+            }
+
+            return result;
+        } else {
+            // Fallback for non-standard response
+            const responseText =
+                typeof response.data === 'string'
+                    ? response.data
+                    : JSON.stringify(response.data, null, 2);
+            const truncated =
+                truncate && this.truncateResult(responseText, response.data, toolName, apiKey);
+            const result = {
+                content: [
+                    {
+                        type: 'text',
+                        text: truncated ? truncated.text : responseText,
+                    },
+                ],
+            };
+
+            return result;
+        }
+    }
+
+    /**
+     * outputSchema of a registry tool; clients require schema-valid
+     * structuredContent from tools that advertise one
+     */
+    getOutputSchema(namespace, toolName, apiKey = null) {
+        if (!namespace) {
+            return null;
+        }
+        return this.toolRegistry.getTool(`${namespace}__${toolName}`, apiKey)?.outputSchema || null;
+    }
+
+    /**
+     * structuredContent for a truncated result of a tool with an outputSchema:
+     * a preview cut to the budget, or null if the preview no longer matches
+     * the schema. Never the whole payload. Tools without one send text only.
+     */
+    truncatedStructuredContent(payload, outputSchema) {
+        if (!outputSchema) {
+            return null;
+        }
+        const preview = this.toStructuredContent(this.resultStore.preview(payload));
+        if (preview && this.parameterValidator.validate(outputSchema, preview).valid) {
+            return preview;
+        }
+        return null;
+    }
+
+    /**
+     * Store a result over the size budget and return its truncated text
+     * @returns {{resultId: string, text: string}|null} null when within budget
+     */
+    truncateResult(text, payload, toolName, apiKey) {
+        if (!this.resultStore.exceedsBudget(text)) {
+            return null;
+        }
+        const truncated = this.resultStore.truncate(
+            text,
+            payload,
+            { toolName },
+            apiKey || this.token
+        );
+        this.log(
+            `✂️ Truncated '${toolName}' result (${text.length} characters), stored as ${truncated.resultId}`
+        );
+        return truncated;
+    }
+
+    /**
+     * Handle uru__read_result
+     */
+    handleReadResult(args, apiKey = null) {
+        if (!args?.result_id) {
+            throw this.createMcpError(-32602, 'Missing required parameter: result_id', {
+                suggestion: 'Pass the result_id shown with the truncated result',
+            });
+        }
+
+        let chunk;
+        try {
+            chunk = this.resultStore.read(
+                args.result_id,
+                { cursor: args.cursor, path: args.path },
+                apiKey || this.token
+            );
+        } catch (error) {
+            return this.buildToolErrorResult(error.message, {
+                code: args.path ? 'invalid_path' : 'invalid_cursor',
+                tip: args.path
+                    ? 'Use JSONPath such as $.items[0:10] or $..id'
+                    : 'Use the cursor given at the end of the previous chunk',
+            });
+        }
+        if (!chunk) {
+            return this.buildToolErrorResult(`Unknown or expired result '${args.result_id}'`, {
+                code: 'result_not_found',
+                tip: 'Stored results expire after 30 minutes. Run the tool again to get a new result_id.',
+            });
+        }
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: chunk.text,
+                },
+            ],
+        };
+    }
+
+    /**
+     * POST an execute request. With a progress listener the body is streamed,
+     * so progress events sent by the proxy (NDJSON or SSE) arrive as they happen.
+     * @param {(event: object) => void} onProgress - Called for each progress event
+     */
+    async postExecute(url, body, requestConfig, onProgress = null) {
+        if (!onProgress) {
+            return axios.post(url, body, requestConfig);
+        }
+
+        try {
+            const response = await axios.post(url, body, {
+                ...requestConfig,
+                responseType: 'stream',
+                headers: {
+                    ...requestConfig.headers,
+                    Accept: 'application/x-ndjson, text/event-stream, application/json',
+                },
+            });
+            response.data = await this.readExecuteStream(response, onProgress);
+            return response;
+        } catch (error) {
+            // Error bodies are streamed too; parse them for the error payload
+            if (typeof error.response?.data?.pipe === 'function') {
+                error.response.data = await this.readExecuteStream(error.response);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read a streamed execute response. NDJSON and SSE bodies carry
+     * `{"type": "progress", ...}` events followed by the result envelope
+     * (optionally tagged `"type": "result"`); other bodies are plain JSON.
      */
-    async executeToolOnProxy(
-        toolName,
-        parameters,
-        appName,
-        apiKey = null,
-        namespace = null
-    ) {
-        // Connection metadata for routing (declared outside try so catch can reference it)
-        let connectionMetadata = null;
-
-        try {
-            this.log(
-                `🔧 Executing tool '${toolName}' in app '${appName}' (namespace: ${
-                    namespace || 'none'
-                })`
-            );
-
-            // Use the tool name directly for proxy execution
-            const toolSlug = toolName;
-
-            // Get connection metadata if namespace is provided
-            let connectionMetadata = null;
-            if (namespace) {
-                connectionMetadata =
-                    this.namespaceManager.getNamespaceMetadata(namespace);
-                if (connectionMetadata) {
-                    this.log(
-                        `🔗 Found connection metadata for namespace '${namespace}': ${JSON.stringify(
-                            connectionMetadata
-                        )}`
-                    );
-                } else {
-                    this.log(
-                        `⚠️ No connection metadata found for namespace '${namespace}', falling back to app context`
-                    );
-                }
+    async readExecuteStream(response, onProgress = null) {
+        const stream = response.data;
+        const isEventStream = /ndjson|event-stream/.test(
+            String(response.headers?.['content-type'] || '')
+        );
+        let result;
+        const handleLine = line => {
+            const data = line.trim().replace(/^data:\s*/, '');
+            if (!data || data.startsWith(':') || /^(event|id|retry):/.test(data)) {
+                return;
             }
-
-            // Build request body with enhanced routing context
-            const requestBody = {
-                ...(parameters || {}),
-                _app_context: appName, // Legacy app context for backward compatibility
-            };
-
-            // Add connection metadata if available
-            if (connectionMetadata && connectionMetadata.connected_account_id) {
-                requestBody._connected_account_id =
-                    connectionMetadata.connected_account_id;
-                requestBody._server_id = connectionMetadata.server_id;
-                this.log(
-                    `🎯 Using connected_account_id: ${connectionMetadata.connected_account_id}`
-                );
+            let event;
+            try {
+                event = JSON.parse(data);
+            } catch (error) {
+                this.log(`⚠️ Skipping unparseable stream line: ${data.slice(0, 80)}`, 'warn');
+                return;
             }
+            if (event?.type === 'progress') {
+                onProgress?.(event);
+                return;
+            }
+            if (event?.type === 'result') {
+                const { type, ...envelope } = event;
+                result = envelope;
+                return;
+            }
+            result = event;
+        };
 
-            const headers = {
-                ...this.getAuthHeaders(apiKey),
-                'Content-Type': 'application/json',
-                'X-App-Context': appName, // Legacy header for backward compatibility
-            };
-
-            // Add connection metadata to headers if available
-            if (connectionMetadata && connectionMetadata.connected_account_id) {
-                headers['X-Connected-Account-Id'] =
-                    connectionMetadata.connected_account_id;
-                if (connectionMetadata.server_id) {
-                    headers['X-Server-Id'] = connectionMetadata.server_id;
-                }
+        if (typeof stream.setEncoding === 'function') {
+            stream.setEncoding('utf8');
+        }
+        let buffer = '';
+        for await (const chunk of stream) {
+            buffer += chunk;
+            if (isEventStream) {
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                lines.forEach(handleLine);
             }
+        }
 
-            const response = await axios.post(
-                `${this.proxyUrl}/execute/${encodeURIComponent(toolSlug)}`,
-                requestBody,
-                {
-                    // Standardize timeout to 3 minutes
-                    timeout: this.config.timeout || 180000,
-                    headers,
-                }
-            );
+        if (isEventStream) {
+            handleLine(buffer);
+            return result;
+        }
+        try {
+            return JSON.parse(buffer);
+        } catch (error) {
+            return buffer;
+        }
+    }
 
-            this.log(
-                `📊 Tool execution response: ${JSON.stringify(response.data, null, 2)}`
-            );
+    /**
+     * Error for a tool call the client cancelled (notifications/cancelled)
+     */
+    createCancelledError(toolName) {
+        const error = new Error(`Tool '${toolName}' was cancelled by the client`);
+        error.cancelled = true;
+        return error;
+    }
 
-            // Handle the response according to the architecture
-            // The architecture specifies normalized responses: {data, successful, error, log_id}
-            // Also handle backend responses that use 'success' instead of 'successful'
-            if (response.data && typeof response.data === 'object') {
-                if (
-                    response.data.successful === false ||
-                    response.data.success === false
-                ) {
-                    throw this.createMcpErrorFromProxyPayload(
-                        response.data,
-                        response.status,
-                        `Tool '${toolName}' failed`,
-                        {
-                            tool: toolName,
-                            app: appName,
-                        }
-                    );
-                }
+    /**
+     * Proxy execution counters
+     */
+    getExecutionStats() {
+        return { ...this.executionStats };
+    }
 
-                // Return MCP-compliant response format
-                let responseText;
-                if (response.data.data !== undefined) {
-                    responseText =
-                        typeof response.data.data === 'string'
-                            ? response.data.data
-                            : JSON.stringify(response.data.data, null, 2);
-                } else {
-                    // Fallback if data field is missing - use the whole response
-                    responseText = JSON.stringify(response.data, null, 2);
-                }
+    /**
+     * Metric families updated by the server, plus collectors that copy the
+     * stats other components keep into gauges at scrape time
+     */
+    createMeters(registry) {
+        const meters = {
+            requests: registry.counter(
+                'uru_mcp_requests_total',
+                'MCP requests handled, by method and status (ok or error)',
+                ['method', 'status']
+            ),
+            requestDuration: registry.histogram(
+                'uru_mcp_request_duration_seconds',
+                'MCP request handling time',
+                ['method']
+            ),
+            toolCalls: registry.counter(
+                'uru_mcp_tool_calls_total',
+                'Tool executions sent to the proxy, by outcome',
+                ['namespace', 'tool', 'outcome']
+            ),
+            toolCallDuration: registry.histogram(
+                'uru_mcp_tool_call_duration_seconds',
+                'Tool execution time, including retries and background job waits',
+                ['namespace', 'tool']
+            ),
+            proxyRequests: registry.counter(
+                'uru_mcp_proxy_requests_total',
+                'Proxy requests by HTTP status, error code, circuit_open or cancelled',
+                ['status']
+            ),
+            toolsVersionChanges: registry.counter(
+                'uru_mcp_tools_version_changes_total',
+                'Tool catalog version changes detected by the version monitor'
+            ),
+        };
 
-                const result = {
-                    content: [
-                        {
-                            type: 'text',
-                            text: responseText,
-                        },
-                    ],
-                };
+        const toolsVersion = registry.gauge(
+            'uru_mcp_tools_version',
+            'Last tool catalog version seen'
+        );
+        const registryTools = registry.gauge(
+            'uru_mcp_registry_tools',
+            'Tools held in the registry, across all API keys'
+        );
+        const registryNamespaces = registry.gauge(
+            'uru_mcp_registry_namespaces',
+            'Namespaces loaded in the registry, across all API keys'
+        );
+        const tenants = registry.gauge('uru_mcp_tenants', 'API keys with cached catalogs');
+        const circuitState = registry.gauge(
+            'uru_mcp_circuit_state',
+            'Proxy circuit breaker state (1 for the current state)',
+            ['state']
+        );
+        const circuitOpened = registry.counter(
+            'uru_mcp_circuit_opened_total',
+            'Times the proxy circuit breaker opened'
+        );
+        const retries = registry.counter(
+            'uru_mcp_proxy_retries_total',
+            'Proxy request retries, by reason',
+            ['reason']
+        );
+        const pendingJobs = registry.gauge(
+            'uru_mcp_background_jobs',
+            'Background jobs being tracked'
+        );
 
-                return result;
-            } else {
-                // Fallback for non-standard response
-                const result = {
-                    content: [
-                        {
-                            type: 'text',
-                            text:
-                                typeof response.data === 'string'
-                                    ? response.data
-                                    : JSON.stringify(response.data, null, 2),
-                        },
-                    ],
-                };
+        registry.addCollector(() => {
+            toolsVersion.set({}, this._lastToolsVersion);
+            const stats = this.toolRegistry.getStats();
+            registryTools.set({}, stats.totalTools);
+            registryNamespaces.set({}, stats.totalNamespaces);
+            tenants.set({}, stats.tenants);
 
-                return result;
+            const circuit = this.circuitBreaker.getStats();
+            for (const state of ['closed', 'open', 'half_open']) {
+                circuitState.set({ state }, circuit.state === state ? 1 : 0);
             }
-        } catch (error) {
-            // Enhanced error logging for debugging
-            this.log(`❌ Tool execution failed for '${toolName}':`, 'error');
-            this.log(`   App: ${appName}`, 'error');
-            this.log(`   Namespace: ${namespace || 'none'}`, 'error');
-            this.log(
-                `   Connection metadata: ${
-                    connectionMetadata ? JSON.stringify(connectionMetadata) : 'none'
-                }`,
-                'error'
-            );
-            this.log(`   Error: ${error.message}`, 'error');
+            circuitOpened.set({}, circuit.opened);
 
-            if (error.response) {
-                this.log(`   HTTP Status: ${error.response.status}`, 'error');
-                this.log(
-                    `   Response data: ${JSON.stringify(error.response.data)}`,
-                    'error'
-                );
+            const retryStats = this.retryPolicy.getStats();
+            for (const [reason, count] of Object.entries(retryStats.retriesByReason)) {
+                retries.set({ reason }, count);
             }
+            pendingJobs.set({}, this.jobTracker.jobs.size);
+        });
 
-            if (this.isMcpError(error)) {
-                throw error;
-            }
+        return meters;
+    }
 
-            if (error.response?.data) {
-                throw this.createMcpErrorFromProxyPayload(
-                    error.response.data,
-                    error.response.status,
-                    `Tool '${toolName}' failed`,
-                    {
-                        tool: toolName,
-                        app: appName,
-                        namespace,
-                        suggestion:
-                            namespace && error.response.status === 404
-                                ? `Tool '${toolName}' not found. Try calling ${namespace}__list_tools to see available tools.`
-                                : undefined,
-                    }
-                );
-            }
+    /**
+     * Label for one proxy request: HTTP status, or why there was none
+     */
+    proxyStatusLabel(result, error) {
+        if (!error) {
+            return String(result?.status || 'ok');
+        }
+        if (error.circuitOpen) {
+            return 'circuit_open';
+        }
+        if (error.cancelled || error.code === 'ERR_CANCELED') {
+            return 'cancelled';
+        }
+        return String(error.response?.status || error.code || 'network_error');
+    }
 
-            // Provide specific error messages based on HTTP status
-            if (error.response?.status === 404) {
-                const suggestion = namespace
-                    ? `Tool '${toolName}' not found. Try calling ${namespace}_list_tools to see available tools.`
-                    : `Tool '${toolName}' not found on proxy. Check if the tool name is correct.`;
-                throw new Error(suggestion);
-            } else if (error.response?.status === 400) {
-                const details =
-                    error.response.data?.message ||
-                    error.response.data?.error ||
-                    'Bad request';
-                throw new Error(
-                    `Invalid parameters for tool '${toolName}': ${details}`
-                );
-            } else if (error.response?.status === 401) {
-                throw new Error('Authentication failed. Check your API key or token.');
-            } else if (error.response?.status === 403) {
-                const suggestion = connectionMetadata
-                    ? `Access denied for tool '${toolName}'. The connected account may not have permission or the connection may be inactive.`
-                    : `Access denied for tool '${toolName}'. Check your permissions.`;
-                throw new Error(suggestion);
-            } else if (error.response?.status === 500) {
-                throw new Error(
-                    `Server error executing tool '${toolName}'. This may be a temporary issue - please try again.`
-                );
-            } else {
-                throw new Error(
-                    `Proxy error executing '${toolName}': ${error.message}`
-                );
-            }
+    /**
+     * Run one MCP request in a server span. A traceparent in the request's
+     * _meta or in the HTTP headers continues the client's trace.
+     */
+    traceRequest(request, extra, handle) {
+        const toolName = request.method === 'tools/call' ? request.params?.name : null;
+        return this.tracer.startActiveSpan(
+            toolName ? `${request.method} ${toolName}` : request.method,
+            {
+                kind: 'server',
+                parent:
+                    request.params?._meta?.traceparent ||
+                    extra?.requestInfo?.headers?.traceparent,
+                attributes: {
+                    'mcp.method.name': request.method,
+                    'mcp.tool.name': toolName,
+                    'mcp.session.id': extra?.sessionId,
+                },
+            },
+            handle
+        );
+    }
+
+    /**
+     * Count and time one MCP request
+     */
+    async observeRequest(method, handle) {
+        const startedAt = Date.now();
+        let status = 'error';
+        try {
+            const result = await handle();
+            status = result?.isError ? 'error' : 'ok';
+            return result;
+        } finally {
+            this.meters.requests.inc({ method, status });
+            this.meters.requestDuration.observe({ method }, (Date.now() - startedAt) / 1000);
         }
     }
 
@@ -1546,15 +3583,15 @@ This hierarchical approach provides full MCP compliance while efficiently managi
     enhanceToolsWithApiKeyParam(tools) {
         // Always add api_key parameter, but make it optional if we have a configured token
         return tools.map(tool => {
-            const enhancedTool = { ...tool };
-
-            // Ensure inputSchema exists
-            if (!enhancedTool.inputSchema) {
-                enhancedTool.inputSchema = {
-                    type: 'object',
-                    properties: {},
-                    required: [],
-                };
+            // Copy the schema: registry tools share it with the parameter validator
+            const enhancedTool = {
+                ...tool,
+                inputSchema: tool.inputSchema
+                    ? structuredClone(tool.inputSchema)
+                    : { type: 'object', properties: {}, required: [] },
+            };
+            if (!enhancedTool.inputSchema.properties) {
+                enhancedTool.inputSchema.properties = {};
             }
 
             // Add api_key to properties if not already present
@@ -1632,11 +3669,15 @@ This hierarchical approach provides full MCP compliance while efficiently managi
             headers['If-None-Match'] = this._toolsSyncEtag;
         }
 
-        const response = await axios.get(`${this.proxyUrl}/tools/sync/version`, {
-            timeout: this.config.timeout || 30000,
-            headers,
-            validateStatus: status => status === 200 || status === 304,
-        });
+        const response = await this.circuitBreaker.execute(
+            () =>
+                axios.get(`${this.proxyUrl}/tools/sync/version`, {
+                    timeout: this.config.timeout || 30000,
+                    headers,
+                    validateStatus: status => status === 200 || status === 304,
+                }),
+            'GET /tools/sync/version'
+        );
 
         if (response.status === 304) {
             return;
@@ -1657,14 +3698,49 @@ This hierarchical approach provides full MCP compliance while efficiently managi
             this.log(
                 `[INFO] Detected tools version change ${this._lastToolsVersion} -> ${version}; notifying clients`
             );
+            this.meters.toolsVersionChanges.inc();
             this.toolRegistry.clearCaches();
             this.namespaceManager.clearCaches();
             this.toolLoader.clearCaches();
+            this.promptCatalog.clearCaches();
+            this.catalogCache?.invalidate();
             this.namespaceManager.setRequiredMinVersion(version);
-            await this.server.sendToolListChanged();
+            await this.broadcast(server => server.sendToolListChanged());
+            await this.broadcast(server => server.sendResourceListChanged());
         }
 
         this._lastToolsVersion = Math.max(this._lastToolsVersion, version);
+        this.catalogCache?.setToolsVersion(this._lastToolsVersion);
+    }
+
+    /**
+     * Protocol servers with a connected client: the stdio server, or one per
+     * live HTTP session when running the Streamable HTTP gateway.
+     */
+    getProtocolServers() {
+        if (this._httpGateway) {
+            return this._httpGateway.getProtocolServers();
+        }
+        return [this.server];
+    }
+
+    /**
+     * Send a notification on every connected protocol server.
+     * @param {(server: Server) => Promise<void>} send
+     */
+    async broadcast(send) {
+        await Promise.all(
+            this.getProtocolServers().map(async server => {
+                try {
+                    await send(server);
+                } catch (error) {
+                    this.log(
+                        `[WARN] Failed to notify MCP client: ${error.message}`,
+                        'warn'
+                    );
+                }
+            })
+        );
     }
 
     _bindStdioLifecycle(stdin) {
@@ -1717,6 +3793,31 @@ This hierarchical approach provides full MCP compliance while efficiently managi
                 this._toolsVersionMonitor = null;
             }
 
+            this.offlineMode.stopReplayMonitor();
+
+            if (this.catalogCache) {
+                await this.catalogCache.flush();
+            }
+
+            if (this._httpGateway) {
+                try {
+                    await this._httpGateway.close();
+                } catch (error) {
+                    this.log(
+                        `[WARN] Error while closing HTTP gateway: ${error.message}`,
+                        'warn'
+                    );
+                }
+                this._httpGateway = null;
+            }
+
+            if (this._metricsServer) {
+                await this._metricsServer.close();
+                this._metricsServer = null;
+            }
+
+            await this.tracer.shutdown();
+
             try {
                 await this.server.close();
             } catch (error) {
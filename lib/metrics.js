@@ -0,0 +1,224 @@
+/**
+ * Metrics - Prometheus text-format metrics and an optional HTTP endpoint
+ *
+ * Counters and histograms are updated as requests and tool calls happen;
+ * collectors copy values that other components already track (registry and
+ * loader stats, circuit breaker, retries) into gauges at scrape time. With
+ * `--metrics-port`, `GET /metrics` on that port serves them for Prometheus.
+ */
+
+const http = require('http');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// Seconds; tool calls range from a few ms to minutes
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 180];
+
+/**
+ * One metric family with samples keyed by label values
+ */
+class Metric {
+    constructor(type, name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.buckets = buckets;
+        // label key -> { labels, value } or { labels, counts, sum, count }
+        this.samples = new Map();
+    }
+
+    sample(labels = {}) {
+        const key = this.labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+        let sample = this.samples.get(key);
+        if (!sample) {
+            sample = { labels };
+            if (this.type === 'histogram') {
+                Object.assign(sample, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+            } else {
+                sample.value = 0;
+            }
+            this.samples.set(key, sample);
+        }
+        return sample;
+    }
+
+    inc(labels = {}, value = 1) {
+        this.sample(labels).value += value;
+    }
+
+    set(labels = {}, value = 0) {
+        this.sample(labels).value = Number(value) || 0;
+    }
+
+    observe(labels = {}, value = 0) {
+        const sample = this.sample(labels);
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                sample.counts[index]++;
+            }
+        });
+        sample.sum += value;
+        sample.count++;
+    }
+
+    reset() {
+        this.samples.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const sample of this.samples.values()) {
+            if (this.type !== 'histogram') {
+                lines.push(`${this.name}${this.formatLabels(sample.labels)} ${sample.value}`);
+                continue;
+            }
+            this.buckets.forEach((bound, index) => {
+                const labels = this.formatLabels(sample.labels, { le: String(bound) });
+                lines.push(`${this.name}_bucket${labels} ${sample.counts[index]}`);
+            });
+            const all = this.formatLabels(sample.labels, { le: '+Inf' });
+            const labels = this.formatLabels(sample.labels);
+            lines.push(`${this.name}_bucket${all} ${sample.count}`);
+            lines.push(`${this.name}_sum${labels} ${sample.sum}`);
+            lines.push(`${this.name}_count${labels} ${sample.count}`);
+        }
+        return lines.join('\n');
+    }
+
+    formatLabels(labels, extra = {}) {
+        const pairs = [
+            ...this.labelNames.map(name => [name, labels[name]]),
+            ...Object.entries(extra),
+        ].map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+        return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+    }
+}
+
+/**
+ * Metrics Registry - metric families plus scrape-time collectors
+ */
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+        this.collectors = [];
+    }
+
+    counter(name, help, labelNames = []) {
+        return this.register(new Metric('counter', name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames = []) {
+        return this.register(new Metric('gauge', name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        return this.register(new Metric('histogram', name, help, labelNames, buckets));
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric '${metric.name}' is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    get(name) {
+        return this.metrics.get(name) || null;
+    }
+
+    /**
+     * Run before every scrape, to copy current values into gauges
+     */
+    addCollector(collect) {
+        this.collectors.push(collect);
+    }
+
+    /**
+     * All metrics in the Prometheus text exposition format
+     */
+    render() {
+        for (const collect of this.collectors) {
+            collect();
+        }
+        return `${Array.from(this.metrics.values(), metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+/**
+ * Metrics Server - serves GET /metrics on a local port
+ */
+class MetricsServer {
+    /**
+     * @param {MetricsRegistry} registry
+     * @param {object} config - { host, port, log }
+     */
+    constructor(registry, config = {}) {
+        this.registry = registry;
+        this.host = config.host || '127.0.0.1';
+        this.port = config.port ?? 9464;
+        this.logger = config.log || null;
+        this.httpServer = null;
+    }
+
+    async listen() {
+        this.httpServer = http.createServer((req, res) => this.handleRequest(req, res));
+        await new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.port, this.host, () => {
+                this.httpServer.off('error', reject);
+                resolve();
+            });
+        });
+
+        const address = this.httpServer.address();
+        if (address && typeof address === 'object') {
+            this.port = address.port;
+        }
+        this.log(`[INFO] Metrics endpoint listening on http://${this.host}:${this.port}/metrics`);
+    }
+
+    handleRequest(req, res) {
+        const { pathname } = new URL(req.url || '/', 'http://localhost');
+        if (pathname !== '/metrics') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found\n');
+            return;
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { Allow: 'GET, HEAD' }).end();
+            return;
+        }
+        try {
+            const body = this.registry.render();
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+            res.end(req.method === 'HEAD' ? undefined : body);
+        } catch (error) {
+            this.log(`❌ Failed to render metrics: ${error.message}`, 'error');
+            res.writeHead(500, { 'Content-Type': 'text/plain' }).end('Failed to render metrics\n');
+        }
+    }
+
+    async close() {
+        if (!this.httpServer) {
+            return;
+        }
+        const httpServer = this.httpServer;
+        this.httpServer = null;
+        await new Promise(resolve => httpServer.close(() => resolve()));
+    }
+
+    log(message, level = 'info') {
+        if (this.logger) {
+            this.logger(message, level);
+        }
+    }
+}
+
+function escapeLabelValue(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+}
+
+module.exports = { MetricsRegistry, MetricsServer, DEFAULT_BUCKETS };
@@ -9,16 +9,90 @@
  */
 
 const axios = require('axios');
+const { fingerprint } = require('./key-fingerprint');
+const { LogRedactor } = require('./log-redactor');
+const { Logger } = require('./logger');
+const { Tracer } = require('./tracing');
+
+/**
+ * Tenant Partitions - cache partitions keyed by a fingerprint of the API key
+ *
+ * Requests may carry their own api_key, so anything cached from the proxy
+ * (namespaces, connected accounts, tool schemas) is kept per credential.
+ * The least recently used partition is dropped once maxTenants is reached.
+ */
+class TenantPartitions {
+    /**
+     * @param {() => object} create - Builds an empty partition
+     * @param {object} config
+     * @param {string} config.defaultApiKey - Key used when a caller passes none
+     * @param {number} config.maxTenants - Partitions kept in memory
+     */
+    constructor(create, config = {}) {
+        this.create = create;
+        this.defaultApiKey = config.defaultApiKey || null;
+        this.maxTenants = config.maxTenants || 50;
+
+        // fingerprint -> partition, in least recently used order
+        this.partitions = new Map();
+    }
+
+    /**
+     * Partition key for a request's API key (the default key when none is given)
+     */
+    keyFor(apiKey = null) {
+        return fingerprint(apiKey || this.defaultApiKey);
+    }
+
+    /**
+     * Partition for an API key, created on first use
+     */
+    get(apiKey = null) {
+        const key = this.keyFor(apiKey);
+        let partition = this.partitions.get(key);
+        if (partition) {
+            // Move to the most recently used end
+            this.partitions.delete(key);
+        } else {
+            partition = this.create();
+            while (this.partitions.size >= this.maxTenants) {
+                this.partitions.delete(this.partitions.keys().next().value);
+            }
+        }
+        this.partitions.set(key, partition);
+        return partition;
+    }
+
+    values() {
+        return Array.from(this.partitions.values());
+    }
+
+    get size() {
+        return this.partitions.size;
+    }
+
+    clear() {
+        this.partitions.clear();
+    }
+}
 
 /**
  * Dynamic Tool Registry - Runtime tool management with caching and cleanup
+ *
+ * Tools are registered per API key; every lookup takes the caller's key and
+ * falls back to the configured default key.
  */
 class DynamicToolRegistry {
     constructor(config = {}) {
-        this.tools = new Map();
-        this.namespaces = new Map();
-        this.lastAccess = new Map();
-        this.usageStats = new Map();
+        this.tenants = new TenantPartitions(
+            () => ({
+                tools: new Map(),
+                namespaces: new Map(),
+                lastAccess: new Map(),
+                usageStats: new Map(),
+            }),
+            { defaultApiKey: config.defaultApiKey, maxTenants: config.maxTenants }
+        );
         this.maxCacheAge = config.maxCacheAge || 300000; // 5 minutes
         this.maxNamespaces = config.maxNamespaces || 20;
 
@@ -28,10 +102,18 @@ class DynamicToolRegistry {
         }, 60000); // Cleanup every minute
     }
 
+    /**
+     * Partition key for an API key, for callers that keep their own per-key state
+     */
+    tenantKey(apiKey = null) {
+        return this.tenants.keyFor(apiKey);
+    }
+
     /**
      * Register tools for a namespace
      */
-    registerNamespaceTools(namespace, tools) {
+    registerNamespaceTools(namespace, tools, apiKey = null) {
+        const tenant = this.tenants.get(apiKey);
         const namespacedTools = tools.map(tool => ({
             ...tool,
             name: `${namespace}__${tool.originalName || tool.name}`,
@@ -46,30 +128,35 @@ class DynamicToolRegistry {
             },
         }));
 
+        // Replace any earlier registration of this namespace
+        this.removeNamespace(tenant, namespace);
+
         // Register individual tools
         for (const tool of namespacedTools) {
-            this.tools.set(tool.name, tool);
+            tenant.tools.set(tool.name, tool);
         }
 
         // Track namespace
-        this.namespaces.set(namespace, {
+        tenant.namespaces.set(namespace, {
             tools: namespacedTools.map(t => t.name),
             loadedAt: Date.now(),
             toolCount: namespacedTools.length,
         });
 
-        this.lastAccess.set(namespace, Date.now());
+        tenant.lastAccess.set(namespace, Date.now());
+        this.enforceNamespaceLimit(tenant, [namespace]);
         return namespacedTools;
     }
 
     /**
      * Get tool by name
      */
-    getTool(toolName) {
-        const tool = this.tools.get(toolName);
+    getTool(toolName, apiKey = null) {
+        const tenant = this.tenants.get(apiKey);
+        const tool = tenant.tools.get(toolName);
         if (tool) {
-            this.lastAccess.set(tool.namespace, Date.now());
-            this.trackUsage(tool.namespace);
+            tenant.lastAccess.set(tool.namespace, Date.now());
+            this.trackUsage(tenant, tool.namespace);
         }
         return tool;
     }
@@ -77,38 +164,43 @@ class DynamicToolRegistry {
     /**
      * Get all tools for a namespace
      */
-    getNamespaceTools(namespace) {
-        const namespaceInfo = this.namespaces.get(namespace);
+    getNamespaceTools(namespace, apiKey = null) {
+        const tenant = this.tenants.get(apiKey);
+        const namespaceInfo = tenant.namespaces.get(namespace);
         if (!namespaceInfo) return [];
 
-        this.lastAccess.set(namespace, Date.now());
-        this.trackUsage(namespace);
+        tenant.lastAccess.set(namespace, Date.now());
+        this.trackUsage(tenant, namespace);
 
         return namespaceInfo.tools
-            .map(toolName => this.tools.get(toolName))
+            .map(toolName => tenant.tools.get(toolName))
             .filter(Boolean);
     }
 
     /**
      * Check if namespace is loaded
      */
-    isNamespaceLoaded(namespace) {
-        return this.namespaces.has(namespace);
+    isNamespaceLoaded(namespace, apiKey = null) {
+        return this.tenants.get(apiKey).namespaces.has(namespace);
     }
 
     /**
      * Track tool usage for optimization
      */
-    trackUsage(namespace) {
-        const count = this.usageStats.get(namespace) || 0;
-        this.usageStats.set(namespace, count + 1);
+    trackUsage(tenant, namespace) {
+        const count = tenant.usageStats.get(namespace) || 0;
+        tenant.usageStats.set(namespace, count + 1);
     }
 
     /**
      * Get top used namespaces
      */
-    getTopUsedNamespaces(limit = 5) {
-        return Array.from(this.usageStats.entries())
+    getTopUsedNamespaces(limit = 5, apiKey = null) {
+        return this.topUsed(this.tenants.get(apiKey), limit);
+    }
+
+    topUsed(tenant, limit) {
+        return Array.from(tenant.usageStats.entries())
             .sort(([, a], [, b]) => b - a)
             .slice(0, limit)
             .map(([namespace]) => namespace);
@@ -119,51 +211,62 @@ class DynamicToolRegistry {
      */
     cleanupStaleNamespaces() {
         const now = Date.now();
-        const namespacesToRemove = [];
-
-        for (const [namespace, lastAccess] of this.lastAccess.entries()) {
-            if (now - lastAccess > this.maxCacheAge) {
-                namespacesToRemove.push(namespace);
+        for (const tenant of this.tenants.values()) {
+            const namespacesToRemove = [];
+            for (const [namespace, lastAccess] of tenant.lastAccess.entries()) {
+                if (now - lastAccess > this.maxCacheAge) {
+                    namespacesToRemove.push(namespace);
+                }
             }
-        }
 
-        // Keep most used namespaces even if stale
-        const topUsed = this.getTopUsedNamespaces(5);
-        const toRemove = namespacesToRemove.filter(ns => !topUsed.includes(ns));
+            // Keep most used namespaces even if stale
+            const topUsed = this.topUsed(tenant, 5);
+            const toRemove = namespacesToRemove.filter(ns => !topUsed.includes(ns));
 
-        for (const namespace of toRemove) {
-            this.unregisterNamespace(namespace);
-        }
+            for (const namespace of toRemove) {
+                this.removeNamespace(tenant, namespace);
+            }
 
-        // Enforce max namespace limit
-        if (this.namespaces.size > this.maxNamespaces) {
-            const sortedByAccess = Array.from(this.lastAccess.entries()).sort(
-                ([, a], [, b]) => a - b
-            );
+            this.enforceNamespaceLimit(tenant, topUsed);
+        }
+    }
 
-            const excessCount = this.namespaces.size - this.maxNamespaces;
-            for (let i = 0; i < excessCount; i++) {
-                const [namespace] = sortedByAccess[i];
-                if (!topUsed.includes(namespace)) {
-                    this.unregisterNamespace(namespace);
-                }
-            }
+    /**
+     * Drop the least recently used namespaces over maxNamespaces
+     * @param {Array<string>} keep - Namespaces never dropped
+     */
+    enforceNamespaceLimit(tenant, keep = []) {
+        if (tenant.namespaces.size <= this.maxNamespaces) {
+            return;
+        }
+        const sortedByAccess = Array.from(tenant.lastAccess.entries())
+            .sort(([, a], [, b]) => a - b)
+            .map(([namespace]) => namespace)
+            .filter(namespace => !keep.includes(namespace));
+
+        const excessCount = tenant.namespaces.size - this.maxNamespaces;
+        for (const namespace of sortedByAccess.slice(0, excessCount)) {
+            this.removeNamespace(tenant, namespace);
         }
     }
 
     /**
      * Unregister a namespace and its tools
      */
-    unregisterNamespace(namespace) {
-        const namespaceInfo = this.namespaces.get(namespace);
+    unregisterNamespace(namespace, apiKey = null) {
+        this.removeNamespace(this.tenants.get(apiKey), namespace);
+    }
+
+    removeNamespace(tenant, namespace) {
+        const namespaceInfo = tenant.namespaces.get(namespace);
         if (namespaceInfo) {
             // Remove all tools for this namespace
             for (const toolName of namespaceInfo.tools) {
-                this.tools.delete(toolName);
+                tenant.tools.delete(toolName);
             }
 
-            this.namespaces.delete(namespace);
-            this.lastAccess.delete(namespace);
+            tenant.namespaces.delete(namespace);
+            tenant.lastAccess.delete(namespace);
         }
     }
 
@@ -240,14 +343,17 @@ class DynamicToolRegistry {
      * Get registry statistics
      */
     getStats() {
+        const tenants = this.tenants.values();
+        const total = field => tenants.reduce((sum, tenant) => sum + tenant[field].size, 0);
         return {
-            totalTools: this.tools.size,
-            totalNamespaces: this.namespaces.size,
+            totalTools: total('tools'),
+            totalNamespaces: total('namespaces'),
+            tenants: tenants.length,
             topUsedNamespaces: this.getTopUsedNamespaces(5),
             memoryUsage: {
-                tools: this.tools.size,
-                namespaces: this.namespaces.size,
-                lastAccess: this.lastAccess.size,
+                tools: total('tools'),
+                namespaces: total('namespaces'),
+                lastAccess: total('lastAccess'),
             },
         };
     }
@@ -256,10 +362,7 @@ class DynamicToolRegistry {
      * Clear all caches (for startup refresh)
      */
     clearCaches() {
-        this.tools.clear();
-        this.namespaces.clear();
-        this.lastAccess.clear();
-        this.usageStats.clear();
+        this.tenants.clear();
     }
 
     /**
@@ -282,22 +385,76 @@ class ToolNamespaceManager {
         this.proxyUrl = config.proxyUrl;
         this.token = config.token;
         this.debug = config.debug || false;
-        this.appsCache = {
-            data: null,
-            lastFetch: null,
-            ttl: config.cacheTimeout || 30000,
-        };
+        this.redactor = config.redactor || new LogRedactor({ secrets: [config.token] });
+        this.logger =
+            config.logger ||
+            new Logger({ level: this.debug ? 'debug' : 'warning', redactor: this.redactor });
+
+        // Apps, namespaces and connection metadata are cached per API key, so
+        // one caller's connected accounts never route another caller's calls
+        this.tenants = new TenantPartitions(
+            () => ({
+                appsCache: {
+                    data: null,
+                    lastFetch: null,
+                    ttl: config.cacheTimeout || 30000,
+                },
+                // Cache for namespace metadata (connection info)
+                namespacesCache: {
+                    data: null,
+                    lastFetch: 0,
+                    maxAge: config.cacheTimeout || 900000, // 15 minutes - longer cache for Claude Desktop performance
+                },
+                // Map namespace names to connection metadata
+                namespaceMetadata: new Map(),
+                // Last successfully fetched namespaces; survives clearCaches() so a
+                // catalog can still be served while the proxy is unavailable
+                lastKnownNamespaces: null,
+            }),
+            { defaultApiKey: config.token, maxTenants: config.maxTenants }
+        );
+        this.requiredMinVersion = 0;
 
-        // Cache for namespace metadata (connection info)
-        this.namespacesCache = {
-            data: null,
-            lastFetch: 0,
-            maxAge: config.cacheTimeout || 900000, // 15 minutes - longer cache for Claude Desktop performance
-        };
+        // Shared retry policy for idempotent proxy GETs (optional)
+        this.retryPolicy = config.retryPolicy || null;
 
-        // Map namespace names to connection metadata
-        this.namespaceMetadata = new Map();
-        this.requiredMinVersion = 0;
+        // Shared circuit breaker for proxy calls (optional)
+        this.circuitBreaker = config.circuitBreaker || null;
+
+        // Persistent on-disk catalog snapshot (optional)
+        this.catalogCache = config.catalogCache || null;
+
+        // Offline mode: serve catalogs from the snapshot instead of the proxy
+        this.offlineMode = config.offlineMode || null;
+
+        // Proxy fetches open child spans of the active request (no-op by default)
+        this.tracer = config.tracer || new Tracer();
+    }
+
+    /**
+     * GET from the proxy, retrying transient failures through the retry policy
+     * @param {string} path - Proxy path (e.g., /namespaces)
+     * @param {object} requestConfig - Axios request config
+     */
+    async proxyGet(path, requestConfig) {
+        const url = `${this.proxyUrl}${path}`;
+        const timeout = requestConfig.timeout || this.config.timeout || 30000;
+        const request = () =>
+            this.retryPolicy
+                ? this.retryPolicy.execute(
+                      (attempt, remainingMs) =>
+                          axios.get(url, {
+                              ...requestConfig,
+                              timeout: Math.min(timeout, remainingMs),
+                          }),
+                      { description: `GET ${path}` }
+                  )
+                : axios.get(url, requestConfig);
+
+        if (!this.circuitBreaker) {
+            return await request();
+        }
+        return await this.circuitBreaker.execute(request, `GET ${path}`);
     }
 
     /**
@@ -432,6 +589,11 @@ class ToolNamespaceManager {
                         description: 'Parameters to pass to the tool',
                         additionalProperties: true,
                     },
+                    confirm_token: {
+                        type: 'string',
+                        description:
+                            'Only when a previous call returned one: the token confirming the user approved this exact call',
+                    },
                 },
                 required: ['tool_name'],
             },
@@ -445,6 +607,61 @@ class ToolNamespaceManager {
         };
     }
 
+    /**
+     * Create namespace batch execute tool
+     * @param {string} appName - App name or namespace name
+     * @param {string} displayName - Optional display name for enhanced presentation
+     */
+    createNamespaceExecuteBatchTool(appName, displayName = null) {
+        const namespace = this.normalizeNamespace(appName);
+        const icon = this.getNamespaceIcon(namespace);
+        const finalDisplayName = displayName || appName;
+
+        return {
+            name: `${namespace}__execute_batch`,
+            description: `Execute many tool calls in the ${finalDisplayName} namespace in one request, e.g. the same tool over a list of ids. Calls run in parallel; each item gets its own result or error.`,
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    calls: {
+                        type: 'array',
+                        description: 'Tool calls to run',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            properties: {
+                                tool_name: {
+                                    type: 'string',
+                                    description:
+                                        'Name of the tool to execute (as returned by list_tools)',
+                                },
+                                parameters: {
+                                    type: 'object',
+                                    description: 'Parameters to pass to the tool',
+                                    additionalProperties: true,
+                                },
+                            },
+                            required: ['tool_name'],
+                        },
+                    },
+                    concurrency: {
+                        type: 'integer',
+                        description: 'How many calls run at once (capped by the server limit)',
+                        minimum: 1,
+                    },
+                },
+                required: ['calls'],
+            },
+            annotations: {
+                title: `${icon} ${finalDisplayName} Batch Execution`,
+                category: 'execution',
+                namespace: appName,
+                priority: 'high',
+                readOnlyHint: false,
+            },
+        };
+    }
+
     /**
      * Get icon for namespace
      */
@@ -493,6 +710,15 @@ class ToolNamespaceManager {
      * @param {string} apiKey - Optional API key to use for this request
      */
     async fetchNamespacesFromProxy(apiKey = null, options = {}) {
+        return this.tracer.startActiveSpan('fetchNamespacesFromProxy', { kind: 'client' }, () =>
+            this.loadNamespacesFromProxy(apiKey, options)
+        );
+    }
+
+    /**
+     * fetchNamespacesFromProxy inside its span
+     */
+    async loadNamespacesFromProxy(apiKey = null, options = {}) {
         const {
             forceRefresh = false,
             minVersion = null,
@@ -505,11 +731,22 @@ class ToolNamespaceManager {
             : Number(this.requiredMinVersion || 0);
         const shouldUseCache = !forceRefresh && effectiveMinVersion <= 0;
 
+        if (this.offlineMode?.isActive()) {
+            const lastKnown = this.getLastKnownNamespaces(apiKey);
+            if (lastKnown) {
+                this.log(`📴 Offline: returning ${lastKnown.length} cached namespaces`);
+                return lastKnown;
+            }
+            throw new Error(
+                'Offline and no cached namespace catalog is available. Connect once to build the catalog cache.'
+            );
+        }
+
         let readyAttempt = 0;
         while (true) {
             try {
                 // Use cached namespaces if available and fresh
-                const cachedNamespaces = this.getCachedNamespaces();
+                const cachedNamespaces = this.getCachedNamespaces(apiKey);
                 if (shouldUseCache && cachedNamespaces) {
                     this.log(`�o. Returning ${cachedNamespaces.length} cached namespaces`);
                     return cachedNamespaces;
@@ -523,17 +760,13 @@ class ToolNamespaceManager {
                 if (effectiveMinVersion > 0) {
                     requestConfig.params = { min_version: effectiveMinVersion };
                 }
-                const namespacesResponse = await axios.get(
-                    `${this.proxyUrl}/namespaces`,
+                const namespacesResponse = await this.proxyGet(
+                    '/namespaces',
                     requestConfig
                 );
 
                 this.log(
-                    `📊 Namespaces response: ${JSON.stringify(
-                        namespacesResponse.data,
-                        null,
-                        2
-                    )}`
+                    `📊 Namespaces response: ${this.redactor.payload(namespacesResponse.data)}`
                 );
 
                 if (!Array.isArray(namespacesResponse.data.namespaces)) {
@@ -543,24 +776,8 @@ class ToolNamespaceManager {
                 }
 
                 const namespaces = namespacesResponse.data.namespaces;
-
-                // Store namespace metadata for routing
-                this.namespaceMetadata.clear();
-                for (const namespace of namespaces) {
-                    if (namespace.name && namespace.connected_account_id) {
-                        this.namespaceMetadata.set(namespace.name, {
-                            connected_account_id: namespace.connected_account_id,
-                            server_id: namespace.server_id,
-                            account_label: namespace.account_label,
-                            connection_status: namespace.connection_status,
-                            displayName: namespace.displayName,
-                        });
-                    }
-                }
-
-                // Cache the namespaces
-                this.namespacesCache.data = namespaces;
-                this.namespacesCache.lastFetch = Date.now();
+                this.storeNamespaces(namespaces, apiKey);
+                this.catalogCache?.recordNamespaces(apiKey || this.token, namespaces);
 
                 this.log(
                     `✅ Loaded ${namespaces.length} namespaces with connection metadata`
@@ -575,6 +792,11 @@ class ToolNamespaceManager {
                     'error'
                 );
 
+                // Circuit open: surface the fail-fast error unchanged
+                if (error.circuitOpen) {
+                    throw error;
+                }
+
                 // Retry bounded times when proxy explicitly reports "tools not ready".
                 if (error.response?.status === 409 && effectiveMinVersion > 0) {
                     const retryAfterMs = Number(
@@ -603,7 +825,7 @@ class ToolNamespaceManager {
                 if (error.response) {
                     this.log(`   HTTP Status: ${error.response.status}`, 'error');
                     this.log(
-                        `   Response data: ${JSON.stringify(error.response.data)}`,
+                        `   Response data: ${this.redactor.payload(error.response.data)}`,
                         'error'
                     );
                 }
@@ -628,6 +850,31 @@ class ToolNamespaceManager {
         }
     }
 
+    /**
+     * Cache namespaces and their connection metadata for routing
+     * @param {Array} namespaces - Namespaces from the proxy or a disk snapshot
+     * @param {string} apiKey - Key the namespaces belong to
+     */
+    storeNamespaces(namespaces, apiKey = null) {
+        const tenant = this.tenants.get(apiKey);
+        tenant.namespaceMetadata.clear();
+        for (const namespace of namespaces) {
+            if (namespace.name && namespace.connected_account_id) {
+                tenant.namespaceMetadata.set(namespace.name, {
+                    connected_account_id: namespace.connected_account_id,
+                    server_id: namespace.server_id,
+                    account_label: namespace.account_label,
+                    connection_status: namespace.connection_status,
+                    displayName: namespace.displayName,
+                });
+            }
+        }
+
+        tenant.namespacesCache.data = namespaces;
+        tenant.namespacesCache.lastFetch = Date.now();
+        tenant.lastKnownNamespaces = namespaces;
+    }
+
     /**
      * Require upcoming namespace fetches to wait for at least this tools version.
      * @param {number} version
@@ -644,34 +891,45 @@ class ToolNamespaceManager {
     /**
      * Get cached namespaces if available and fresh
      */
-    getCachedNamespaces() {
+    getCachedNamespaces(apiKey = null) {
+        const { namespacesCache } = this.tenants.get(apiKey);
         if (
-            this.namespacesCache.data &&
-            Date.now() - this.namespacesCache.lastFetch < this.namespacesCache.maxAge
+            namespacesCache.data &&
+            Date.now() - namespacesCache.lastFetch < namespacesCache.maxAge
         ) {
-            return this.namespacesCache.data;
+            return namespacesCache.data;
         }
         return null;
     }
 
+    /**
+     * Last successfully fetched namespace catalog, regardless of cache age
+     */
+    getLastKnownNamespaces(apiKey = null) {
+        return this.tenants.get(apiKey).lastKnownNamespaces;
+    }
+
     /**
      * Clear all caches (for startup refresh)
      */
     clearCaches() {
-        this.appsCache.data = null;
-        this.appsCache.lastFetch = null;
-        this.namespacesCache.data = null;
-        this.namespacesCache.lastFetch = 0;
-        this.namespaceMetadata.clear();
+        for (const tenant of this.tenants.values()) {
+            tenant.appsCache.data = null;
+            tenant.appsCache.lastFetch = null;
+            tenant.namespacesCache.data = null;
+            tenant.namespacesCache.lastFetch = 0;
+            tenant.namespaceMetadata.clear();
+        }
     }
 
     /**
-     * Get connection metadata for a namespace
+     * Get connection metadata for a namespace, from the caller's own catalog
      * @param {string} namespace - Namespace name
+     * @param {string} apiKey - Caller's API key
      * @returns {object|null} Connection metadata or null if not found
      */
-    getNamespaceMetadata(namespace) {
-        return this.namespaceMetadata.get(namespace) || null;
+    getNamespaceMetadata(namespace, apiKey = null) {
+        return this.tenants.get(apiKey).namespaceMetadata.get(namespace) || null;
     }
 
     /**
@@ -681,7 +939,7 @@ class ToolNamespaceManager {
     async fetchAppsFromProxy(apiKey = null) {
         try {
             // Use cached apps if available and fresh
-            const cachedApps = this.getCachedApps();
+            const cachedApps = this.getCachedApps(apiKey);
             if (cachedApps) {
                 this.log(
                     `✅ Returning ${cachedApps.length} cached apps: ${cachedApps.join(
@@ -691,13 +949,13 @@ class ToolNamespaceManager {
                 return cachedApps;
             }
 
-            const appsResponse = await axios.get(`${this.proxyUrl}/list/apps`, {
+            const appsResponse = await this.proxyGet('/list/apps', {
                 timeout: this.config.timeout || 30000,
                 headers: this.getAuthHeaders(apiKey),
             });
 
             this.log(
-                `📊 Available apps: ${JSON.stringify(appsResponse.data, null, 2)}`
+                `📊 Available apps: ${this.redactor.payload(appsResponse.data)}`
             );
 
             if (!Array.isArray(appsResponse.data)) {
@@ -719,8 +977,9 @@ class ToolNamespaceManager {
             });
 
             // Cache the app names (not the full objects)
-            this.appsCache.data = appNames;
-            this.appsCache.lastFetch = Date.now();
+            const { appsCache } = this.tenants.get(apiKey);
+            appsCache.data = appNames;
+            appsCache.lastFetch = Date.now();
 
             return appNames;
         } catch (error) {
@@ -735,9 +994,31 @@ class ToolNamespaceManager {
      * @param {string} apiKey - Optional API key to use for this request
      */
     async fetchToolsForApp(appName, apiKey = null) {
+        return this.tracer.startActiveSpan(
+            'fetchToolsForApp',
+            { kind: 'client', attributes: { 'uru.app': appName } },
+            () => this.loadToolsForApp(appName, apiKey)
+        );
+    }
+
+    /**
+     * fetchToolsForApp inside its span
+     */
+    async loadToolsForApp(appName, apiKey = null) {
+        if (this.offlineMode?.isActive()) {
+            const cachedTools = this.catalogCache?.getTools(apiKey || this.token, appName);
+            if (cachedTools) {
+                this.log(`📴 Offline: returning ${cachedTools.length} cached tools for '${appName}'`);
+                return cachedTools;
+            }
+            throw new Error(
+                `Offline and the tools for '${appName}' are not in the catalog cache`
+            );
+        }
+
         try {
-            const toolsResponse = await axios.get(
-                `${this.proxyUrl}/list/apps/${encodeURIComponent(appName)}/tools`,
+            const toolsResponse = await this.proxyGet(
+                `/list/apps/${encodeURIComponent(appName)}/tools`,
                 {
                     timeout: this.config.timeout || 30000,
                     headers: this.getAuthHeaders(apiKey),
@@ -745,11 +1026,7 @@ class ToolNamespaceManager {
             );
 
             this.log(
-                `📊 Tools for app '${appName}': ${JSON.stringify(
-                    toolsResponse.data,
-                    null,
-                    2
-                )}`
+                `📊 Tools for app '${appName}': ${this.redactor.payload(toolsResponse.data)}`
             );
 
             // Extract tools array from response
@@ -785,6 +1062,17 @@ class ToolNamespaceManager {
                         _toolSlug: tool.slug || tool.id || originalName,
                     };
 
+                    // Keep MCP hints such as readOnlyHint for offline mode
+                    if (tool.annotations && typeof tool.annotations === 'object') {
+                        cleanTool.annotations = tool.annotations;
+                    }
+
+                    // MCP output schemas must describe an object result
+                    const outputSchema = tool.outputSchema || tool.output_schema;
+                    if (outputSchema && outputSchema.type === 'object') {
+                        cleanTool.outputSchema = outputSchema;
+                    }
+
                     // Validate input schema
                     if (
                         !cleanTool.inputSchema ||
@@ -808,6 +1096,7 @@ class ToolNamespaceManager {
             this.log(
                 `✅ Processed ${validTools.length} valid tools for app '${appName}'`
             );
+            this.catalogCache?.recordTools(apiKey || this.token, appName, validTools);
             return validTools;
         } catch (error) {
             this.log(
@@ -821,17 +1110,18 @@ class ToolNamespaceManager {
     /**
      * Get cached apps if available and fresh
      */
-    getCachedApps() {
-        if (!this.appsCache.data || !this.appsCache.lastFetch) {
+    getCachedApps(apiKey = null) {
+        const { appsCache } = this.tenants.get(apiKey);
+        if (!appsCache.data || !appsCache.lastFetch) {
             return null;
         }
 
-        const age = Date.now() - this.appsCache.lastFetch;
-        if (age > this.appsCache.ttl) {
+        const age = Date.now() - appsCache.lastFetch;
+        if (age > appsCache.ttl) {
             return null;
         }
 
-        return this.appsCache.data;
+        return appsCache.data;
     }
 
     /**
@@ -849,7 +1139,8 @@ class ToolNamespaceManager {
             headers['Authorization'] = `Bearer ${tokenToUse}`;
         }
 
-        return headers;
+        // W3C trace context, so the proxy can join the active trace
+        return { ...headers, ...this.tracer.headers() };
     }
 
     /**
@@ -922,11 +1213,8 @@ class ToolNamespaceManager {
      * Logging helper
      */
     log(message, level = 'info') {
-        if (this.debug) {
-            const timestamp = new Date().toISOString();
-            console.log(`[${timestamp}] [NamespaceManager] ${message}`);
-        }
+        this.logger.log(message, level, 'NamespaceManager');
     }
 }
 
-module.exports = { DynamicToolRegistry, ToolNamespaceManager };
+module.exports = { DynamicToolRegistry, ToolNamespaceManager, TenantPartitions };
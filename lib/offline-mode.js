@@ -0,0 +1,305 @@
+/**
+ * Offline Mode for Uru MCP
+ *
+ * Active when started with `--offline`, or automatically while the proxy
+ * circuit is open after repeated network failures. While offline, catalogs
+ * are served from the on-disk snapshot and only read-only tools may run.
+ * Write operations can optionally be queued to a local journal and replayed
+ * once connectivity returns.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { fingerprint } = require('./key-fingerprint');
+
+/**
+ * Name tokens that identify a tool as changing state
+ */
+const WRITE_VERBS = new Set([
+    'add',
+    'archive',
+    'cancel',
+    'create',
+    'delete',
+    'execute',
+    'forward',
+    'insert',
+    'invite',
+    'mark',
+    'modify',
+    'move',
+    'patch',
+    'post',
+    'put',
+    'remove',
+    'reply',
+    'run',
+    'send',
+    'set',
+    'share',
+    'trigger',
+    'update',
+    'upload',
+    'upsert',
+    'write',
+]);
+
+/**
+ * Name tokens that identify a tool as read-only
+ */
+const READ_VERBS = new Set([
+    'check',
+    'count',
+    'describe',
+    'fetch',
+    'find',
+    'get',
+    'list',
+    'lookup',
+    'query',
+    'read',
+    'retrieve',
+    'search',
+    'view',
+]);
+
+/**
+ * Offline Mode - offline state, read-only policy and the write journal
+ */
+class OfflineMode {
+    constructor(config = {}) {
+        this.forced = config.forced === true;
+        this.queueWrites = config.queueWrites === true;
+        this.journalFile = config.journalFile;
+        this.circuitBreaker = config.circuitBreaker || null;
+        this.replayIntervalMs = config.replayIntervalMs || 30000;
+        this.logger = config.log || null;
+
+        this.replayMonitor = null;
+        this.replayPromise = null;
+    }
+
+    /**
+     * True when forced offline or while the proxy circuit is open
+     */
+    isActive() {
+        return this.forced || Boolean(this.circuitBreaker?.isOpen());
+    }
+
+    /**
+     * Why the server is offline: 'forced', 'network' or null
+     */
+    getReason() {
+        if (this.forced) {
+            return 'forced';
+        }
+        return this.circuitBreaker?.isOpen() ? 'network' : null;
+    }
+
+    /**
+     * Decide whether a tool only reads data. MCP annotations win; otherwise
+     * the tool name is inspected, and unknown tools count as writes.
+     * @param {object} tool - Tool definition (annotations optional)
+     */
+    isReadOnlyTool(tool) {
+        const annotations = tool?.annotations || {};
+        if (annotations.readOnlyHint === true) {
+            return true;
+        }
+        if (annotations.readOnlyHint === false || annotations.destructiveHint === true) {
+            return false;
+        }
+
+        const tokens = String(tool?.originalName || tool?.name || '')
+            .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+        if (tokens.some(token => WRITE_VERBS.has(token))) {
+            return false;
+        }
+        return tokens.some(token => READ_VERBS.has(token));
+    }
+
+    /**
+     * Append a write operation to the journal
+     * @param {object} operation - { namespace, appName, toolName, parameters }
+     * @param {string} apiKey - Key the operation will be replayed with
+     * @returns {Promise<object>} The journal entry
+     */
+    async enqueue(operation, apiKey) {
+        const entry = {
+            id: crypto.randomUUID(),
+            queuedAt: new Date().toISOString(),
+            keyFingerprint: fingerprint(apiKey),
+            namespace: operation.namespace,
+            appName: operation.appName,
+            toolName: operation.toolName,
+            parameters: operation.parameters || {},
+        };
+
+        await fs.ensureFile(this.journalFile);
+        await fs.chmod(this.journalFile, 0o600);
+        await fs.appendFile(this.journalFile, `${JSON.stringify(entry)}\n`);
+        this.log(`📝 Queued '${entry.toolName}' in ${entry.namespace} for replay (${entry.id})`);
+        return entry;
+    }
+
+    /**
+     * Read every queued entry; malformed lines are skipped
+     */
+    async readJournal() {
+        if (!this.journalFile || !(await fs.pathExists(this.journalFile))) {
+            return [];
+        }
+
+        const content = await fs.readFile(this.journalFile, 'utf8');
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                this.log(`⚠️ Skipping malformed journal line: ${error.message}`, 'warn');
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Drop one entry, re-reading so writes queued meanwhile are kept
+     */
+    async removeFromJournal(id) {
+        const entries = await this.readJournal();
+        await this.writeJournal(entries.filter(entry => entry.id !== id));
+    }
+
+    async writeJournal(entries) {
+        if (entries.length === 0) {
+            await fs.remove(this.journalFile);
+            return;
+        }
+        const tempFile = `${this.journalFile}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''), {
+            mode: 0o600,
+        });
+        await fs.move(tempFile, this.journalFile, { overwrite: true });
+    }
+
+    /**
+     * Replay queued writes in order. Replay stops at the first transient
+     * failure so later writes never overtake earlier ones; entries the proxy
+     * rejects are moved to `<journal>.rejected`. Each entry leaves the journal
+     * as soon as it is processed, so a crash mid-replay never repeats a write.
+     * @param {(entry: object) => Promise<any>} execute - Runs one entry
+     * @param {string} apiKey - Only entries queued with this key are replayed
+     * @returns {Promise<{replayed: number, failed: Array, remaining: number}>}
+     */
+    async replay(execute, apiKey) {
+        if (this.replayPromise) {
+            return this.replayPromise;
+        }
+
+        this.replayPromise = (async () => {
+            const keyFingerprint = fingerprint(apiKey);
+            const entries = await this.readJournal();
+            const failed = [];
+            let replayed = 0;
+
+            for (const entry of entries) {
+                if (entry.keyFingerprint !== keyFingerprint) {
+                    continue;
+                }
+
+                try {
+                    await execute(entry);
+                    replayed++;
+                    this.log(`✅ Replayed queued '${entry.toolName}' (${entry.id})`);
+                } catch (error) {
+                    if (this.isTransientError(error)) {
+                        break;
+                    }
+                    const rejected = { ...entry, error: error.message };
+                    failed.push(rejected);
+                    // Keep rejected writes so nothing the user asked for is lost silently
+                    await fs.appendFile(
+                        `${this.journalFile}.rejected`,
+                        `${JSON.stringify(rejected)}\n`,
+                        { mode: 0o600 }
+                    );
+                    this.log(
+                        `❌ Queued '${entry.toolName}' (${entry.id}) was rejected: ${error.message}`,
+                        'warn'
+                    );
+                }
+                await this.removeFromJournal(entry.id);
+            }
+
+            return { replayed, failed, remaining: (await this.readJournal()).length };
+        })();
+
+        try {
+            return await this.replayPromise;
+        } finally {
+            this.replayPromise = null;
+        }
+    }
+
+    /**
+     * Periodically replay the journal while online. Replay calls go through
+     * the circuit breaker, so they also probe whether the proxy is back.
+     */
+    startReplayMonitor(execute, apiKey) {
+        if (!this.queueWrites || this.forced || this.replayMonitor) {
+            return;
+        }
+
+        const tick = async () => {
+            try {
+                if ((await this.readJournal()).length > 0) {
+                    await this.replay(execute, apiKey);
+                }
+            } catch (error) {
+                this.log(`[WARN] Journal replay failed: ${error.message}`, 'warn');
+            }
+        };
+
+        void tick();
+        this.replayMonitor = setInterval(() => void tick(), this.replayIntervalMs);
+        if (typeof this.replayMonitor.unref === 'function') {
+            this.replayMonitor.unref();
+        }
+    }
+
+    stopReplayMonitor() {
+        if (this.replayMonitor) {
+            clearInterval(this.replayMonitor);
+            this.replayMonitor = null;
+        }
+    }
+
+    /**
+     * Network failures, open-circuit rejections, 5xx and 429 responses and
+     * errors marked retryable keep entries queued
+     */
+    isTransientError(error) {
+        if (error?.circuitOpen || error?.retryable === true || error?.data?.retryable === true) {
+            return true;
+        }
+        const status = error?.response?.status ?? error?.status ?? error?.data?.status;
+        if (typeof status === 'number') {
+            return status >= 500 || status === 429;
+        }
+        return typeof error?.code === 'string';
+    }
+
+    log(message, level = 'info') {
+        if (this.logger) {
+            this.logger(message, level);
+        }
+    }
+}
+
+module.exports = { OfflineMode };
@@ -0,0 +1,228 @@
+/**
+ * Pipeline Catalog - declarative multi-step tool chains
+ *
+ * Each YAML or JSON file in the pipelines directory defines one pipeline,
+ * exposed as its own `pipeline__{name}` tool and run server-side:
+ *
+ * ```yaml
+ * name: schedule_intro
+ * description: Find a contact, book a meeting and email the invite
+ * inputSchema:
+ *   type: object
+ *   properties:
+ *     contact: { type: string }
+ *     start: { type: string }
+ *   required: [contact, start]
+ * steps:
+ *   - id: contact
+ *     tool: google_contacts__SEARCH_CONTACTS
+ *     parameters:
+ *       query: $.input.contact
+ *   - id: event
+ *     tool: gcal__CREATE_EVENT
+ *     parameters:
+ *       start: $.input.start
+ *       attendees:
+ *         - $.steps.contact.results[0].email
+ *       summary: "Intro with {{ $.steps.contact.results[0].name }}"
+ *     rollback:
+ *       tool: gcal__DELETE_EVENT
+ *       parameters:
+ *         event_id: $.steps.event.id
+ * ```
+ *
+ * A string that is a JSONPath (`$.input...` or `$.steps.{id}...`) is replaced
+ * by the value it points to; `{{ $.path }}` is interpolated inside text.
+ * When a step fails, the rollback hooks of the steps that already succeeded
+ * run in reverse order.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { queryJsonPath } = require('./result-store');
+
+const PIPELINE_TOOL_PREFIX = 'pipeline__';
+const PIPELINE_FILE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const REFERENCE = /^\$(\.|\[)/;
+const TEMPLATE = /\{\{\s*(\$[^}]*?)\s*\}\}/g;
+
+/**
+ * Pipeline Catalog - loads and validates pipeline definitions
+ */
+class PipelineCatalog {
+    /**
+     * @param {Array<object>} pipelines - Pipeline definitions
+     */
+    constructor(pipelines = []) {
+        // tool name -> pipeline
+        this.pipelines = new Map();
+        for (const definition of pipelines) {
+            const pipeline = PipelineCatalog.normalize(definition);
+            if (this.pipelines.has(pipeline.toolName)) {
+                throw new Error(`Duplicate pipeline '${pipeline.name}'`);
+            }
+            this.pipelines.set(pipeline.toolName, pipeline);
+        }
+    }
+
+    /**
+     * Load every pipeline file in a directory. Invalid files throw, so a
+     * broken pipeline is noticed at startup instead of at call time.
+     */
+    static fromDir(dir) {
+        const definitions = fs
+            .readdirSync(dir)
+            .filter(entry => PIPELINE_FILE_EXTENSIONS.includes(path.extname(entry).toLowerCase()))
+            .sort()
+            .map(entry => {
+                const filePath = path.join(dir, entry);
+                const extension = path.extname(entry).toLowerCase();
+                try {
+                    const raw = fs.readFileSync(filePath, 'utf8');
+                    const definition = extension === '.json' ? JSON.parse(raw) : yaml.load(raw);
+                    return { name: path.basename(entry, extension), ...definition };
+                } catch (error) {
+                    throw new Error(`Invalid pipeline file ${filePath}: ${error.message}`);
+                }
+            });
+        return new PipelineCatalog(definitions);
+    }
+
+    /**
+     * Validate a definition and fill in defaults
+     */
+    static normalize(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('Pipeline definition must be an object');
+        }
+        const name = String(definition.name || '');
+        if (!NAME_PATTERN.test(name)) {
+            throw new Error(`Pipeline name '${name}' may only use letters, digits, _ and -`);
+        }
+        if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+            throw new Error(`Pipeline '${name}' needs at least one step`);
+        }
+
+        const ids = new Set();
+        const steps = definition.steps.map((step, index) => {
+            const id = String(step?.id || `step_${index + 1}`);
+            if (ids.has(id)) {
+                throw new Error(`Pipeline '${name}' has more than one step '${id}'`);
+            }
+            ids.add(id);
+            return {
+                id,
+                ...PipelineCatalog.normalizeCall(step, `Pipeline '${name}' step '${id}'`),
+                rollback: step.rollback
+                    ? PipelineCatalog.normalizeCall(
+                          step.rollback,
+                          `Pipeline '${name}' rollback of '${id}'`
+                      )
+                    : null,
+            };
+        });
+
+        const inputSchema = definition.inputSchema || definition.input_schema;
+        return {
+            name,
+            toolName: `${PIPELINE_TOOL_PREFIX}${name}`,
+            description:
+                definition.description ||
+                `Run the ${name} pipeline: ${steps.map(step => step.tool).join(' → ')}`,
+            inputSchema:
+                inputSchema && typeof inputSchema === 'object'
+                    ? { type: 'object', ...inputSchema }
+                    : { type: 'object', properties: {} },
+            steps,
+        };
+    }
+
+    /**
+     * A `namespace__TOOL` call with parameters
+     */
+    static normalizeCall(call, label) {
+        const tool = typeof call?.tool === 'string' ? call.tool : '';
+        const separator = tool.indexOf('__');
+        if (separator <= 0 || separator === tool.length - 2) {
+            throw new Error(`${label} needs a namespaced tool such as gmail__GMAIL_SEND_EMAIL`);
+        }
+        if (call.parameters !== undefined && typeof call.parameters !== 'object') {
+            throw new Error(`${label} parameters must be an object`);
+        }
+        return {
+            tool,
+            namespace: tool.slice(0, separator),
+            toolName: tool.slice(separator + 2),
+            parameters: call.parameters || {},
+        };
+    }
+
+    has(toolName) {
+        return this.pipelines.has(toolName);
+    }
+
+    get(toolName) {
+        return this.pipelines.get(toolName) || null;
+    }
+
+    /**
+     * MCP tool definitions, one per pipeline
+     */
+    getToolDefinitions() {
+        return Array.from(this.pipelines.values()).map(pipeline => ({
+            name: pipeline.toolName,
+            description: pipeline.description,
+            inputSchema: pipeline.inputSchema,
+            annotations: {
+                title: `🔗 ${pipeline.name} Pipeline`,
+                category: 'execution',
+                priority: 'high',
+                readOnlyHint: false,
+            },
+        }));
+    }
+}
+
+/**
+ * Replace JSONPath references in parameters with values from the scope
+ * @param {any} value - Parameters from the pipeline definition
+ * @param {object} scope - { input, steps: { [id]: output } }
+ */
+function resolveReferences(value, scope) {
+    if (typeof value === 'string') {
+        if (REFERENCE.test(value)) {
+            return lookup(value, scope);
+        }
+        return value.replace(TEMPLATE, (match, reference) => {
+            const resolved = lookup(reference, scope);
+            return typeof resolved === 'string' ? resolved : JSON.stringify(resolved);
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => resolveReferences(item, scope));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, resolveReferences(item, scope)])
+        );
+    }
+    return value;
+}
+
+/**
+ * Value of one reference; wildcards, slices and `..` give an array
+ */
+function lookup(reference, scope) {
+    const matches = queryJsonPath(scope, reference);
+    if (/\*|\.\.|:/.test(reference)) {
+        return matches;
+    }
+    if (matches.length === 0) {
+        throw new Error(`Reference ${reference} matched nothing`);
+    }
+    return matches[0];
+}
+
+module.exports = { PipelineCatalog, resolveReferences, PIPELINE_TOOL_PREFIX };
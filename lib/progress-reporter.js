@@ -0,0 +1,112 @@
+/**
+ * Progress Reporter - MCP progress notifications for one tools/call
+ *
+ * Sends a heartbeat while a tool runs, so clients that passed a
+ * `progressToken` can see the call is still alive, and forwards progress
+ * events streamed by the proxy. MCP requires progress to increase, so once
+ * backend events arrive they are offset by the last heartbeat value.
+ */
+
+/**
+ * Progress Reporter - heartbeat and backend progress for a single request
+ */
+class ProgressReporter {
+    /**
+     * @param {string|number} progressToken - Token from the request's _meta
+     * @param {(notification: object) => Promise<void>} sendNotification - SDK notifier
+     * @param {(message: string, level: string) => void} log - Optional logger
+     */
+    constructor(progressToken, sendNotification, log = null) {
+        this.progressToken = progressToken;
+        this.sendNotification = sendNotification;
+        this.logger = log;
+
+        this.startedAt = Date.now();
+        this.lastProgress = 0;
+        this.backendBase = null;
+        this.heartbeat = null;
+    }
+
+    /**
+     * Reporter for a request, or null when the client did not ask for progress
+     * @param {object} extra - SDK request handler extra
+     */
+    static fromRequest(extra, log = null) {
+        const progressToken = extra?._meta?.progressToken;
+        if (progressToken === undefined || typeof extra.sendNotification !== 'function') {
+            return null;
+        }
+        return new ProgressReporter(progressToken, extra.sendNotification, log);
+    }
+
+    /**
+     * Report elapsed seconds every intervalMs until the backend reports progress
+     */
+    start(intervalMs, label) {
+        if (this.heartbeat) {
+            return;
+        }
+        this.heartbeat = setInterval(() => {
+            if (this.backendBase !== null) {
+                return;
+            }
+            const elapsed = (Date.now() - this.startedAt) / 1000;
+            this.send(elapsed, undefined, `${label} (${Math.round(elapsed)}s elapsed)`);
+        }, intervalMs);
+        if (typeof this.heartbeat.unref === 'function') {
+            this.heartbeat.unref();
+        }
+    }
+
+    stop() {
+        if (this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+    }
+
+    /**
+     * Forward a backend progress event ({ progress, total?, message? })
+     */
+    forward(event) {
+        const progress = Number(event?.progress);
+        if (!Number.isFinite(progress)) {
+            return;
+        }
+        if (this.backendBase === null) {
+            this.backendBase = this.lastProgress;
+        }
+        const total = Number(event.total);
+        this.send(
+            this.backendBase + progress,
+            Number.isFinite(total) ? this.backendBase + total : undefined,
+            typeof event.message === 'string' ? event.message : undefined
+        );
+    }
+
+    send(progress, total, message) {
+        if (!(progress > this.lastProgress)) {
+            return;
+        }
+        this.lastProgress = progress;
+
+        const params = { progressToken: this.progressToken, progress };
+        if (total !== undefined) {
+            params.total = total;
+        }
+        if (message) {
+            params.message = message;
+        }
+        Promise.resolve()
+            .then(() => this.sendNotification({ method: 'notifications/progress', params }))
+            .catch(error => this.log(`⚠️ Failed to send progress: ${error.message}`, 'warn'));
+    }
+
+    log(message, level = 'info') {
+        if (this.logger) {
+            this.logger(message, level);
+        }
+    }
+}
+
+module.exports = { ProgressReporter };
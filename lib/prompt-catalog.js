@@ -0,0 +1,448 @@
+/**
+ * Prompt Catalog - MCP prompts backed by built-in, proxy and local templates
+ *
+ * Prompts are merged from three sources (later sources override earlier ones
+ * with the same name):
+ * 1. Built-in Uru workflow templates
+ * 2. The proxy's `/prompts` endpoint
+ * 3. A local directory of YAML (.yaml/.yml) or Markdown (.md) files
+ *
+ * Templates use `{{argument}}` placeholders. Arguments named `namespace` or
+ * `tool` (or declaring `completion: namespace|tool`) offer completions from
+ * the known namespace and tool names.
+ */
+
+const axios = require('axios');
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { Logger } = require('./logger');
+const { TenantPartitions } = require('./namespace-manager');
+
+const MAX_COMPLETION_VALUES = 100;
+const PROMPT_FILE_EXTENSIONS = ['.yaml', '.yml', '.md'];
+
+/**
+ * Built-in workflow prompts that walk a model through a namespace
+ */
+const BUILTIN_PROMPTS = [
+    {
+        name: 'explore_namespace',
+        title: 'Explore a namespace',
+        description: 'Walk through the tools available in one Uru namespace',
+        arguments: [
+            {
+                name: 'namespace',
+                description: 'Namespace to explore (e.g., gmail_work)',
+                required: true,
+            },
+        ],
+        template: `I want to understand what I can do with the {{namespace}} connection.
+
+1. Call \`{{namespace}}__list_tools\` to see every tool in the namespace.
+2. Summarize the tools by category, highlighting the most useful ones.
+3. For the three most useful tools, explain the required parameters and give an example \`{{namespace}}__execute_tool\` call.`,
+    },
+    {
+        name: 'triage_inbox',
+        title: 'Triage my inbox',
+        description: 'Review recent messages and propose actions using an email namespace',
+        arguments: [
+            {
+                name: 'namespace',
+                description: 'Email namespace to use (e.g., gmail_work)',
+                required: true,
+            },
+            {
+                name: 'focus',
+                description: 'Optional focus, such as "from customers" or "last 24 hours"',
+                required: false,
+            },
+        ],
+        template: `Triage my inbox using {{namespace}}.{{#focus}} Focus on: {{focus}}.{{/focus}}
+
+1. Call \`{{namespace}}__list_tools\` with filter "list" or "fetch" to find the tool that lists recent messages.
+2. Use \`{{namespace}}__execute_tool\` to fetch the most recent messages.
+3. Group the messages into: needs a reply, needs follow-up, FYI, and can be archived.
+4. For each message that needs a reply, draft a short response, but do not send anything until I confirm.`,
+    },
+    {
+        name: 'run_tool',
+        title: 'Run a specific tool',
+        description: 'Look up a tool schema, then execute it with the right parameters',
+        arguments: [
+            {
+                name: 'namespace',
+                description: 'Namespace that contains the tool',
+                required: true,
+            },
+            {
+                name: 'tool',
+                description: 'Name of the tool to run',
+                required: true,
+            },
+            {
+                name: 'goal',
+                description: 'What you want the tool to accomplish',
+                required: false,
+            },
+        ],
+        template: `Run the {{tool}} tool in the {{namespace}} namespace.{{#goal}} Goal: {{goal}}.{{/goal}}
+
+1. Call \`{{namespace}}__list_tools\` with filter "{{tool}}" to read its parameters.
+2. Ask me for any required parameter you cannot infer.
+3. Call \`{{namespace}}__execute_tool\` with tool_name "{{tool}}" and summarize the result.`,
+    },
+];
+
+/**
+ * Prompt Catalog - serves prompts/list, prompts/get and argument completions
+ */
+class PromptCatalog {
+    /**
+     * @param {object} namespaceManager - ToolNamespaceManager instance
+     * @param {object} toolLoader - IntelligentToolLoader instance
+     * @param {object} config - Catalog configuration
+     */
+    constructor(namespaceManager, toolLoader, config = {}) {
+        this.namespaceManager = namespaceManager;
+        this.toolLoader = toolLoader;
+        this.config = config;
+        this.proxyUrl = config.proxyUrl;
+        this.promptsDir = config.promptsDir || null;
+        this.debug = config.debug || false;
+        this.logger = config.logger || new Logger({ level: this.debug ? 'debug' : 'warning' });
+
+        // Proxy prompts are cached per API key, like the namespace caches
+        this.remoteCaches = new TenantPartitions(
+            () => ({ data: null, lastFetch: 0, ttl: config.cacheTimeout || 30000 }),
+            { defaultApiKey: config.token, maxTenants: config.maxTenants }
+        );
+    }
+
+    /**
+     * List prompt descriptors (without templates)
+     * @param {string} apiKey - Optional API key to use for this request
+     */
+    async listPrompts(apiKey = null) {
+        const prompts = await this.getPrompts(apiKey);
+        return prompts.map(prompt => this.describePrompt(prompt));
+    }
+
+    /**
+     * Render a prompt with the supplied arguments
+     * @param {string} name - Prompt name
+     * @param {object} args - Prompt arguments
+     * @param {string} apiKey - Optional API key to use for this request
+     * @returns {Promise<object|null>} prompts/get result, or null when not found
+     */
+    async getPrompt(name, args = {}, apiKey = null) {
+        const prompts = await this.getPrompts(apiKey);
+        const prompt = prompts.find(entry => entry.name === name);
+        if (!prompt) {
+            return null;
+        }
+
+        const values = args || {};
+        const missing = (prompt.arguments || [])
+            .filter(arg => arg.required && !values[arg.name])
+            .map(arg => arg.name);
+        if (missing.length > 0) {
+            const error = new Error(
+                `Missing required argument${missing.length > 1 ? 's' : ''} for prompt '${name}': ${missing.join(', ')}`
+            );
+            error.code = -32602;
+            error.data = { prompt: name, missing };
+            throw error;
+        }
+
+        const messages = Array.isArray(prompt.messages)
+            ? prompt.messages.map(message => ({
+                  role: message.role === 'assistant' ? 'assistant' : 'user',
+                  content: {
+                      type: 'text',
+                      text: this.renderTemplate(
+                          typeof message.content === 'string'
+                              ? message.content
+                              : message.content?.text || '',
+                          values
+                      ),
+                  },
+              }))
+            : [
+                  {
+                      role: 'user',
+                      content: {
+                          type: 'text',
+                          text: this.renderTemplate(prompt.template || '', values),
+                      },
+                  },
+              ];
+
+        return {
+            description: prompt.description,
+            messages,
+        };
+    }
+
+    /**
+     * Complete a prompt argument value
+     * @param {string} promptName - Prompt the argument belongs to
+     * @param {string} argumentName - Argument being completed
+     * @param {string} value - Partial value typed so far
+     * @param {object} context - Previously resolved arguments
+     * @param {string} apiKey - Optional API key to use for this request
+     */
+    async completePromptArgument(promptName, argumentName, value, context = {}, apiKey = null) {
+        const prompts = await this.getPrompts(apiKey);
+        const prompt = prompts.find(entry => entry.name === promptName);
+        const argument = (prompt?.arguments || []).find(arg => arg.name === argumentName);
+        const kind = argument?.completion || argumentName;
+
+        return await this.completeArgument(kind, value, context, apiKey);
+    }
+
+    /**
+     * Complete namespace or tool names matching a partial value
+     * @param {string} kind - 'namespace' or 'tool'
+     * @param {string} value - Partial value typed so far
+     * @param {object} context - Previously resolved arguments (tool completion uses `namespace`)
+     * @param {string} apiKey - Optional API key to use for this request
+     */
+    async completeArgument(kind, value, context = {}, apiKey = null) {
+        let candidates = [];
+
+        if (kind === 'namespace') {
+            const namespaces = await this.namespaceManager.fetchNamespacesFromProxy(apiKey);
+            candidates = namespaces
+                .map(namespace => namespace.name)
+                .filter(name => name && this.toolLoader.isNamespaceAllowed(name));
+        } else if (kind === 'tool' && context?.namespace) {
+            const tools = this.toolLoader.filterAllowedTools(
+                context.namespace,
+                await this.toolLoader.loadNamespace(context.namespace, apiKey)
+            );
+            candidates = tools.map(tool => tool.originalName || tool.name);
+        }
+
+        const needle = String(value || '').toLowerCase();
+        const matches = candidates.filter(candidate =>
+            candidate.toLowerCase().includes(needle)
+        );
+
+        // Prefix matches first, then alphabetical
+        matches.sort((a, b) => {
+            const aPrefix = a.toLowerCase().startsWith(needle) ? 0 : 1;
+            const bPrefix = b.toLowerCase().startsWith(needle) ? 0 : 1;
+            return aPrefix - bPrefix || a.localeCompare(b);
+        });
+
+        return {
+            values: matches.slice(0, MAX_COMPLETION_VALUES),
+            total: matches.length,
+            hasMore: matches.length > MAX_COMPLETION_VALUES,
+        };
+    }
+
+    /**
+     * Merge built-in, proxy and local prompts by name
+     */
+    async getPrompts(apiKey = null) {
+        const merged = new Map();
+        const sources = [
+            BUILTIN_PROMPTS.map(prompt => ({ ...prompt, source: 'builtin' })),
+            await this.fetchRemotePrompts(apiKey),
+            await this.loadLocalPrompts(),
+        ];
+
+        for (const prompts of sources) {
+            for (const prompt of prompts) {
+                merged.set(prompt.name, prompt);
+            }
+        }
+
+        return Array.from(merged.values());
+    }
+
+    /**
+     * Fetch prompts published by the proxy (optional endpoint)
+     */
+    async fetchRemotePrompts(apiKey = null) {
+        const remoteCache = this.remoteCaches.get(apiKey);
+        if (remoteCache.data && Date.now() - remoteCache.lastFetch < remoteCache.ttl) {
+            return remoteCache.data;
+        }
+
+        let prompts = [];
+        try {
+            const request = () =>
+                axios.get(`${this.proxyUrl}/prompts`, {
+                    timeout: this.config.timeout || 30000,
+                    headers: this.getAuthHeaders(apiKey),
+                });
+            const response = this.config.circuitBreaker
+                ? await this.config.circuitBreaker.execute(request, 'GET /prompts')
+                : await request();
+            const list = Array.isArray(response.data)
+                ? response.data
+                : response.data?.prompts;
+            prompts = (Array.isArray(list) ? list : [])
+                .map(prompt => this.normalizePrompt(prompt, 'proxy'))
+                .filter(Boolean);
+        } catch (error) {
+            this.log(`⚠️ Proxy prompts unavailable: ${error.message}`, 'warn');
+        }
+
+        remoteCache.data = prompts;
+        remoteCache.lastFetch = Date.now();
+        return prompts;
+    }
+
+    /**
+     * Load prompt files from the configured directory
+     */
+    async loadLocalPrompts() {
+        if (!this.promptsDir || !(await fs.pathExists(this.promptsDir))) {
+            return [];
+        }
+
+        const prompts = [];
+        const entries = (await fs.readdir(this.promptsDir)).sort();
+        for (const entry of entries) {
+            const extension = path.extname(entry).toLowerCase();
+            if (!PROMPT_FILE_EXTENSIONS.includes(extension)) {
+                continue;
+            }
+
+            const filePath = path.join(this.promptsDir, entry);
+            try {
+                const raw = await fs.readFile(filePath, 'utf8');
+                const definition =
+                    extension === '.md'
+                        ? this.parseMarkdownPrompt(raw)
+                        : yaml.load(raw);
+                const prompt = this.normalizePrompt(
+                    { name: path.basename(entry, extension), ...definition },
+                    'local'
+                );
+                if (prompt) {
+                    prompts.push(prompt);
+                }
+            } catch (error) {
+                this.log(`⚠️ Skipping prompt file '${entry}': ${error.message}`, 'warn');
+            }
+        }
+
+        return prompts;
+    }
+
+    /**
+     * Parse a Markdown prompt: optional YAML front matter followed by the template
+     */
+    parseMarkdownPrompt(raw) {
+        const match = raw.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+        if (!match) {
+            return { template: raw.trim() };
+        }
+        return {
+            ...(yaml.load(match[1]) || {}),
+            template: match[2].trim(),
+        };
+    }
+
+    /**
+     * Validate and normalize a prompt definition from any source
+     */
+    normalizePrompt(definition, source) {
+        if (!definition || typeof definition !== 'object' || !definition.name) {
+            return null;
+        }
+        if (!definition.template && !Array.isArray(definition.messages)) {
+            return null;
+        }
+
+        return {
+            name: String(definition.name),
+            title: definition.title,
+            description: definition.description || `Prompt '${definition.name}'`,
+            arguments: (Array.isArray(definition.arguments) ? definition.arguments : [])
+                .filter(arg => arg && arg.name)
+                .map(arg => ({
+                    name: String(arg.name),
+                    description: arg.description,
+                    required: arg.required === true,
+                    completion: arg.completion,
+                })),
+            template: definition.template,
+            messages: definition.messages,
+            source,
+        };
+    }
+
+    /**
+     * Public prompt descriptor for prompts/list
+     */
+    describePrompt(prompt) {
+        const descriptor = {
+            name: prompt.name,
+            description: prompt.description,
+            arguments: prompt.arguments.map(arg => ({
+                name: arg.name,
+                description: arg.description,
+                required: arg.required,
+            })),
+        };
+        if (prompt.title) {
+            descriptor.title = prompt.title;
+        }
+        return descriptor;
+    }
+
+    /**
+     * Render {{name}} placeholders and {{#name}}...{{/name}} conditional sections
+     */
+    renderTemplate(template, values) {
+        return template
+            .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, body) =>
+                values[name] ? body : ''
+            )
+            .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+                values[name] !== undefined && values[name] !== null
+                    ? String(values[name])
+                    : ''
+            );
+    }
+
+    /**
+     * Get authentication headers
+     * @param {string} apiKey - Optional API key to use instead of the configured token
+     */
+    getAuthHeaders(apiKey = null) {
+        const headers = {
+            'Content-Type': 'application/json',
+        };
+
+        const tokenToUse = apiKey || this.config.token;
+        if (tokenToUse) {
+            headers['Authorization'] = `Bearer ${tokenToUse}`;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Clear cached proxy prompts (for tools version changes)
+     */
+    clearCaches() {
+        this.remoteCaches.clear();
+    }
+
+    /**
+     * Logging helper
+     */
+    log(message, level = 'info') {
+        this.logger.log(message, level, 'PromptCatalog');
+    }
+}
+
+module.exports = { PromptCatalog, BUILTIN_PROMPTS };
@@ -0,0 +1,179 @@
+/**
+ * Namespace Resource Catalog - Exposes Uru connections as MCP resources
+ *
+ * Publishes each namespace returned by the proxy as a JSON resource holding
+ * its connection metadata and full tool schemas, so clients can attach a
+ * catalog as context without spending tool calls on `__list_tools`.
+ */
+
+const RESOURCE_SCHEME = 'uru://namespaces/';
+const JSON_MIME_TYPE = 'application/json';
+
+/**
+ * Namespace Resource Catalog - builds resources/list and resources/read payloads
+ */
+class NamespaceResourceCatalog {
+    /**
+     * @param {object} namespaceManager - ToolNamespaceManager instance
+     * @param {object} toolLoader - IntelligentToolLoader instance
+     */
+    constructor(namespaceManager, toolLoader) {
+        this.namespaceManager = namespaceManager;
+        this.toolLoader = toolLoader;
+    }
+
+    /**
+     * Resource templates advertised via resources/templates/list
+     */
+    getResourceTemplates() {
+        return [
+            {
+                uriTemplate: `${RESOURCE_SCHEME}{namespace}`,
+                name: 'Uru namespace catalog',
+                description:
+                    'Connection metadata and full tool schemas for one Uru namespace',
+                mimeType: JSON_MIME_TYPE,
+            },
+            {
+                uriTemplate: `${RESOURCE_SCHEME}{namespace}/tools/{tool}`,
+                name: 'Uru tool schema',
+                description: 'Input schema and annotations for a single Uru tool',
+                mimeType: JSON_MIME_TYPE,
+            },
+        ];
+    }
+
+    /**
+     * List one resource per namespace known to the proxy
+     * @param {string} apiKey - Optional API key to use for this request
+     */
+    async listResources(apiKey = null) {
+        const namespaces = await this.namespaceManager.fetchNamespacesFromProxy(apiKey);
+
+        return namespaces
+            .filter(
+                namespace =>
+                    namespace &&
+                    namespace.name &&
+                    this.toolLoader.isNamespaceAllowed(namespace.name)
+            )
+            .map(namespace => {
+                const displayName =
+                    namespace.displayName || namespace.display_name || namespace.name;
+                const label = (namespace.account_label || '').trim();
+
+                return {
+                    uri: this.buildNamespaceUri(namespace.name),
+                    name: namespace.name,
+                    title: label ? `${displayName} (${label})` : displayName,
+                    description: `Connection metadata and tool catalog for the ${displayName} namespace`,
+                    mimeType: JSON_MIME_TYPE,
+                };
+            });
+    }
+
+    /**
+     * Read a namespace or tool resource
+     * @param {string} uri - Resource URI
+     * @param {string} apiKey - Optional API key to use for this request
+     * @returns {Promise<object|null>} resources/read result, or null when not found
+     */
+    async readResource(uri, apiKey = null) {
+        const parsed = this.parseUri(uri);
+        if (!parsed || !this.toolLoader.isNamespaceAllowed(parsed.namespace)) {
+            return null;
+        }
+
+        const namespaces = await this.namespaceManager.fetchNamespacesFromProxy(apiKey);
+        const namespace = namespaces.find(entry => entry && entry.name === parsed.namespace);
+        if (!namespace) {
+            return null;
+        }
+
+        const tools = this.toolLoader
+            .filterAllowedTools(
+                parsed.namespace,
+                await this.toolLoader.loadNamespace(parsed.namespace, apiKey)
+            )
+            .map(tool => this.serializeTool(tool));
+
+        let payload;
+        if (parsed.tool) {
+            payload = tools.find(tool => tool.name === parsed.tool);
+            if (!payload) {
+                return null;
+            }
+            payload = { namespace: parsed.namespace, ...payload };
+        } else {
+            payload = {
+                namespace: namespace.name,
+                displayName:
+                    namespace.displayName || namespace.display_name || namespace.name,
+                connection: {
+                    connected_account_id: namespace.connected_account_id || null,
+                    server_id: namespace.server_id || null,
+                    account_label: namespace.account_label || null,
+                    connection_status: namespace.connection_status || null,
+                },
+                toolCount: tools.length,
+                tools,
+            };
+        }
+
+        return {
+            contents: [
+                {
+                    uri,
+                    mimeType: JSON_MIME_TYPE,
+                    text: JSON.stringify(payload, null, 2),
+                },
+            ],
+        };
+    }
+
+    /**
+     * Strip registry bookkeeping fields from a namespaced tool
+     */
+    serializeTool(tool) {
+        const { category, priority } = tool.annotations || {};
+        return {
+            name: tool.originalName || tool.name,
+            namespacedName: tool.name,
+            description: tool.description,
+            inputSchema: tool.inputSchema,
+            category: category || null,
+            priority: priority || null,
+        };
+    }
+
+    buildNamespaceUri(namespace) {
+        return `${RESOURCE_SCHEME}${encodeURIComponent(namespace)}`;
+    }
+
+    /**
+     * Parse uru://namespaces/{namespace}[/tools/{tool}]
+     */
+    parseUri(uri) {
+        if (typeof uri !== 'string' || !uri.startsWith(RESOURCE_SCHEME)) {
+            return null;
+        }
+
+        const segments = uri.slice(RESOURCE_SCHEME.length).split('/');
+        try {
+            if (segments.length === 1 && segments[0]) {
+                return { namespace: decodeURIComponent(segments[0]), tool: null };
+            }
+            if (segments.length === 3 && segments[0] && segments[1] === 'tools' && segments[2]) {
+                return {
+                    namespace: decodeURIComponent(segments[0]),
+                    tool: decodeURIComponent(segments[2]),
+                };
+            }
+        } catch (error) {
+            return null;
+        }
+        return null;
+    }
+}
+
+module.exports = { NamespaceResourceCatalog, RESOURCE_SCHEME };
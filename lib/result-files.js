@@ -0,0 +1,265 @@
+/**
+ * Result Files - binary and file payloads in tool results
+ *
+ * Finds files in the normalized `{data, successful, error, log_id}` envelope:
+ * data URLs, and objects carrying a MIME type plus base64 data or a download
+ * URL. Small inline files become MCP `image`, `audio` or embedded `resource`
+ * content. Large or remote files become `resource_link` items that are read
+ * lazily through resources/read at `uru://files/{id}`.
+ */
+
+const crypto = require('crypto');
+const { fingerprint } = require('./key-fingerprint');
+
+const FILE_SCHEME = 'uru://files/';
+
+const MIME_FIELDS = ['mimeType', 'mime_type', 'mimetype', 'contentType', 'content_type'];
+const DATA_FIELDS = ['base64', 'data', 'content', 'bytes'];
+const URL_FIELDS = ['url', 'download_url', 'downloadUrl', 'file_url', 'fileUrl', 's3url'];
+const NAME_FIELDS = ['name', 'filename', 'file_name', 'fileName'];
+const SIZE_FIELDS = ['size', 'size_bytes', 'sizeBytes', 'file_size'];
+
+const DATA_URL = /^data:([\w.+-]+\/[\w.+-]+)(?:;[\w.+-]+=[^;,]*)*;base64,([A-Za-z0-9+/=\s]+)$/;
+const BASE64 = /^[A-Za-z0-9+/\r\n]+={0,2}$/;
+const MIME_TYPE = /^[\w.+-]+\/[\w.+-]+$/;
+const MAX_DEPTH = 5;
+
+/**
+ * Result File Store - extracts files from results and serves them as resources
+ */
+class ResultFileStore {
+    /**
+     * @param {object} config
+     * @param {number} config.maxInlineBytes - Larger files are sent as resource_link
+     * @param {number} config.maxFiles - Files kept for resources/read (oldest evicted)
+     * @param {number} config.ttlMs - How long a file stays readable
+     * @param {(url: string, apiKey: string) => Promise<{data: Buffer, mimeType?: string}>} config.fetchFile
+     *   Downloads a remote file when it is read
+     */
+    constructor(config = {}) {
+        this.maxInlineBytes = config.maxInlineBytes ?? 1024 * 1024;
+        this.maxFiles = config.maxFiles || 50;
+        this.ttlMs = config.ttlMs || 30 * 60 * 1000;
+        this.fetchFile = config.fetchFile || null;
+
+        // id -> { name, mimeType, size, base64?, url?, apiKey, keyFingerprint, expiresAt }
+        this.files = new Map();
+    }
+
+    /**
+     * Pull files out of a tool payload
+     * @param {any} payload - `data` from the proxy envelope
+     * @param {string} apiKey - Key used to download remote files later
+     * @returns {{payload: any, files: Array<object>}} The payload with each file
+     *   replaced by a reference (no base64), and the files found
+     */
+    extract(payload, apiKey = null) {
+        const files = [];
+        const walk = (value, depth) => {
+            if (typeof value === 'string') {
+                const file = this.parseDataUrl(value);
+                return file ? this.reference(this.store(file, apiKey), files) : value;
+            }
+            if (!value || typeof value !== 'object' || depth > MAX_DEPTH) {
+                return value;
+            }
+            if (Array.isArray(value)) {
+                return value.map(item => walk(item, depth + 1));
+            }
+
+            const file = this.parseFileObject(value);
+            if (file) {
+                return this.reference(this.store(file, apiKey), files, file.rest);
+            }
+            return Object.fromEntries(
+                Object.entries(value).map(([key, item]) => [key, walk(item, depth + 1)])
+            );
+        };
+
+        return { payload: walk(payload, 0), files };
+    }
+
+    /**
+     * MCP content items for extracted files
+     */
+    toContent(files) {
+        return files.map(file => {
+            const uri = `${FILE_SCHEME}${file.id}`;
+            if (!file.base64 || file.size > this.maxInlineBytes) {
+                return {
+                    type: 'resource_link',
+                    uri,
+                    name: file.name,
+                    mimeType: file.mimeType,
+                    ...(file.size !== null ? { size: file.size } : {}),
+                };
+            }
+            if (file.mimeType.startsWith('image/')) {
+                return { type: 'image', data: file.base64, mimeType: file.mimeType };
+            }
+            if (file.mimeType.startsWith('audio/')) {
+                return { type: 'audio', data: file.base64, mimeType: file.mimeType };
+            }
+            return {
+                type: 'resource',
+                resource: { uri, mimeType: file.mimeType, blob: file.base64 },
+            };
+        });
+    }
+
+    /**
+     * resources/read for uru://files/{id}
+     * @param {string} uri
+     * @param {string} apiKey - Caller's key; must match the key the file was stored for
+     * @returns {Promise<object|null>} Result, or null when the file is unknown,
+     *   expired or owned by another key
+     */
+    async read(uri, apiKey = null) {
+        if (!ResultFileStore.isFileUri(uri)) {
+            return null;
+        }
+        this.pruneExpired();
+        const file = this.files.get(uri.slice(FILE_SCHEME.length));
+        if (!file || file.keyFingerprint !== fingerprint(apiKey)) {
+            return null;
+        }
+
+        let base64 = file.base64;
+        let mimeType = file.mimeType;
+        if (!base64) {
+            if (!this.fetchFile) {
+                throw new Error(`Cannot download ${file.url}: no file fetcher configured`);
+            }
+            const downloaded = await this.fetchFile(file.url, file.apiKey);
+            base64 = Buffer.from(downloaded.data).toString('base64');
+            if (file.mimeType === 'application/octet-stream' && downloaded.mimeType) {
+                mimeType = downloaded.mimeType;
+            }
+        }
+
+        return { contents: [{ uri, mimeType, blob: base64 }] };
+    }
+
+    static isFileUri(uri) {
+        return typeof uri === 'string' && uri.startsWith(FILE_SCHEME);
+    }
+
+    parseDataUrl(value) {
+        if (value.length < 16 || !value.startsWith('data:')) {
+            return null;
+        }
+        const match = value.match(DATA_URL);
+        if (!match) {
+            return null;
+        }
+        const base64 = match[2].replace(/\s/g, '');
+        return { name: 'file', mimeType: match[1], base64, size: this.decodedSize(base64) };
+    }
+
+    /**
+     * An object is a file when it names a MIME type and carries base64 data
+     * or a download URL
+     */
+    parseFileObject(value) {
+        const mimeType = this.pick(value, MIME_FIELDS);
+        if (typeof mimeType !== 'string' || !MIME_TYPE.test(mimeType.split(';')[0].trim())) {
+            return null;
+        }
+
+        const dataField = DATA_FIELDS.find(
+            field => typeof value[field] === 'string' && value[field].length > 0
+        );
+        const dataUrl = dataField ? this.parseDataUrl(value[dataField]) : null;
+        const base64 = dataUrl
+            ? dataUrl.base64
+            : dataField && this.isBase64(value[dataField])
+              ? value[dataField].replace(/[\r\n]/g, '')
+              : null;
+        const urlField = URL_FIELDS.find(
+            field => typeof value[field] === 'string' && /^https?:\/\//.test(value[field])
+        );
+        if (!base64 && !urlField) {
+            return null;
+        }
+
+        const rest = { ...value };
+        if (base64) {
+            delete rest[dataField];
+        }
+        const declaredSize = Number(this.pick(value, SIZE_FIELDS));
+        return {
+            name: String(this.pick(value, NAME_FIELDS) || 'file'),
+            mimeType: mimeType.split(';')[0].trim(),
+            base64,
+            url: base64 ? null : value[urlField],
+            size: base64
+                ? this.decodedSize(base64)
+                : Number.isFinite(declaredSize) && declaredSize > 0
+                  ? declaredSize
+                  : null,
+            rest,
+        };
+    }
+
+    store(file, apiKey) {
+        this.pruneExpired();
+        while (this.files.size >= this.maxFiles) {
+            this.files.delete(this.files.keys().next().value);
+        }
+
+        const id = crypto.randomBytes(12).toString('hex');
+        const entry = {
+            id,
+            name: file.name,
+            mimeType: file.mimeType,
+            size: file.size,
+            base64: file.base64 || null,
+            url: file.url || null,
+            apiKey,
+            keyFingerprint: fingerprint(apiKey),
+            expiresAt: Date.now() + this.ttlMs,
+        };
+        this.files.set(id, entry);
+        return entry;
+    }
+
+    /**
+     * What the JSON text shows in place of a file
+     */
+    reference(file, files, rest = null) {
+        files.push(file);
+        return {
+            ...(rest || {}),
+            name: file.name,
+            mimeType: file.mimeType,
+            size: file.size,
+            resource: `${FILE_SCHEME}${file.id}`,
+        };
+    }
+
+    pruneExpired() {
+        const now = Date.now();
+        for (const [id, file] of this.files) {
+            if (file.expiresAt <= now) {
+                this.files.delete(id);
+            }
+        }
+    }
+
+    pick(value, fields) {
+        const field = fields.find(name => value[name] !== undefined && value[name] !== null);
+        return field ? value[field] : undefined;
+    }
+
+    isBase64(value) {
+        const compact = value.replace(/[\r\n]/g, '');
+        return compact.length >= 4 && compact.length % 4 === 0 && BASE64.test(compact);
+    }
+
+    decodedSize(base64) {
+        const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+        return Math.floor((base64.length * 3) / 4) - padding;
+    }
+}
+
+module.exports = { ResultFileStore, FILE_SCHEME };
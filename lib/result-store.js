@@ -0,0 +1,319 @@
+/**
+ * Result Store - keeps oversized tool results out of the model context
+ *
+ * Results whose text is longer than the budget are cut to a summary and the
+ * first chunk; the full result is kept in memory for a while and read back
+ * in chunks (by cursor) or queried with JSONPath through `uru__read_result`.
+ */
+
+const crypto = require('crypto');
+const { fingerprint } = require('./key-fingerprint');
+
+const READ_RESULT_TOOL_NAME = 'uru__read_result';
+
+/**
+ * Result Store - truncates large results and serves the remainder
+ */
+class ResultStore {
+    /**
+     * @param {object} config
+     * @param {number} config.maxChars - Result text budget; 0 disables truncation
+     * @param {number} config.maxResults - Results kept (oldest evicted)
+     * @param {number} config.ttlMs - How long a stored result stays readable
+     */
+    constructor(config = {}) {
+        this.maxChars = config.maxChars ?? 100000;
+        this.maxResults = config.maxResults || 20;
+        this.ttlMs = config.ttlMs || 30 * 60 * 1000;
+
+        // resultId -> { text, payload, toolName, keyFingerprint, expiresAt }
+        this.results = new Map();
+    }
+
+    /**
+     * Tool definition for uru__read_result
+     */
+    static getToolDefinition() {
+        return {
+            name: READ_RESULT_TOOL_NAME,
+            description:
+                'Read more of a large tool result that was truncated. Pass the cursor from the previous chunk to continue, or a JSONPath (e.g. "$.items[0:20].id") to extract part of it.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    result_id: {
+                        type: 'string',
+                        description: 'result_id shown with the truncated result',
+                    },
+                    cursor: {
+                        type: 'string',
+                        description: 'Where to continue reading (from the previous chunk)',
+                    },
+                    path: {
+                        type: 'string',
+                        description:
+                            'JSONPath to extract: $, .key, [n], [start:end], [*], ..key (recursive)',
+                    },
+                },
+                required: ['result_id'],
+            },
+            annotations: {
+                title: '📄 Read Uru Result',
+                category: 'discovery',
+                priority: 'high',
+                readOnlyHint: true,
+            },
+        };
+    }
+
+    /**
+     * Whether text is over the budget
+     */
+    exceedsBudget(text) {
+        return this.maxChars > 0 && typeof text === 'string' && text.length > this.maxChars;
+    }
+
+    /**
+     * Store a result and return the text to send instead
+     * @param {string} text - Full result text
+     * @param {any} payload - Parsed result, used for the summary and JSONPath
+     * @param {object} meta - { toolName }
+     * @param {string} apiKey - Only this key can read the result back
+     * @returns {{resultId: string, text: string}}
+     */
+    truncate(text, payload, meta, apiKey) {
+        this.pruneExpired();
+        while (this.results.size >= this.maxResults) {
+            this.results.delete(this.results.keys().next().value);
+        }
+
+        const resultId = `res_${crypto.randomBytes(9).toString('hex')}`;
+        this.results.set(resultId, {
+            text,
+            payload,
+            toolName: meta.toolName,
+            keyFingerprint: fingerprint(apiKey),
+            expiresAt: Date.now() + this.ttlMs,
+        });
+
+        const chunk = this.chunk(text, 0);
+        const header = `✂️ Result of '${meta.toolName}' is ${text.length} characters, over the ${this.maxChars} character budget. ${this.summarize(payload)}`;
+        return {
+            resultId,
+            text: `${header}\n\n${chunk.text}\n\n${this.footer(resultId, chunk, text.length)}`,
+        };
+    }
+
+    /**
+     * Read a stored result by cursor or JSONPath
+     * @returns {{text: string, done: boolean}|null} null when unknown, expired or
+     *   owned by another key
+     */
+    read(resultId, { cursor = null, path = null } = {}, apiKey = null) {
+        this.pruneExpired();
+        const stored = this.results.get(resultId);
+        if (!stored || stored.keyFingerprint !== fingerprint(apiKey)) {
+            return null;
+        }
+
+        if (path) {
+            const matches = queryJsonPath(stored.payload, path);
+            const text = JSON.stringify(matches, null, 2);
+            if (!this.exceedsBudget(text)) {
+                return { text: `${matches.length} matches for ${path}:\n\n${text}`, done: true };
+            }
+            // Large extracts are stored and paged like any other result
+            const extract = this.truncate(
+                text,
+                matches,
+                { toolName: `${stored.toolName} ${path}` },
+                apiKey
+            );
+            return { text: extract.text, done: false };
+        }
+
+        const start = Number(cursor) || 0;
+        if (!Number.isInteger(start) || start < 0 || start >= stored.text.length) {
+            throw new Error(
+                `Invalid cursor '${cursor}' for a ${stored.text.length} character result`
+            );
+        }
+        const chunk = this.chunk(stored.text, start);
+        return {
+            text: `${chunk.text}\n\n${this.footer(resultId, chunk, stored.text.length)}`,
+            done: chunk.end >= stored.text.length,
+        };
+    }
+
+    /**
+     * Up to maxChars from start, cut at a line break when there is one
+     */
+    chunk(text, start) {
+        let end = Math.min(start + this.maxChars, text.length);
+        if (end < text.length) {
+            const lineBreak = text.lastIndexOf('\n', end);
+            if (lineBreak > start) {
+                end = lineBreak + 1;
+            }
+        }
+        return { text: text.slice(start, end), start, end };
+    }
+
+    footer(resultId, chunk, length) {
+        if (chunk.end >= length) {
+            return `(characters ${chunk.start}-${chunk.end} of ${length}; end of result ${resultId})`;
+        }
+        return `(characters ${chunk.start}-${chunk.end} of ${length}) Call \`${READ_RESULT_TOOL_NAME}\` with \`"result_id": "${resultId}", "cursor": "${chunk.end}"\` for the next chunk, or with a \`"path"\` such as \`"$.items[0:10]"\` to extract part of the result.`;
+    }
+
+    /**
+     * One-line description of the result's shape
+     */
+    summarize(payload) {
+        if (Array.isArray(payload)) {
+            const first = payload.find(item => item && typeof item === 'object');
+            if (!first || Array.isArray(first)) {
+                return `It is an array of ${payload.length} items.`;
+            }
+            const keys = Object.keys(first).slice(0, 20).join(', ');
+            return `It is an array of ${payload.length} items with keys: ${keys}.`;
+        }
+        if (payload && typeof payload === 'object') {
+            const fields = Object.entries(payload)
+                .slice(0, 20)
+                .map(([key, value]) => `${key} (${this.describe(value)})`);
+            return `Top-level fields: ${fields.join(', ')}.`;
+        }
+        return '';
+    }
+
+    /**
+     * A copy of the payload that fits the budget as JSON: arrays keep their
+     * first items and strings their start, so keys and value types stay as
+     * they were. Sent as structuredContent when the text is truncated.
+     */
+    preview(payload) {
+        let maxItems = longestArray(payload);
+        let maxLength = this.maxChars;
+        while (true) {
+            const preview = cutValue(payload, maxItems, maxLength);
+            if (JSON.stringify(preview).length <= this.maxChars || (!maxItems && !maxLength)) {
+                return preview;
+            }
+            maxItems = Math.floor(maxItems / 2);
+            maxLength = Math.floor(maxLength / 2);
+        }
+    }
+
+    describe(value) {
+        if (Array.isArray(value)) {
+            return `array of ${value.length}`;
+        }
+        if (value && typeof value === 'object') {
+            return `object with ${Object.keys(value).length} keys`;
+        }
+        if (typeof value === 'string') {
+            return `string of ${value.length}`;
+        }
+        return value === null ? 'null' : typeof value;
+    }
+
+    pruneExpired() {
+        const now = Date.now();
+        for (const [resultId, stored] of this.results) {
+            if (stored.expiresAt <= now) {
+                this.results.delete(resultId);
+            }
+        }
+    }
+}
+
+/**
+ * Evaluate a JSONPath subset: $, .key, ['key'], [n], [start:end], [*], .*, ..key
+ * @returns {Array} Matched values
+ */
+function queryJsonPath(value, path) {
+    const source = String(path).trim();
+    if (!source.startsWith('$')) {
+        throw new Error(`JSONPath must start with '$': ${path}`);
+    }
+
+    let nodes = [value];
+    let index = 1;
+    const children = node =>
+        Array.isArray(node) ? node : node && typeof node === 'object' ? Object.values(node) : [];
+    const descendants = node => {
+        const all = [node];
+        for (const child of children(node)) {
+            all.push(...descendants(child));
+        }
+        return all;
+    };
+    const member = (node, key) =>
+        node && typeof node === 'object' && Object.prototype.hasOwnProperty.call(node, key)
+            ? [node[key]]
+            : [];
+
+    while (index < source.length) {
+        const rest = source.slice(index);
+        let match;
+        if ((match = rest.match(/^\.\.([A-Za-z_$][\w$-]*|\*)/))) {
+            const key = match[1];
+            nodes = nodes
+                .flatMap(descendants)
+                .flatMap(node => (key === '*' ? children(node) : member(node, key)));
+        } else if ((match = rest.match(/^\.([A-Za-z_$][\w$-]*|\*)/))) {
+            const key = match[1];
+            nodes = nodes.flatMap(node => (key === '*' ? children(node) : member(node, key)));
+        } else if ((match = rest.match(/^\[\s*(['"])(.*?)\1\s*\]/))) {
+            nodes = nodes.flatMap(node => member(node, match[2]));
+        } else if ((match = rest.match(/^\[\s*\*\s*\]/))) {
+            nodes = nodes.flatMap(children);
+        } else if ((match = rest.match(/^\[\s*(-?\d*)\s*:\s*(-?\d*)\s*\]/))) {
+            const [, from, to] = match;
+            const start = from === '' ? 0 : Number(from);
+            const end = to === '' ? undefined : Number(to);
+            nodes = nodes.flatMap(node => (Array.isArray(node) ? node.slice(start, end) : []));
+        } else if ((match = rest.match(/^\[\s*(-?\d+)\s*\]/))) {
+            const position = Number(match[1]);
+            nodes = nodes.flatMap(node =>
+                Array.isArray(node)
+                    ? member(node, position < 0 ? node.length + position : position)
+                    : []
+            );
+        } else {
+            throw new Error(`Unsupported JSONPath syntax at '${rest}'`);
+        }
+        index += match[0].length;
+    }
+
+    return nodes;
+}
+
+/**
+ * Value with arrays cut to maxItems and strings to maxLength, at any depth
+ */
+function cutValue(value, maxItems, maxLength) {
+    if (Array.isArray(value)) {
+        return value.slice(0, maxItems).map(item => cutValue(item, maxItems, maxLength));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, cutValue(item, maxItems, maxLength)])
+        );
+    }
+    return typeof value === 'string' ? value.slice(0, maxLength) : value;
+}
+
+function longestArray(value) {
+    if (!value || typeof value !== 'object') {
+        return 0;
+    }
+    let longest = Array.isArray(value) ? value.length : 0;
+    for (const item of Array.isArray(value) ? value : Object.values(value)) {
+        longest = Math.max(longest, longestArray(item));
+    }
+    return longest;
+}
+
+module.exports = { ResultStore, queryJsonPath, READ_RESULT_TOOL_NAME };
@@ -0,0 +1,172 @@
+/**
+ * Retry Policy for Uru MCP proxy calls
+ *
+ * Shared by every HTTP call to the proxy. Idempotent GETs are retried on
+ * transient failures using jittered exponential backoff; execute calls are
+ * only retried when `retryExecute` is enabled. `Retry-After` on 429/503 is
+ * honored, and every call stays within a per-call deadline.
+ */
+
+const RETRYABLE_STATUS_CODES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set([
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'ENETUNREACH',
+]);
+
+/**
+ * Retry Policy - jittered exponential backoff bounded by a per-call deadline
+ */
+class RetryPolicy {
+    constructor(config = {}) {
+        this.retries = Number.isInteger(config.retries) ? config.retries : 3;
+        this.retryExecute = config.retryExecute === true;
+        this.baseDelayMs = config.baseDelayMs || 500;
+        this.maxDelayMs = config.maxDelayMs || 10000;
+        this.deadlineMs = config.deadlineMs || 180000;
+        this.logger = config.log || null;
+
+        this.stats = {
+            calls: 0,
+            retriedCalls: 0,
+            retries: 0,
+            exhausted: 0,
+            deadlineExceeded: 0,
+            retriesByReason: {},
+        };
+    }
+
+    /**
+     * Run an operation with retries
+     * @param {(attempt: number, remainingMs: number) => Promise<any>} operation
+     * @param {object} options
+     * @param {string} options.description - Label used in logs
+     * @param {boolean} options.idempotent - False for execute calls (opt-in retries)
+     * @param {number} options.deadlineMs - Override the per-call deadline
+     */
+    async execute(operation, options = {}) {
+        const {
+            description = 'proxy request',
+            idempotent = true,
+            deadlineMs = this.deadlineMs,
+        } = options;
+        const maxRetries = idempotent || this.retryExecute ? this.retries : 0;
+        const deadline = Date.now() + deadlineMs;
+
+        this.stats.calls++;
+        let attempt = 0;
+
+        while (true) {
+            try {
+                return await operation(attempt, Math.max(deadline - Date.now(), 1));
+            } catch (error) {
+                const reason = this.getRetryReason(error);
+                if (!reason || attempt >= maxRetries) {
+                    if (reason && attempt > 0) {
+                        this.stats.exhausted++;
+                        this.log(
+                            `❌ ${description} failed after ${attempt + 1} attempts (${reason})`,
+                            'warn'
+                        );
+                    }
+                    throw error;
+                }
+
+                const delayMs = this.getDelayMs(error, attempt);
+                if (Date.now() + delayMs >= deadline) {
+                    this.stats.deadlineExceeded++;
+                    this.log(
+                        `⏱️ ${description}: not retrying (${reason}); ${delayMs}ms wait exceeds the ${deadlineMs}ms deadline`,
+                        'warn'
+                    );
+                    throw error;
+                }
+
+                attempt++;
+                if (attempt === 1) {
+                    this.stats.retriedCalls++;
+                }
+                this.stats.retries++;
+                this.stats.retriesByReason[reason] =
+                    (this.stats.retriesByReason[reason] || 0) + 1;
+
+                this.log(
+                    `🔁 ${description}: retry ${attempt}/${maxRetries} in ${delayMs}ms (${reason})`,
+                    'warn'
+                );
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+        }
+    }
+
+    /**
+     * Retry reason for a transient failure, or null when the error is final
+     */
+    getRetryReason(error) {
+        const status = error?.response?.status;
+        if (status) {
+            return RETRYABLE_STATUS_CODES.has(status) ? `HTTP ${status}` : null;
+        }
+        if (error?.code && RETRYABLE_ERROR_CODES.has(error.code)) {
+            return error.code;
+        }
+        return null;
+    }
+
+    /**
+     * Delay before the next attempt: Retry-After when the proxy sends one,
+     * otherwise exponential backoff with the upper half jittered
+     */
+    getDelayMs(error, attempt) {
+        const retryAfterMs = this.parseRetryAfter(error?.response?.headers?.['retry-after']);
+        if (retryAfterMs !== null) {
+            return retryAfterMs;
+        }
+
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+        return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+    }
+
+    /**
+     * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds
+     */
+    parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, Math.round(seconds * 1000));
+        }
+
+        const date = Date.parse(value);
+        if (Number.isFinite(date)) {
+            return Math.max(0, date - Date.now());
+        }
+
+        return null;
+    }
+
+    /**
+     * Get retry statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            retriesByReason: { ...this.stats.retriesByReason },
+        };
+    }
+
+    log(message, level = 'info') {
+        if (this.logger) {
+            this.logger(message, level);
+        }
+    }
+}
+
+module.exports = { RetryPolicy };
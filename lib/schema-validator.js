@@ -0,0 +1,222 @@
+/**
+ * Tool Parameter Validator for Uru MCP
+ *
+ * Validates execute_tool parameters against the cached JSON Schema of the
+ * target tool so invalid calls fail fast without a proxy round trip, and
+ * builds a corrected example the model can copy.
+ */
+
+const Ajv = require('ajv');
+
+/**
+ * Example values for common string formats
+ */
+const FORMAT_EXAMPLES = {
+    email: 'user@example.com',
+    uri: 'https://example.com',
+    url: 'https://example.com',
+    'date-time': '2025-01-01T09:00:00Z',
+    date: '2025-01-01',
+    time: '09:00:00',
+    uuid: '00000000-0000-0000-0000-000000000000',
+    ipv4: '192.0.2.1',
+    hostname: 'example.com',
+};
+
+/**
+ * Tool Parameter Validator - compiles and caches validators per schema
+ */
+class ToolParameterValidator {
+    constructor() {
+        this.ajv = new Ajv({
+            allErrors: true,
+            format: 'full',
+            unknownFormats: 'ignore',
+            jsonPointers: true,
+            schemaId: 'auto',
+            nullable: true,
+            logger: false,
+        });
+        this.validators = new WeakMap();
+    }
+
+    /**
+     * Validate parameters against a tool input schema
+     * @param {object} schema - Tool inputSchema
+     * @param {object} parameters - Parameters supplied by the model
+     * @returns {{valid: boolean, errors: Array<{field: string, message: string}>}}
+     */
+    validate(schema, parameters) {
+        const validator = this.getValidator(schema);
+        if (!validator) {
+            // Schemas we cannot compile are never a reason to block a call
+            return { valid: true, errors: [] };
+        }
+
+        if (validator(parameters)) {
+            return { valid: true, errors: [] };
+        }
+
+        const seen = new Set();
+        const errors = [];
+        for (const error of validator.errors || []) {
+            const issue = this.describeError(error);
+            const key = `${issue.field}:${issue.message}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                errors.push(issue);
+            }
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    getValidator(schema) {
+        if (!schema || typeof schema !== 'object') {
+            return null;
+        }
+
+        if (this.validators.has(schema)) {
+            return this.validators.get(schema);
+        }
+
+        let validator = null;
+        try {
+            validator = this.ajv.compile(schema);
+        } catch (error) {
+            validator = null;
+        }
+        this.validators.set(schema, validator);
+        return validator;
+    }
+
+    /**
+     * Convert an Ajv error into a field-level issue
+     */
+    describeError(error) {
+        const basePath = this.formatPath(error.dataPath);
+        const params = error.params || {};
+
+        switch (error.keyword) {
+            case 'required':
+                return {
+                    field: this.joinPath(basePath, params.missingProperty),
+                    message: 'is required',
+                };
+            case 'additionalProperties':
+                return {
+                    field: this.joinPath(basePath, params.additionalProperty),
+                    message: 'is not a recognized parameter',
+                };
+            case 'type':
+                return {
+                    field: basePath || '(parameters)',
+                    message: `must be of type ${params.type}`,
+                };
+            case 'enum':
+                return {
+                    field: basePath || '(parameters)',
+                    message: `must be one of: ${(params.allowedValues || [])
+                        .map(value => JSON.stringify(value))
+                        .join(', ')}`,
+                };
+            case 'format':
+                return {
+                    field: basePath || '(parameters)',
+                    message: `must be a valid ${params.format}`,
+                };
+            default:
+                return {
+                    field: basePath || '(parameters)',
+                    message: error.message || 'is invalid',
+                };
+        }
+    }
+
+    formatPath(dataPath) {
+        return (dataPath || '')
+            .split('/')
+            .filter(Boolean)
+            .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .join('.');
+    }
+
+    joinPath(basePath, property) {
+        return basePath ? `${basePath}.${property}` : String(property);
+    }
+
+    /**
+     * Build a corrected example: keep valid supplied values, drop unknown or
+     * invalid ones and fill every required field with a placeholder.
+     * @param {object} schema - Tool inputSchema
+     * @param {object} parameters - Parameters supplied by the model
+     * @param {Array<{field: string}>} errors - Issues reported by validate()
+     */
+    buildCorrectedExample(schema, parameters, errors = []) {
+        const properties = schema?.properties || {};
+        const required = Array.isArray(schema?.required) ? schema.required : [];
+        const invalidFields = new Set(errors.map(error => error.field.split('.')[0]));
+        const example = {};
+
+        for (const [name, value] of Object.entries(parameters || {})) {
+            if (properties[name] && !invalidFields.has(name)) {
+                example[name] = value;
+            }
+        }
+
+        for (const [name, definition] of Object.entries(properties)) {
+            if (example[name] !== undefined) {
+                continue;
+            }
+            if (required.includes(name) || invalidFields.has(name)) {
+                example[name] = this.exampleValue(name, definition);
+            }
+        }
+
+        return example;
+    }
+
+    /**
+     * Placeholder value for a property definition
+     */
+    exampleValue(name, definition = {}) {
+        if (definition.default !== undefined) {
+            return definition.default;
+        }
+        if (Array.isArray(definition.enum) && definition.enum.length > 0) {
+            return definition.enum[0];
+        }
+        if (Array.isArray(definition.examples) && definition.examples.length > 0) {
+            return definition.examples[0];
+        }
+
+        const type = Array.isArray(definition.type) ? definition.type[0] : definition.type;
+        switch (type) {
+            case 'string':
+                return FORMAT_EXAMPLES[definition.format] || `example_${name}`;
+            case 'integer':
+            case 'number':
+                return definition.minimum !== undefined ? definition.minimum : 1;
+            case 'boolean':
+                return true;
+            case 'array':
+                return definition.items
+                    ? [this.exampleValue(`${name}_item`, definition.items)]
+                    : [];
+            case 'object': {
+                const nested = {};
+                const nestedRequired = definition.required || [];
+                for (const [key, value] of Object.entries(definition.properties || {})) {
+                    if (nestedRequired.includes(key)) {
+                        nested[key] = this.exampleValue(key, value);
+                    }
+                }
+                return nested;
+            }
+            default:
+                return `example_${name}`;
+        }
+    }
+}
+
+module.exports = { ToolParameterValidator };
@@ -12,6 +12,10 @@
 
 const { ToolNamespaceManager } = require('./namespace-manager');
 
+const { LogRedactor } = require('./log-redactor');
+
+const { Logger } = require('./logger');
+
 /**
 
  * Intelligent Tool Loader with pre-loading and optimization
@@ -28,6 +32,20 @@ class IntelligentToolLoader {
 
         this.config = config;
 
+        // Shared leveled logger; secrets and PII are masked before output
+
+        this.logger =
+
+            config.logger ||
+
+            new Logger({
+
+                level: config.debug ? 'debug' : 'warning',
+
+                redactor: config.redactor || new LogRedactor(),
+
+            });
+
         // Configuration
 
         // Default to unlimited (no pagination) unless explicitly provided
@@ -40,6 +58,20 @@ class IntelligentToolLoader {
 
         this.enablePredictiveLoading = config.enablePredictiveLoading || false;
 
+        // tools/list exposure: 'hierarchical' (two-tier pairs), 'flat' (every
+
+        // namespace__tool with its real schema) or 'hybrid' (flat for pinned
+
+        // and preloaded namespaces, two-tier for the rest)
+
+        this.toolExposure = config.toolExposure || 'hierarchical';
+
+        this.pinnedNamespaces = config.pinnedNamespaces || [];
+
+        // Optional allow/deny policy (ToolPolicy) applied to everything listed
+
+        this.toolPolicy = config.toolPolicy || null;
+
         // State tracking
 
         this.loadedNamespaces = new Set();
@@ -52,6 +84,10 @@ class IntelligentToolLoader {
 
         this._preloadPromise = null;
 
+        // Top-level meta-tools (e.g. uru__search_tools) listed ahead of namespaces
+
+        this.metaTools = [];
+
         // Performance metrics
 
         this.metrics = {
@@ -70,6 +106,14 @@ class IntelligentToolLoader {
 
         };
 
+        // Exported on the metrics endpoint when the server passes its registry
+
+        this.loadDurations = config.metricsRegistry
+
+            ? this.registerMetrics(config.metricsRegistry)
+
+            : null;
+
     }
 
         /**
@@ -128,9 +172,15 @@ class IntelligentToolLoader {
 
      * Get tools for listing with pagination (Two-tier system: only discovery tools)
 
+     * @param {string} cursor - Pagination cursor from a previous page
+
+     * @param {number} limit - Optional page size override
+
+     * @param {string} apiKey - Optional API key to use for this request
+
      */
 
-    async getToolsForListing(cursor = null, limit = null) {
+    async getToolsForListing(cursor = null, limit = null, apiKey = null) {
 
         const startTime = Date.now();
 
@@ -144,10 +194,25 @@ class IntelligentToolLoader {
 
             // Actual tools are loaded when Claude calls namespace.list_tools
 
-            const discoveryTools = await this.getDiscoveryTools();
+            const discoveryTools =
+
+                this.toolExposure === 'hierarchical'
+
+                    ? await this.getDiscoveryTools(apiKey)
+
+                    : await this.getExposedTools(apiKey);
+
 
             this.sortToolsByPriority(discoveryTools);
 
+            // Meta-tools such as uru__search_tools lead the list
+
+            if (discoveryTools.length > 0) {
+
+                discoveryTools.unshift(...this.metaTools);
+
+            }
+
             // Apply pagination (though discovery tools should be small enough to fit in one page)
 
             const startIndex = cursor ? parseInt(cursor) : 0;
@@ -208,212 +273,250 @@ class IntelligentToolLoader {
 
     /**
 
-     * Get discovery tools for all available namespaces using enhanced namespace discovery
+     * Tools for flat and hybrid exposure: namespaces selected for flat
 
-     * Creates both list_tools and execute_tool for each namespace
+     * exposure are replaced by their real tools; the rest keep the two-tier
+
+     * pair. A namespace whose tools fail to load also keeps its pair.
 
      * @param {string} apiKey - Optional API key to use for this request
 
      */
 
-    async getDiscoveryTools(apiKey = null) {
+    async getExposedTools(apiKey = null) {
 
-        try {
+        const discoveryTools = await this.getDiscoveryTools(apiKey);
 
-            // Use the namespace discovery endpoint with configurable timeout
+        const flatNamespaces = new Set(
 
-            const namespaces = await this.namespaceManager.fetchNamespacesFromProxy(
+            discoveryTools
 
-                apiKey
+                .filter(tool => tool.name.endsWith('__list_tools'))
 
-            );
+                .map(tool => tool.name.replace('__list_tools', ''))
 
-            const tools = [];
+                .filter(namespace => this.isFlatNamespace(namespace))
 
-            for (const namespace of namespaces) {
+        );
 
-                const nsName = namespace.name || namespace.namespace; // accept either shape
+        const loadedTools = new Map();
 
-                let displayName =
+        await Promise.all(
 
-                    namespace.displayName || namespace.display_name || nsName;
+            Array.from(flatNamespaces).map(async namespace => {
 
-                // Humanize unlabeled personal namespaces when the display name looks technical
+                try {
 
-                let label = (namespace.account_label || '').trim();
+                    const tools = await this.loadNamespace(namespace, apiKey);
 
-                if (!label) {
+                    loadedTools.set(
 
-                    const tokenish = !displayName || /^[a-z0-9_]+$/i.test(displayName);
+                        namespace,
 
-                    if (tokenish) {
+                        this.filterAllowedTools(namespace, tools).map(tool =>
 
-                        const parts = (nsName || '').split('_');
+                            this.toListedTool(tool)
 
-                        const serviceToken = (parts[0] || '').toLowerCase();
+                        )
 
-                        const suffix = parts.length > 1 ? parts.slice(1).join(' ') : '';
+                    );
 
-                        const known = {
+                } catch (error) {
 
-                            gmail: 'Gmail',
+                    this.log(
 
-                            googledrive: 'Google Drive',
+                        `Keeping two-tier tools for '${namespace}': ${error.message}`,
 
-                            googlecalendar: 'Google Calendar',
+                        'warn'
 
-                            slack: 'Slack',
+                    );
 
-                            github: 'GitHub',
+                }
 
-                            trello: 'Trello',
+            })
 
-                            notion: 'Notion',
+        );
 
-                            discord: 'Discord',
+        const tools = [];
 
-                            dropbox: 'Dropbox',
+        for (const tool of discoveryTools) {
 
-                            linkedin: 'LinkedIn',
+            const namespace = tool.name.replace(/__(list_tools|execute_tool|execute_batch)$/, '');
 
-                            quickbooks: 'QuickBooks',
+            if (!loadedTools.has(namespace)) {
 
-                        };
+                tools.push(tool);
 
-                        const humanService =
+            } else if (tool.name.endsWith('__list_tools')) {
 
-                            known[serviceToken] ||
+                tools.push(...loadedTools.get(namespace));
 
-                            serviceToken
+            } else if (tool.name.endsWith('__execute_batch')) {
 
-                                .replace(/_/g, ' ')
+                // Batching still helps when the real tools are listed
 
-                                .replace(/\b\w/g, s => s.toUpperCase());
+                tools.push(tool);
 
-                        displayName = suffix
+            }
 
-                            ? `${humanService} ${suffix}`
+        }
 
-                            : humanService;
+        return tools;
 
-                    }
+    }
 
-                }
+    /**
 
-                // Sanitize display text
+     * Whether a namespace is exposed with its real tools in tools/list
 
-                const isCompany = nsName && String(nsName).startsWith('company_');
+     */
 
-                // 1) Strip trailing 'Tools' for any namespace (prevents 'Tools Tool ...')
+    isFlatNamespace(namespace) {
 
-                displayName = (displayName || '').replace(/\s*Tools\s*$/i, '');
+        if (this.toolExposure === 'flat') {
 
-                // 2) De-duplicate consecutive words case-insensitively (e.g., 'docs docs' -> 'docs')
+            return true;
 
-                const parts = displayName.trim().split(/\s+/);
+        }
 
-                const deduped = [];
+        return (
 
-                // Normalize known service names for spacing/casing on unlabeled connections
+            this.toolExposure === 'hybrid' &&
 
-                // Example: 'Googledrive Bf219151' -> 'Google Drive Bf219151'
+            (this.pinnedNamespaces.includes(namespace) ||
 
-                (function () {
+                this.preloadNamespaces.includes(namespace))
 
-                    const fixes = {
+        );
 
-                        googledrive: 'Google Drive',
+    }
 
-                        googlecalendar: 'Google Calendar',
+    /**
 
-                    };
+     * Strip registry bookkeeping from a tool before it is listed
 
-                    const lower = (displayName || '').toLowerCase();
+     */
 
-                    Object.keys(fixes).forEach(key => {
+    toListedTool(tool) {
 
-                        const human = fixes[key];
+        const listed = {
 
-                        if (lower.startsWith(key)) {
+            name: tool.name,
 
-                            // Replace the prefix with humanized form
+            description: tool.description,
 
-                            displayName = human + displayName.slice(key.length);
+            inputSchema: tool.inputSchema,
 
-                        }
+            annotations: tool.annotations,
 
-                    });
+        };
 
-                })();
+        if (tool.outputSchema) {
 
-                for (const p of parts) {
+            listed.outputSchema = tool.outputSchema;
 
-                    if (
+        }
 
-                        deduped.length === 0 ||
+        return listed;
 
-                        deduped[deduped.length - 1].toLowerCase() !== p.toLowerCase()
+    }
 
-                    ) {
 
-                        deduped.push(p);
+    /**
 
-                    }
+     * Whether the tool policy lets a namespace appear at all
 
-                }
+     */
 
-                displayName = deduped.join(' ');
+    isNamespaceAllowed(namespace) {
 
-                label = (namespace.account_label || '').trim();
+        return !this.toolPolicy || this.toolPolicy.evaluateNamespace(namespace).allowed;
 
-                // Build a friendly name, avoiding duplicate labels like "Personal (Personal)"
+    }
 
-                let fullDisplayName = displayName;
+    /**
 
-                if (label) {
+     * Drop tools the tool policy blocks
 
-                    const dn = displayName.toLowerCase();
+     * @param {string} namespace - Namespace the tools belong to
 
-                    const lbl = label.toLowerCase();
+     * @param {Array<object>} tools - Registry tools
 
-                    if (!dn.includes(lbl)) {
+     */
 
-                        fullDisplayName = `${displayName} (${label})`;
+    filterAllowedTools(namespace, tools) {
 
-                    }
+        return this.toolPolicy ? this.toolPolicy.filterTools(namespace, tools) : tools;
 
-                }
+    }
+
+
+    /**
+
+     * Register a top-level meta-tool listed alongside the namespace tools
 
-                // Create both list_tools and execute_tool for each namespace
+     * @param {object} tool - MCP tool definition
 
-                tools.push(
+     */
 
-                    this.namespaceManager.createNamespaceDiscoveryTool(
+    addMetaTool(tool) {
 
-                        namespace.name,
+        this.metaTools = this.metaTools.filter(existing => existing.name !== tool.name);
 
-                        fullDisplayName
+        this.metaTools.push(tool);
 
-                    ),
+    }
 
-                    this.namespaceManager.createNamespaceExecuteTool(
+    /**
 
-                        namespace.name,
+     * Get discovery tools for all available namespaces using enhanced namespace discovery
 
-                        fullDisplayName
+     * Creates both list_tools and execute_tool for each namespace
 
-                    )
+     * @param {string} apiKey - Optional API key to use for this request
 
-                );
+     */
 
-            }
+    async getDiscoveryTools(apiKey = null) {
+
+        try {
+
+            // Use the namespace discovery endpoint with configurable timeout
 
-            return tools;
+            const namespaces = await this.namespaceManager.fetchNamespacesFromProxy(
+
+                apiKey
+
+            );
+
+            return this.buildDiscoveryToolsForNamespaces(namespaces);
 
         } catch (error) {
 
             this.log(`âŒ Error getting discovery tools: ${error.message}`, 'error');
 
+            // Circuit open: serve the last known namespace catalog instead of nothing
+
+            if (error.circuitOpen) {
+
+                const lastKnown = this.namespaceManager.getLastKnownNamespaces(apiKey);
+
+                if (lastKnown) {
+
+                    this.log(
+
+                        `Proxy unavailable - serving last known catalog (${lastKnown.length} namespaces)`,
+
+                        'warn'
+
+                    );
+
+                    return this.buildDiscoveryToolsForNamespaces(lastKnown);
+
+                }
+
+            }
+
             // Fallback to legacy app-based discovery
 
             try {
@@ -426,11 +529,19 @@ class IntelligentToolLoader {
 
                 for (const appName of apps) {
 
+                    if (!this.isNamespaceAllowed(appName)) {
+
+                        continue;
+
+                    }
+
                     tools.push(
 
                         this.namespaceManager.createNamespaceDiscoveryTool(appName),
 
-                        this.namespaceManager.createNamespaceExecuteTool(appName)
+                        this.namespaceManager.createNamespaceExecuteTool(appName),
+
+                        this.namespaceManager.createNamespaceExecuteBatchTool(appName)
 
                     );
 
@@ -461,6 +572,214 @@ class IntelligentToolLoader {
 
     }
 
+    /**
+
+     * Build list_tools and execute_tool pairs for a namespace catalog
+
+     * @param {Array<object>} namespaces - Namespaces returned by the proxy
+
+     */
+
+    buildDiscoveryToolsForNamespaces(namespaces) {
+
+        const tools = [];
+
+        for (const namespace of namespaces) {
+
+            const nsName = namespace.name || namespace.namespace; // accept either shape
+
+            if (!this.isNamespaceAllowed(nsName)) {
+
+                continue;
+
+            }
+
+            let displayName =
+
+                namespace.displayName || namespace.display_name || nsName;
+
+            // Humanize unlabeled personal namespaces when the display name looks technical
+
+            let label = (namespace.account_label || '').trim();
+
+            if (!label) {
+
+                const tokenish = !displayName || /^[a-z0-9_]+$/i.test(displayName);
+
+                if (tokenish) {
+
+                    const parts = (nsName || '').split('_');
+
+                    const serviceToken = (parts[0] || '').toLowerCase();
+
+                    const suffix = parts.length > 1 ? parts.slice(1).join(' ') : '';
+
+                    const known = {
+
+                        gmail: 'Gmail',
+
+                        googledrive: 'Google Drive',
+
+                        googlecalendar: 'Google Calendar',
+
+                        slack: 'Slack',
+
+                        github: 'GitHub',
+
+                        trello: 'Trello',
+
+                        notion: 'Notion',
+
+                        discord: 'Discord',
+
+                        dropbox: 'Dropbox',
+
+                        linkedin: 'LinkedIn',
+
+                        quickbooks: 'QuickBooks',
+
+                    };
+
+                    const humanService =
+
+                        known[serviceToken] ||
+
+                        serviceToken
+
+                            .replace(/_/g, ' ')
+
+                            .replace(/\b\w/g, s => s.toUpperCase());
+
+                    displayName = suffix
+
+                        ? `${humanService} ${suffix}`
+
+                        : humanService;
+
+                }
+
+            }
+
+            // Sanitize display text
+
+            const isCompany = nsName && String(nsName).startsWith('company_');
+
+            // 1) Strip trailing 'Tools' for any namespace (prevents 'Tools Tool ...')
+
+            displayName = (displayName || '').replace(/\s*Tools\s*$/i, '');
+
+            // 2) De-duplicate consecutive words case-insensitively (e.g., 'docs docs' -> 'docs')
+
+            const parts = displayName.trim().split(/\s+/);
+
+            const deduped = [];
+
+            // Normalize known service names for spacing/casing on unlabeled connections
+
+            // Example: 'Googledrive Bf219151' -> 'Google Drive Bf219151'
+
+            (function () {
+
+                const fixes = {
+
+                    googledrive: 'Google Drive',
+
+                    googlecalendar: 'Google Calendar',
+
+                };
+
+                const lower = (displayName || '').toLowerCase();
+
+                Object.keys(fixes).forEach(key => {
+
+                    const human = fixes[key];
+
+                    if (lower.startsWith(key)) {
+
+                        // Replace the prefix with humanized form
+
+                        displayName = human + displayName.slice(key.length);
+
+                    }
+
+                });
+
+            })();
+
+            for (const p of parts) {
+
+                if (
+
+                    deduped.length === 0 ||
+
+                    deduped[deduped.length - 1].toLowerCase() !== p.toLowerCase()
+
+                ) {
+
+                    deduped.push(p);
+
+                }
+
+            }
+
+            displayName = deduped.join(' ');
+
+            label = (namespace.account_label || '').trim();
+
+            // Build a friendly name, avoiding duplicate labels like "Personal (Personal)"
+
+            let fullDisplayName = displayName;
+
+            if (label) {
+
+                const dn = displayName.toLowerCase();
+
+                const lbl = label.toLowerCase();
+
+                if (!dn.includes(lbl)) {
+
+                    fullDisplayName = `${displayName} (${label})`;
+
+                }
+
+            }
+
+            // Create list_tools, execute_tool and execute_batch for each namespace
+
+            tools.push(
+
+                this.namespaceManager.createNamespaceDiscoveryTool(
+
+                    namespace.name,
+
+                    fullDisplayName
+
+                ),
+
+                this.namespaceManager.createNamespaceExecuteTool(
+
+                    namespace.name,
+
+                    fullDisplayName
+
+                ),
+
+                this.namespaceManager.createNamespaceExecuteBatchTool(
+
+                    namespace.name,
+
+                    fullDisplayName
+
+                )
+
+            );
+
+        }
+
+        return tools;
+
+    }
+
     /**
 
      * Emergency fallback discovery tools
@@ -566,19 +885,21 @@ class IntelligentToolLoader {
 
         // Check if already loaded
 
-        if (this.toolRegistry.isNamespaceLoaded(namespaceName)) {
+        if (this.toolRegistry.isNamespaceLoaded(namespaceName, apiKey)) {
 
             this.metrics.cacheHits++;
 
-            return this.toolRegistry.getNamespaceTools(namespaceName);
+            return this.toolRegistry.getNamespaceTools(namespaceName, apiKey);
 
         }
 
-        // Check if currently loading
+        // Check if currently loading (loads are shared only between callers with the same key)
+
+        const loadingKey = `${this.toolRegistry.tenantKey(apiKey)}:${namespaceName}`;
 
-        if (this.loadingPromises.has(namespaceName)) {
+        if (this.loadingPromises.has(loadingKey)) {
 
-            return await this.loadingPromises.get(namespaceName);
+            return await this.loadingPromises.get(loadingKey);
 
         }
 
@@ -586,19 +907,19 @@ class IntelligentToolLoader {
 
         const loadPromise = this.doLoadNamespace(namespaceName, apiKey);
 
-        this.loadingPromises.set(namespaceName, loadPromise);
+        this.loadingPromises.set(loadingKey, loadPromise);
 
         try {
 
             const result = await loadPromise;
 
-            this.loadingPromises.delete(namespaceName);
+            this.loadingPromises.delete(loadingKey);
 
             return result;
 
         } catch (error) {
 
-            this.loadingPromises.delete(namespaceName);
+            this.loadingPromises.delete(loadingKey);
 
             throw error;
 
@@ -656,7 +977,9 @@ class IntelligentToolLoader {
 
                 namespaceName,
 
-                namespacedTools
+                namespacedTools,
+
+                apiKey
 
             );
 
@@ -672,6 +995,14 @@ class IntelligentToolLoader {
 
             const loadTime = Date.now() - startTime;
 
+            this.loadDurations?.observe(
+
+                { namespace: namespaceName, outcome: 'success' },
+
+                loadTime / 1000
+
+            );
+
             this.log(
 
                 `âœ… Loaded namespace '${namespaceName}': ${registeredTools.length} tools in ${loadTime}ms`
@@ -682,6 +1013,22 @@ class IntelligentToolLoader {
 
         } catch (error) {
 
+            // The namespace name may come from the model; only label known ones
+
+            const known = this.namespaceManager
+
+                .getLastKnownNamespaces(apiKey)
+
+                ?.some(namespace => namespace.name === namespaceName);
+
+            this.loadDurations?.observe(
+
+                { namespace: known ? namespaceName : 'unknown', outcome: 'error' },
+
+                (Date.now() - startTime) / 1000
+
+            );
+
             this.log(
 
                 `âŒ Failed to load namespace '${namespaceName}': ${error.message}`,
@@ -786,6 +1133,78 @@ class IntelligentToolLoader {
 
     }
 
+    /**
+
+     * Register namespace load times and cache counters with a MetricsRegistry
+
+     * @returns {object} The load duration histogram
+
+     */
+
+    registerMetrics(registry) {
+
+        const loadDurations = registry.histogram(
+
+            'uru_mcp_namespace_load_duration_seconds',
+
+            'Time to fetch and register the tools of a namespace',
+
+            ['namespace', 'outcome']
+
+        );
+
+        const cacheHits = registry.counter(
+
+            'uru_mcp_namespace_cache_hits_total',
+
+            'Namespace loads answered from the registry'
+
+        );
+
+        const cacheMisses = registry.counter(
+
+            'uru_mcp_namespace_cache_misses_total',
+
+            'Namespace loads that fetched tools from the proxy'
+
+        );
+
+        const hitRatio = registry.gauge(
+
+            'uru_mcp_namespace_cache_hit_ratio',
+
+            'Share of namespace loads answered from the registry'
+
+        );
+
+        const toolListings = registry.counter(
+
+            'uru_mcp_tool_listings_total',
+
+            'tools/list pages built'
+
+        );
+
+        registry.addCollector(() => {
+
+            const { cacheHits: hits, cacheMisses: misses, totalRequests } = this.metrics;
+
+            cacheHits.set({}, hits);
+
+            cacheMisses.set({}, misses);
+
+            hitRatio.set({}, hits + misses > 0 ? hits / (hits + misses) : 0);
+
+            toolListings.set({}, totalRequests);
+
+        });
+
+        return loadDurations;
+
+    }
+
+
+
     /**
 
      * Get performance metrics
@@ -802,6 +1221,12 @@ class IntelligentToolLoader {
 
             registryStats: this.toolRegistry.getStats(),
 
+            retryStats: this.namespaceManager.retryPolicy
+
+                ? this.namespaceManager.retryPolicy.getStats()
+
+                : null,
+
         };
 
     }
@@ -868,14 +1293,56 @@ class IntelligentToolLoader {
 
     log(message, level = 'info') {
 
-        if (this.config.debug) {
+        this.logger.log(message, level, 'ToolLoader');
+
+    }
+
+    /**
+
+     * Restore a persisted catalog snapshot so tools/list can be answered
+
+     * before the proxy has been contacted
 
-            const timestamp = new Date().toISOString();
+     * @param {object} snapshot - Snapshot from CatalogCache.load()
 
-            console.log(`[${timestamp}] [ToolLoader] ${message}`);
+     * @param {string} apiKey - Key the snapshot belongs to
+
+     * @returns {number} Number of namespaces whose tools were restored
+
+     */
+
+    restoreSnapshot(snapshot, apiKey = null) {
+
+        this.namespaceManager.storeNamespaces(snapshot.namespaces, apiKey);
+
+        let restored = 0;
+
+        for (const [appName, tools] of Object.entries(snapshot.tools || {})) {
+
+            if (!Array.isArray(tools) || tools.length === 0) {
+
+                continue;
+
+            }
+
+            const namespacedTools = this.namespaceManager.namespaceTools(appName, tools);
+
+            this.toolRegistry.registerNamespaceTools(appName, namespacedTools, apiKey);
+
+            this.loadedNamespaces.add(appName);
+
+            restored++;
 
         }
 
+        this.log(
+
+            `Restored catalog snapshot: ${snapshot.namespaces.length} namespaces, ${restored} with tools`
+
+        );
+
+        return restored;
+
     }
 
     /**
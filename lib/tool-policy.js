@@ -0,0 +1,206 @@
+/**
+ * Tool Policy - allowlist/denylist rules over namespaces, tools and categories
+ *
+ * Loaded from a YAML or JSON policy file and enforced no matter what the
+ * proxy exposes: blocked namespaces are dropped from tools/list, blocked
+ * tools are hidden from `__list_tools` and rejected by `__execute_tool`.
+ *
+ * ```yaml
+ * deny:
+ *   - tool: "*_DELETE_*"
+ *     reason: Destructive tools are blocked
+ *   - namespace: "gmail_*"
+ *     tool: "GMAIL_SEND_EMAIL_BULK"
+ * allow:            # optional; when present, everything else is denied
+ *   - namespace: "gmail_*"
+ *   - namespace: "slack"
+ *     category: data
+ * ```
+ *
+ * Globs support `*` and `?` and are case-insensitive. Deny rules win over
+ * allow rules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const RULE_FIELDS = ['namespace', 'tool', 'category'];
+
+/**
+ * Compile a case-insensitive glob (`*` and `?`) into an anchored RegExp
+ */
+function globToRegExp(glob) {
+    const source = String(glob)
+        .split('')
+        .map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Tool Policy - evaluates namespace and tool access
+ */
+class ToolPolicy {
+    /**
+     * @param {object} policy - Parsed policy ({ allow?: Rule[], deny?: Rule[] })
+     * @param {string} source - Where the policy came from, used in denial reasons
+     */
+    constructor(policy = {}, source = 'policy') {
+        this.source = source;
+        this.allowRules = this.compileRules(policy.allow, 'allow');
+        this.denyRules = this.compileRules(policy.deny, 'deny');
+    }
+
+    /**
+     * Load a policy file (.yaml, .yml or .json). Invalid files throw so a
+     * broken policy never silently allows everything.
+     */
+    static fromFile(filePath) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        let policy;
+        try {
+            policy =
+                path.extname(filePath).toLowerCase() === '.json'
+                    ? JSON.parse(raw)
+                    : yaml.load(raw);
+        } catch (error) {
+            throw new Error(`Invalid tool policy file ${filePath}: ${error.message}`);
+        }
+        return new ToolPolicy(policy || {}, path.basename(filePath));
+    }
+
+    compileRules(rules, effect) {
+        if (rules === undefined || rules === null) {
+            return [];
+        }
+        if (!Array.isArray(rules)) {
+            throw new Error(`Tool policy '${effect}' must be a list of rules`);
+        }
+
+        return rules.map((rule, index) => {
+            if (!rule || typeof rule !== 'object') {
+                throw new Error(`Tool policy ${effect}[${index}] must be an object`);
+            }
+            if (!RULE_FIELDS.some(field => rule[field] !== undefined)) {
+                throw new Error(
+                    `Tool policy ${effect}[${index}] needs at least one of: ${RULE_FIELDS.join(', ')}`
+                );
+            }
+
+            const compiled = { effect, index, reason: rule.reason || null, patterns: {} };
+            for (const field of RULE_FIELDS) {
+                if (rule[field] !== undefined) {
+                    compiled[field] = String(rule[field]);
+                    compiled.patterns[field] = globToRegExp(compiled[field]);
+                }
+            }
+            // Rules without a tool or category pattern apply to a whole namespace
+            compiled.namespaceWide =
+                !compiled.category && (!compiled.tool || compiled.tool === '*');
+            return compiled;
+        });
+    }
+
+    matches(rule, target) {
+        return RULE_FIELDS.every(
+            field =>
+                !rule.patterns[field] ||
+                (target[field] !== undefined && rule.patterns[field].test(target[field]))
+        );
+    }
+
+    /**
+     * Whether a namespace may appear at all
+     * @returns {{allowed: boolean, reason?: string, rule?: string}}
+     */
+    evaluateNamespace(namespace) {
+        const denyRule = this.denyRules.find(
+            rule => rule.namespaceWide && this.matches(rule, { namespace })
+        );
+        if (denyRule) {
+            return this.deny(denyRule, `Namespace '${namespace}' is blocked`);
+        }
+
+        if (
+            this.allowRules.length > 0 &&
+            !this.allowRules.some(
+                rule => !rule.patterns.namespace || rule.patterns.namespace.test(namespace)
+            )
+        ) {
+            return {
+                allowed: false,
+                reason: `Namespace '${namespace}' is not on the allowlist`,
+                rule: `${this.source}: allow`,
+            };
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Whether a tool may be listed and executed
+     * @param {string} namespace - Namespace name
+     * @param {string} tool - Original (un-namespaced) tool name
+     * @param {string} category - Tool category (e.g. administration)
+     * @returns {{allowed: boolean, reason?: string, rule?: string}}
+     */
+    evaluateTool(namespace, tool, category) {
+        const namespaceDecision = this.evaluateNamespace(namespace);
+        if (!namespaceDecision.allowed) {
+            return namespaceDecision;
+        }
+
+        const target = { namespace, tool, category };
+        const denyRule = this.denyRules.find(rule => this.matches(rule, target));
+        if (denyRule) {
+            return this.deny(denyRule, `Tool '${tool}' is blocked`);
+        }
+
+        if (
+            this.allowRules.length > 0 &&
+            !this.allowRules.some(rule => this.matches(rule, target))
+        ) {
+            return {
+                allowed: false,
+                reason: `Tool '${tool}' is not on the allowlist`,
+                rule: `${this.source}: allow`,
+            };
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Drop tools the policy blocks
+     * @param {string} namespace - Namespace the tools belong to
+     * @param {Array<object>} tools - Registry tools (originalName, annotations.category)
+     */
+    filterTools(namespace, tools) {
+        return tools.filter(
+            tool =>
+                this.evaluateTool(
+                    namespace,
+                    tool.originalName || tool.name,
+                    tool.annotations?.category
+                ).allowed
+        );
+    }
+
+    deny(rule, fallbackReason) {
+        const pattern = RULE_FIELDS.filter(field => rule[field] !== undefined)
+            .map(field => `${field}=${rule[field]}`)
+            .join(', ');
+        return {
+            allowed: false,
+            reason: rule.reason || fallbackReason,
+            rule: `${this.source}: deny[${rule.index}] (${pattern})`,
+        };
+    }
+}
+
+module.exports = { ToolPolicy, globToRegExp };
@@ -0,0 +1,320 @@
+/**
+ * Tool Search - Cross-namespace search for the `uru__search_tools` meta-tool
+ *
+ * Loads the tool list of every connected namespace (through the registry
+ * cache) and ranks tools with BM25 over their names, descriptions and
+ * parameter names. Query terms that match no indexed term exactly fall back
+ * to prefix and one-edit fuzzy matches at a reduced weight.
+ */
+
+const SEARCH_TOOL_NAME = 'uru__search_tools';
+
+// Field weights: a hit in the tool name counts more than one in the description
+const FIELD_WEIGHTS = {
+    name: 3,
+    parameters: 2,
+    description: 1,
+};
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const FUZZY_WEIGHT = 0.5;
+
+const STOP_WORDS = new Set([
+    'a',
+    'an',
+    'and',
+    'by',
+    'for',
+    'from',
+    'in',
+    'of',
+    'on',
+    'or',
+    'the',
+    'to',
+    'with',
+]);
+
+/**
+ * Tool Search - builds a BM25 index over all namespaces and ranks tools
+ */
+class ToolSearch {
+    /**
+     * @param {object} namespaceManager - ToolNamespaceManager instance
+     * @param {object} toolLoader - IntelligentToolLoader instance
+     */
+    constructor(namespaceManager, toolLoader) {
+        this.namespaceManager = namespaceManager;
+        this.toolLoader = toolLoader;
+    }
+
+    /**
+     * Tool definition advertised in tools/list
+     */
+    getToolDefinition() {
+        return {
+            name: SEARCH_TOOL_NAME,
+            description:
+                'Search tools across all connected namespaces by name, description and parameter names. Returns ranked matches with the namespace and connected account of each tool.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    query: {
+                        type: 'string',
+                        description: 'What you want to do, e.g. "send email" or "create invoice"',
+                    },
+                    limit: {
+                        type: 'integer',
+                        description: 'Maximum number of results (default 10, max 50)',
+                        minimum: 1,
+                        maximum: 50,
+                    },
+                    namespace: {
+                        type: 'string',
+                        description: 'Optional namespace to restrict the search to',
+                    },
+                },
+                required: ['query'],
+            },
+            annotations: {
+                title: '🔎 Search Uru Tools',
+                category: 'discovery',
+                priority: 'high',
+                readOnlyHint: true,
+            },
+        };
+    }
+
+    /**
+     * Search tools across namespaces
+     * @param {string} query - Free-text query
+     * @param {object} options
+     * @param {number} options.limit - Maximum number of results
+     * @param {string} options.namespace - Restrict the search to one namespace
+     * @param {string} apiKey - Optional API key to use for this request
+     * @returns {Promise<{results: Array, searchedNamespaces: number, skippedNamespaces: Array}>}
+     */
+    async search(query, options = {}, apiKey = null) {
+        const limit = Math.min(Math.max(Number(options.limit) || 10, 1), 50);
+        const namespaces = (await this.namespaceManager.fetchNamespacesFromProxy(apiKey)).filter(
+            namespace =>
+                namespace &&
+                namespace.name &&
+                (!options.namespace || namespace.name === options.namespace) &&
+                this.toolLoader.isNamespaceAllowed(namespace.name)
+        );
+
+        const skippedNamespaces = [];
+        const loaded = await Promise.all(
+            namespaces.map(async namespace => {
+                try {
+                    const tools = await this.toolLoader.loadNamespace(namespace.name, apiKey);
+                    return {
+                        namespace,
+                        tools: this.toolLoader.filterAllowedTools(namespace.name, tools),
+                    };
+                } catch (error) {
+                    skippedNamespaces.push({ namespace: namespace.name, error: error.message });
+                    return { namespace, tools: [] };
+                }
+            })
+        );
+
+        const documents = [];
+        for (const { namespace, tools } of loaded) {
+            for (const tool of tools) {
+                documents.push(this.buildDocument(namespace, tool));
+            }
+        }
+
+        const results = this.rank(documents, this.tokenize(query))
+            .slice(0, limit)
+            .map(({ document, score, matchedTerms }) => ({
+                namespace: document.namespace.name,
+                tool: document.toolName,
+                description: document.description,
+                score: Math.round(score * 1000) / 1000,
+                matched_terms: matchedTerms,
+                account: {
+                    display_name:
+                        document.namespace.displayName ||
+                        document.namespace.display_name ||
+                        document.namespace.name,
+                    account_label: document.namespace.account_label || null,
+                    connected_account_id: document.namespace.connected_account_id || null,
+                },
+            }));
+
+        return {
+            results,
+            searchedNamespaces: namespaces.length - skippedNamespaces.length,
+            skippedNamespaces,
+        };
+    }
+
+    /**
+     * Index a tool: term frequencies per field
+     */
+    buildDocument(namespace, tool) {
+        const toolName = tool.originalName || tool.name;
+        const parameterNames = Object.keys(tool.inputSchema?.properties || {});
+        const fields = {
+            name: this.tokenize(toolName),
+            parameters: this.tokenize(parameterNames.join(' ')),
+            description: this.tokenize(tool.description || ''),
+        };
+
+        const termFrequencies = new Map();
+        let length = 0;
+        for (const [field, tokens] of Object.entries(fields)) {
+            for (const token of tokens) {
+                termFrequencies.set(
+                    token,
+                    (termFrequencies.get(token) || 0) + FIELD_WEIGHTS[field]
+                );
+                length += FIELD_WEIGHTS[field];
+            }
+        }
+
+        return {
+            namespace,
+            toolName,
+            description: tool.description || '',
+            termFrequencies,
+            length,
+        };
+    }
+
+    /**
+     * Rank documents with BM25; unmatched query terms use fuzzy expansions
+     */
+    rank(documents, queryTerms) {
+        if (documents.length === 0 || queryTerms.length === 0) {
+            return [];
+        }
+
+        const documentFrequency = new Map();
+        let totalLength = 0;
+        for (const document of documents) {
+            totalLength += document.length;
+            for (const term of document.termFrequencies.keys()) {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            }
+        }
+        const averageLength = totalLength / documents.length || 1;
+
+        // Each query term expands to itself, or to fuzzy matches at reduced weight
+        const expansions = queryTerms.map(term =>
+            documentFrequency.has(term)
+                ? [{ term, weight: 1 }]
+                : this.fuzzyMatches(term, documentFrequency.keys()).map(match => ({
+                      term: match,
+                      weight: FUZZY_WEIGHT,
+                  }))
+        );
+
+        const scored = [];
+        for (const document of documents) {
+            let score = 0;
+            const matchedTerms = [];
+            for (const candidates of expansions) {
+                for (const { term, weight } of candidates) {
+                    const frequency = document.termFrequencies.get(term);
+                    if (!frequency) {
+                        continue;
+                    }
+                    const df = documentFrequency.get(term);
+                    const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+                    const norm =
+                        frequency +
+                        BM25_K1 * (1 - BM25_B + (BM25_B * document.length) / averageLength);
+                    score += weight * idf * ((frequency * (BM25_K1 + 1)) / norm);
+                    matchedTerms.push(term);
+                }
+            }
+            if (score > 0) {
+                scored.push({ document, score, matchedTerms: [...new Set(matchedTerms)] });
+            }
+        }
+
+        return scored.sort(
+            (a, b) => b.score - a.score || a.document.toolName.localeCompare(b.document.toolName)
+        );
+    }
+
+    /**
+     * Indexed terms sharing a prefix with, or one edit away from, a query term
+     */
+    fuzzyMatches(term, vocabulary) {
+        const matches = [];
+        for (const candidate of vocabulary) {
+            if (term.length >= 3 && (candidate.startsWith(term) || term.startsWith(candidate))) {
+                if (Math.min(term.length, candidate.length) >= 3) {
+                    matches.push(candidate);
+                }
+                continue;
+            }
+            if (term.length >= 4 && this.isWithinOneEdit(term, candidate)) {
+                matches.push(candidate);
+            }
+        }
+        return matches;
+    }
+
+    isWithinOneEdit(a, b) {
+        if (Math.abs(a.length - b.length) > 1) {
+            return false;
+        }
+
+        let i = 0;
+        let j = 0;
+        let edits = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                i++;
+                j++;
+                continue;
+            }
+            if (++edits > 1) {
+                return false;
+            }
+            if (a.length > b.length) {
+                i++;
+            } else if (a.length < b.length) {
+                j++;
+            } else {
+                i++;
+                j++;
+            }
+        }
+        return edits + (a.length - i) + (b.length - j) <= 1;
+    }
+
+    /**
+     * Split text into lowercase terms; snake_case and camelCase are split too
+     */
+    tokenize(text) {
+        return String(text || '')
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+            .map(token => this.stem(token));
+    }
+
+    /**
+     * Minimal plural stemming so "emails" matches "email"
+     */
+    stem(token) {
+        if (token.length > 4 && token.endsWith('ies')) {
+            return `${token.slice(0, -3)}y`;
+        }
+        if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) {
+            return token.slice(0, -1);
+        }
+        return token;
+    }
+}
+
+module.exports = { ToolSearch, SEARCH_TOOL_NAME };
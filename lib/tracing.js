@@ -0,0 +1,385 @@
+/**
+ * Tracing - OpenTelemetry spans for MCP requests and proxy calls
+ *
+ * Every MCP request runs in a server span, and proxy calls made while
+ * handling it (`fetchNamespacesFromProxy`, `fetchToolsForApp`,
+ * `executeToolOnProxy`) open client spans beneath it. The active span travels
+ * with the async call chain, and proxy requests carry it as a W3C
+ * `traceparent` header so the backend can join the trace. A request that
+ * arrives with a `traceparent` (in `params._meta` or as an HTTP header)
+ * continues the caller's trace.
+ *
+ * Finished spans go to one exporter:
+ * - `otlp`: batched OTLP/HTTP JSON, POSTed to `{endpoint}/v1/traces`
+ * - `file`: one JSON line per span
+ * - `console`: one text line per span on stderr
+ * - `none` (default): tracing is off and no headers are added
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const TRACE_EXPORTERS = ['none', 'console', 'file', 'otlp'];
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const SPAN_KINDS = { internal: 1, server: 2, client: 3 };
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+const SCOPE_NAME = 'uru-mcp';
+
+/**
+ * One timed operation; ended exactly once
+ */
+class Span {
+    constructor(tracer, name, { kind = 'internal', parent = null, attributes = {} } = {}) {
+        this.tracer = tracer;
+        this.name = name;
+        this.kind = SPAN_KINDS[kind] ? kind : 'internal';
+        this.traceId = parent?.traceId || randomHex(16);
+        this.spanId = randomHex(8);
+        this.parentSpanId = parent?.spanId || null;
+        this.attributes = {};
+        this.status = { code: 'unset', message: null };
+        this.startTime = nowMs();
+        this.endTime = null;
+        this.setAttributes(attributes);
+    }
+
+    /**
+     * Null and undefined values are skipped
+     */
+    setAttribute(key, value) {
+        if (value !== undefined && value !== null) {
+            this.attributes[key] = value;
+        }
+        return this;
+    }
+
+    setAttributes(attributes = {}) {
+        for (const [key, value] of Object.entries(attributes)) {
+            this.setAttribute(key, value);
+        }
+        return this;
+    }
+
+    setStatus(code, message = null) {
+        this.status = { code, message };
+        return this;
+    }
+
+    recordError(error) {
+        this.setAttribute('error.type', error?.code || error?.name || 'Error');
+        return this.setStatus('error', error?.message || String(error));
+    }
+
+    /**
+     * W3C trace context header value for requests made within this span
+     */
+    traceparent() {
+        return `00-${this.traceId}-${this.spanId}-01`;
+    }
+
+    end() {
+        if (this.endTime !== null) {
+            return;
+        }
+        this.endTime = nowMs();
+        this.tracer.export(this);
+    }
+
+    durationMs() {
+        return (this.endTime ?? nowMs()) - this.startTime;
+    }
+
+    toJSON() {
+        return {
+            traceId: this.traceId,
+            spanId: this.spanId,
+            parentSpanId: this.parentSpanId,
+            name: this.name,
+            kind: this.kind,
+            startTime: new Date(this.startTime).toISOString(),
+            durationMs: Math.round(this.durationMs() * 1000) / 1000,
+            attributes: this.attributes,
+            status: this.status,
+        };
+    }
+}
+
+/**
+ * Tracer - creates spans and keeps the active one per async call chain
+ */
+class Tracer {
+    /**
+     * @param {object} config
+     * @param {string} config.exporter - none, console, file or otlp
+     * @param {string} config.file - JSONL file for the file exporter
+     * @param {string} config.endpoint - OTLP/HTTP collector URL
+     * @param {string} config.serviceName - service.name resource attribute
+     */
+    constructor(config = {}) {
+        this.exporter = createSpanExporter(config);
+        this.enabled = this.exporter !== null;
+        this.storage = new AsyncLocalStorage();
+    }
+
+    /**
+     * Parent context from a traceparent header value, or null if invalid
+     */
+    static parseTraceparent(value) {
+        const match =
+            typeof value === 'string' ? value.trim().toLowerCase().match(TRACEPARENT) : null;
+        if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+            return null;
+        }
+        return { traceId: match[2], spanId: match[3] };
+    }
+
+    activeSpan() {
+        return this.storage.getStore() || null;
+    }
+
+    /**
+     * Run fn(span) with a new span active, ending it when fn settles. The
+     * span's parent is the active span, or options.parent (a traceparent
+     * string) for a span that starts a request. A thrown error, or a tool
+     * result with isError, marks the span as failed.
+     * @param {string} name
+     * @param {object} options - { kind: internal|server|client, parent, attributes }
+     * @param {(span: Span|null) => any} fn
+     */
+    async startActiveSpan(name, options, fn) {
+        if (!this.enabled) {
+            return fn(null);
+        }
+
+        const parent = this.activeSpan() || Tracer.parseTraceparent(options?.parent);
+        const span = new Span(this, name, { ...options, parent });
+        return this.storage.run(span, async () => {
+            try {
+                const result = await fn(span);
+                if (result?.isError && span.status.code === 'unset') {
+                    span.setStatus('error', 'Tool result has isError set');
+                }
+                return result;
+            } catch (error) {
+                span.recordError(error);
+                throw error;
+            } finally {
+                span.end();
+            }
+        });
+    }
+
+    /**
+     * Trace context headers for an outgoing request ({} when nothing is active)
+     */
+    headers() {
+        const span = this.activeSpan();
+        return span ? { traceparent: span.traceparent() } : {};
+    }
+
+    export(span) {
+        try {
+            this.exporter?.export(span);
+        } catch (error) {
+            // Tracing must never break a request
+        }
+    }
+
+    /**
+     * Send spans still buffered by the exporter
+     */
+    async shutdown() {
+        await this.exporter?.shutdown();
+    }
+}
+
+/**
+ * Exporter for config.exporter; null when tracing is off
+ */
+function createSpanExporter(config = {}) {
+    const type = config.exporter || 'none';
+    if (!TRACE_EXPORTERS.includes(type)) {
+        throw new Error(`Trace exporter must be one of ${TRACE_EXPORTERS.join(', ')}`);
+    }
+    switch (type) {
+        case 'console':
+            return new ConsoleSpanExporter(config);
+        case 'file':
+            return new FileSpanExporter(config);
+        case 'otlp':
+            return new OtlpHttpSpanExporter(config);
+        default:
+            return null;
+    }
+}
+
+/**
+ * One line per span on stderr (stdout carries JSON-RPC)
+ */
+class ConsoleSpanExporter {
+    constructor(config = {}) {
+        this.stream = config.stream || process.stderr;
+    }
+
+    export(span) {
+        const parent = span.parentSpanId ? ` parent=${span.parentSpanId}` : '';
+        const status = span.status.code === 'error' ? ` ERROR: ${span.status.message}` : '';
+        this.stream.write(
+            `[trace] ${span.name} (${span.kind}) ${span.durationMs().toFixed(1)}ms ` +
+                `trace=${span.traceId} span=${span.spanId}${parent} ` +
+                `${JSON.stringify(span.attributes)}${status}\n`
+        );
+    }
+
+    async shutdown() {}
+}
+
+/**
+ * One JSON line per span, for local testing
+ */
+class FileSpanExporter {
+    constructor(config = {}) {
+        this.file = config.file || path.join(os.homedir(), '.uru-mcp', 'traces.jsonl');
+        this.logger = config.log || null;
+        this.ready = false;
+    }
+
+    export(span) {
+        try {
+            if (!this.ready) {
+                fs.mkdirSync(path.dirname(this.file), { recursive: true });
+                this.ready = true;
+            }
+            fs.appendFileSync(this.file, `${JSON.stringify(span)}\n`);
+        } catch (error) {
+            this.logger?.(`❌ Failed to write span to ${this.file}: ${error.message}`, 'error');
+        }
+    }
+
+    async shutdown() {}
+}
+
+/**
+ * Batched OTLP/HTTP JSON export to a collector
+ */
+class OtlpHttpSpanExporter {
+    constructor(config = {}) {
+        const endpoint = (config.endpoint || 'http://localhost:4318').replace(/\/+$/, '');
+        this.url = endpoint.endsWith('/v1/traces') ? endpoint : `${endpoint}/v1/traces`;
+        this.serviceName = config.serviceName || 'uru-mcp';
+        this.headers = config.headers || {};
+        this.maxBatchSize = config.maxBatchSize || 512;
+        this.flushIntervalMs = config.flushIntervalMs || 5000;
+        this.logger = config.log || null;
+        this.buffer = [];
+        this.timer = null;
+        this.sending = Promise.resolve();
+    }
+
+    export(span) {
+        this.buffer.push(span);
+        if (this.buffer.length >= this.maxBatchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushIntervalMs);
+            this.timer.unref?.();
+        }
+    }
+
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.buffer.length === 0) {
+            return this.sending;
+        }
+
+        const spans = this.buffer.splice(0);
+        this.sending = this.sending.then(async () => {
+            try {
+                await axios.post(this.url, this.toRequest(spans), {
+                    timeout: 10000,
+                    headers: { 'Content-Type': 'application/json', ...this.headers },
+                });
+            } catch (error) {
+                this.logger?.(
+                    `⚠️ Failed to export ${spans.length} spans to ${this.url}: ${error.message}`,
+                    'warn'
+                );
+            }
+        });
+        return this.sending;
+    }
+
+    /**
+     * OTLP ExportTraceServiceRequest in its JSON encoding
+     */
+    toRequest(spans) {
+        return {
+            resourceSpans: [
+                {
+                    resource: {
+                        attributes: toOtlpAttributes({ 'service.name': this.serviceName }),
+                    },
+                    scopeSpans: [
+                        {
+                            scope: { name: SCOPE_NAME },
+                            spans: spans.map(span => ({
+                                traceId: span.traceId,
+                                spanId: span.spanId,
+                                parentSpanId: span.parentSpanId || undefined,
+                                name: span.name,
+                                kind: SPAN_KINDS[span.kind],
+                                startTimeUnixNano: toUnixNano(span.startTime),
+                                endTimeUnixNano: toUnixNano(span.endTime),
+                                attributes: toOtlpAttributes(span.attributes),
+                                status: {
+                                    code: STATUS_CODES[span.status.code],
+                                    message: span.status.message || undefined,
+                                },
+                            })),
+                        },
+                    ],
+                },
+            ],
+        };
+    }
+
+    async shutdown() {
+        await this.flush();
+    }
+}
+
+function toOtlpAttributes(attributes) {
+    return Object.entries(attributes).map(([key, value]) => {
+        if (typeof value === 'boolean') {
+            return { key, value: { boolValue: value } };
+        }
+        if (typeof value === 'number') {
+            return Number.isInteger(value)
+                ? { key, value: { intValue: String(value) } }
+                : { key, value: { doubleValue: value } };
+        }
+        return { key, value: { stringValue: String(value) } };
+    });
+}
+
+function toUnixNano(ms) {
+    return (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+}
+
+/**
+ * Wall-clock milliseconds with sub-millisecond precision
+ */
+function nowMs() {
+    return performance.timeOrigin + performance.now();
+}
+
+function randomHex(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+module.exports = { Tracer, Span, TRACE_EXPORTERS };
@@ -2,10 +2,33 @@
 
 const assert = require('assert');
 const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { Readable } = require('stream');
+const axios = require('axios');
+
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { LoggingMessageNotificationSchema } = require('@modelcontextprotocol/sdk/types.js');
+const {
+    StreamableHTTPClientTransport,
+} = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
 
 const ConfigManager = require('./lib/config-manager');
 const UruMCPServer = require('./lib/mcp-server');
+const { RetryPolicy } = require('./lib/retry-policy');
+const { CircuitBreaker } = require('./lib/circuit-breaker');
+const { ProgressReporter } = require('./lib/progress-reporter');
+const { queryJsonPath } = require('./lib/result-store');
+const { LogRedactor } = require('./lib/log-redactor');
+const { Logger } = require('./lib/logger');
+const { AuditLog } = require('./lib/audit-log');
+const { MetricsServer } = require('./lib/metrics');
+const { Tracer } = require('./lib/tracing');
+const { StreamableHttpGateway } = require('./lib/http-transport');
+const { JobTracker } = require('./lib/job-tracker');
+const { fingerprint } = require('./lib/key-fingerprint');
 
 async function main() {
     const configManager = new ConfigManager('/tmp/uru-mcp-test-config.json');
@@ -31,6 +54,7 @@ async function main() {
         cacheTimeout: 30000,
         toolSyncPollMs: 60000,
         enableToolListChanged: true,
+        auditLog: false,
     });
 
     const defaultServer = new UruMCPServer(baseConfig);
@@ -70,6 +94,1437 @@ async function main() {
         )
     );
 
+    defaultServer.namespaceManager.fetchNamespacesFromProxy = async () => [
+        {
+            name: 'gmail_work',
+            displayName: 'Gmail',
+            account_label: 'Work',
+            connected_account_id: 'ca_123',
+        },
+    ];
+    defaultServer.toolLoader.loadNamespace = async namespace => [
+        {
+            name: `${namespace}__GMAIL_SEND_EMAIL`,
+            originalName: 'GMAIL_SEND_EMAIL',
+            description: 'Send an email',
+            inputSchema: { type: 'object', properties: { to: { type: 'string' } } },
+            annotations: { category: 'communication', priority: 'high' },
+        },
+    ];
+    const resources = await defaultServer.resourceCatalog.listResources();
+    assert.deepStrictEqual(
+        resources.map(resource => resource.uri),
+        ['uru://namespaces/gmail_work']
+    );
+    const namespaceResource = JSON.parse(
+        (await defaultServer.resourceCatalog.readResource('uru://namespaces/gmail_work'))
+            .contents[0].text
+    );
+    assert.strictEqual(namespaceResource.connection.connected_account_id, 'ca_123');
+    assert.strictEqual(namespaceResource.tools[0].name, 'GMAIL_SEND_EMAIL');
+    assert.strictEqual(
+        await defaultServer.resourceCatalog.readResource('uru://namespaces/unknown'),
+        null
+    );
+
+    const promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uru-prompts-'));
+    fs.writeFileSync(
+        path.join(promptsDir, 'weekly_digest.md'),
+        '---\ndescription: Weekly digest\narguments:\n  - name: namespace\n    required: true\n---\nSummarize this week in {{namespace}}.'
+    );
+    defaultServer.promptCatalog.promptsDir = promptsDir;
+    defaultServer.promptCatalog.fetchRemotePrompts = async () => [];
+    const promptNames = (await defaultServer.promptCatalog.listPrompts()).map(
+        prompt => prompt.name
+    );
+    assert.ok(promptNames.includes('triage_inbox'));
+    assert.ok(promptNames.includes('weekly_digest'));
+    const digest = await defaultServer.promptCatalog.getPrompt('weekly_digest', {
+        namespace: 'gmail_work',
+    });
+    assert.strictEqual(digest.messages[0].content.text, 'Summarize this week in gmail_work.');
+    await assert.rejects(
+        defaultServer.promptCatalog.getPrompt('triage_inbox', {}),
+        error => error.code === -32602
+    );
+    const namespaceCompletion = await defaultServer.promptCatalog.completePromptArgument(
+        'triage_inbox',
+        'namespace',
+        'gm'
+    );
+    assert.deepStrictEqual(namespaceCompletion.values, ['gmail_work']);
+    fs.rmSync(promptsDir, { recursive: true, force: true });
+    // Proxy prompts are cached per API key
+    delete defaultServer.promptCatalog.fetchRemotePrompts;
+    defaultServer.promptCatalog.promptsDir = null;
+    const promptAxiosGet = axios.get;
+    const promptFetches = [];
+    axios.get = async (url, options) => {
+        const key = options.headers.Authorization.replace('Bearer ', '');
+        promptFetches.push(key);
+        return { data: { prompts: [{ name: `${key}_prompt`, template: 'Hi' }] } };
+    };
+    const promptsFor = async apiKey =>
+        (await defaultServer.promptCatalog.listPrompts(apiKey))
+            .map(prompt => prompt.name)
+            .filter(name => name.endsWith('_prompt'));
+    assert.deepStrictEqual(await promptsFor('tenant_a'), ['tenant_a_prompt']);
+    assert.deepStrictEqual(await promptsFor('tenant_b'), ['tenant_b_prompt']);
+    assert.deepStrictEqual(await promptsFor('tenant_a'), ['tenant_a_prompt']);
+    assert.deepStrictEqual(await promptsFor(null), ['uru_test_token_prompt']);
+    assert.deepStrictEqual(promptFetches, ['tenant_a', 'tenant_b', 'uru_test_token']);
+    axios.get = promptAxiosGet;
+
+    defaultServer.toolRegistry.registerNamespaceTools('gmail_work', [
+        {
+            name: 'GMAIL_SEND_EMAIL',
+            description: 'Send an email',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    to: { type: 'string', format: 'email' },
+                    priority: { type: 'string', enum: ['low', 'high'] },
+                    body: { type: 'string' },
+                },
+                required: ['to', 'body'],
+            },
+        },
+    ]);
+    let proxyCalls = 0;
+    const originalExecuteToolOnProxy = defaultServer.executeToolOnProxy;
+    defaultServer.executeToolOnProxy = async () => {
+        proxyCalls += 1;
+        return { content: [{ type: 'text', text: 'sent' }] };
+    };
+    const invalidCall = await defaultServer.handleNamespaceExecuteTool(
+        'gmail_work__execute_tool',
+        {
+            tool_name: 'GMAIL_SEND_EMAIL',
+            parameters: { to: 'not-an-email', priority: 'urgent' },
+        }
+    );
+    assert.strictEqual(invalidCall.isError, true);
+    assert.strictEqual(proxyCalls, 0);
+    for (const fragment of ['`to` must be a valid email', '`priority` must be one of', '`body` is required']) {
+        assert.ok(invalidCall.content[0].text.includes(fragment), fragment);
+    }
+    assert.ok(invalidCall.content[0].text.includes('"to": "user@example.com"'));
+    const validCall = await defaultServer.handleNamespaceExecuteTool(
+        'gmail_work__execute_tool',
+        {
+            tool_name: 'GMAIL_SEND_EMAIL',
+            parameters: { to: 'a@b.co', body: 'Hi' },
+        }
+    );
+    assert.strictEqual(validCall.content[0].text, 'sent');
+    assert.strictEqual(proxyCalls, 1);
+    defaultServer.executeToolOnProxy = originalExecuteToolOnProxy;
+    defaultServer.toolRegistry.clearCaches();
+
+    const retryPolicy = new RetryPolicy({ retries: 2, baseDelayMs: 1, deadlineMs: 5000 });
+    let getAttempts = 0;
+    const retriedValue = await retryPolicy.execute(async () => {
+        getAttempts += 1;
+        if (getAttempts === 1) {
+            throw Object.assign(new Error('busy'), {
+                response: { status: 429, headers: { 'retry-after': '0' } },
+            });
+        }
+        if (getAttempts === 2) {
+            throw Object.assign(new Error('reset'), { code: 'ECONNRESET' });
+        }
+        return 'ok';
+    });
+    assert.strictEqual(retriedValue, 'ok');
+    assert.strictEqual(getAttempts, 3);
+    assert.deepStrictEqual(retryPolicy.getStats().retriesByReason, {
+        'HTTP 429': 1,
+        ECONNRESET: 1,
+    });
+    let executeAttempts = 0;
+    await assert.rejects(
+        retryPolicy.execute(
+            async () => {
+                executeAttempts += 1;
+                throw Object.assign(new Error('unavailable'), {
+                    response: { status: 503, headers: {} },
+                });
+            },
+            { idempotent: false }
+        )
+    );
+    assert.strictEqual(executeAttempts, 1);
+    assert.strictEqual(
+        new RetryPolicy({ deadlineMs: 1000 }).getDelayMs(
+            { response: { status: 503, headers: { 'retry-after': '2' } } },
+            0
+        ),
+        2000
+    );
+
+    let probeHealthy = false;
+    const breaker = new CircuitBreaker({
+        failureThreshold: 2,
+        resetTimeoutMs: 1000,
+        probe: async () => {
+            if (!probeHealthy) {
+                throw new Error('still down');
+            }
+        },
+    });
+    const refused = () =>
+        Promise.reject(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }));
+    await assert.rejects(breaker.execute(refused), /refused/);
+    await assert.rejects(breaker.execute(refused), /refused/);
+    let reachedProxy = false;
+    await assert.rejects(
+        breaker.execute(async () => {
+            reachedProxy = true;
+        }),
+        error => error.circuitOpen === true && error.code === -32003
+    );
+    assert.strictEqual(reachedProxy, false);
+    breaker.openedAt -= 1000;
+    probeHealthy = true;
+    assert.strictEqual(await breaker.execute(async () => 'recovered'), 'recovered');
+    assert.strictEqual(breaker.getStats().state, 'closed');
+    // One tool's upstream failing (5xx with a tool error envelope) keeps the circuit closed
+    const toolFailure = () =>
+        Promise.reject(
+            Object.assign(new Error('upstream failed'), {
+                response: { status: 502, data: { successful: false, error: 'Gmail is down' } },
+            })
+        );
+    for (let attempt = 0; attempt < 3; attempt++) {
+        await assert.rejects(breaker.execute(toolFailure), /upstream failed/);
+    }
+    assert.strictEqual(breaker.getStats().state, 'closed');
+    const gatewayFailure = () =>
+        Promise.reject(
+            Object.assign(new Error('bad gateway'), { response: { status: 502, data: '' } })
+        );
+    await assert.rejects(breaker.execute(gatewayFailure), /bad gateway/);
+    await assert.rejects(breaker.execute(gatewayFailure), /bad gateway/);
+    assert.strictEqual(breaker.getStats().state, 'open');
+    breaker.openedAt -= 1000;
+    assert.strictEqual(await breaker.execute(async () => 'recovered'), 'recovered');
+
+    const degradedLoader = defaultServer.toolLoader;
+    const originalFetchNamespaces = defaultServer.namespaceManager.fetchNamespacesFromProxy;
+    defaultServer.namespaceManager.storeNamespaces([
+        { name: 'gmail_work', displayName: 'Gmail', account_label: 'Work' },
+    ]);
+    defaultServer.namespaceManager.fetchNamespacesFromProxy = async () => {
+        throw defaultServer.circuitBreaker.createOpenError('GET /namespaces', 5000);
+    };
+    const degradedTools = await degradedLoader.getDiscoveryTools();
+    assert.deepStrictEqual(
+        degradedTools.map(tool => tool.name),
+        ['gmail_work__list_tools', 'gmail_work__execute_tool', 'gmail_work__execute_batch']
+    );
+    defaultServer.namespaceManager.fetchNamespacesFromProxy = originalFetchNamespaces;
+
+    const catalogDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uru-catalog-'));
+    const catalogConfig = {
+        ...baseConfig,
+        token: 'uru_catalog_token',
+        cacheDir: catalogDir,
+    };
+    const warmServer = new UruMCPServer(catalogConfig);
+    warmServer.catalogCache.recordNamespaces('uru_catalog_token', [
+        { name: 'notion', displayName: 'Notion', connected_account_id: 'ca_1' },
+    ]);
+    warmServer.catalogCache.recordTools('uru_catalog_token', 'notion', [
+        { name: 'search', description: 'Search pages', inputSchema: { type: 'object' } },
+    ]);
+    warmServer.catalogCache.setToolsVersion(7);
+    await warmServer.catalogCache.flush();
+    const [catalogFile] = fs.readdirSync(catalogDir);
+    assert.ok(!fs.readFileSync(path.join(catalogDir, catalogFile), 'utf8').includes('uru_catalog_token'));
+
+    const coldServer = new UruMCPServer(catalogConfig);
+    coldServer.namespaceManager.proxyGet = async () => {
+        throw new Error('proxy should not be contacted');
+    };
+    const restored = await coldServer.restoreCatalogSnapshot();
+    assert.strictEqual(restored.toolsVersion, 7);
+    assert.strictEqual(coldServer._lastToolsVersion, 7);
+    assert.deepStrictEqual(
+        (await coldServer.toolLoader.getDiscoveryTools()).map(tool => tool.name),
+        ['notion__list_tools', 'notion__execute_tool', 'notion__execute_batch']
+    );
+    assert.strictEqual(coldServer.toolRegistry.getNamespaceTools('notion').length, 1);
+    assert.strictEqual(
+        await new UruMCPServer({ ...catalogConfig, token: 'uru_other_token' }).restoreCatalogSnapshot(),
+        null
+    );
+    const offlineServer = new UruMCPServer({
+        ...catalogConfig,
+        offline: true,
+        queueOfflineWrites: true,
+    });
+    offlineServer.namespaceManager.proxyGet = coldServer.namespaceManager.proxyGet;
+    await offlineServer.restoreCatalogSnapshot();
+    assert.strictEqual(offlineServer.offlineMode.getReason(), 'forced');
+    const offlineListing = await offlineServer.handleNamespaceDiscovery('notion__list_tools', {});
+    assert.ok(offlineListing.content[0].text.includes('**search**'));
+    offlineServer.executeToolOnProxy = async () => ({
+        content: [{ type: 'text', text: 'read ok' }],
+    });
+    const offlineRead = await offlineServer.handleNamespaceExecuteTool('notion__execute_tool', {
+        tool_name: 'search',
+    });
+    assert.strictEqual(offlineRead.content[0].text, 'read ok');
+    const offlineQueued = await offlineServer.handleNamespaceExecuteTool('notion__execute_tool', {
+        tool_name: 'create_page',
+        parameters: { title: 'Plan' },
+    });
+    assert.match(offlineQueued.content[0].text, /queued/);
+    const replayedWrites = [];
+    const replayResult = await offlineServer.offlineMode.replay(async entry => {
+        replayedWrites.push([entry.toolName, entry.parameters.title]);
+    }, 'uru_catalog_token');
+    assert.deepStrictEqual(replayedWrites, [['create_page', 'Plan']]);
+    assert.strictEqual(replayResult.remaining, 0);
+    // A transient proxy error keeps later writes queued; done writes leave the journal at once
+    for (const title of ['One', 'Two', 'Three']) {
+        await offlineServer.handleNamespaceExecuteTool('notion__execute_tool', {
+            tool_name: 'create_page',
+            parameters: { title },
+        });
+    }
+    const journalTitles = async () =>
+        (await offlineServer.offlineMode.readJournal()).map(entry => entry.parameters.title);
+    const transientResult = await offlineServer.offlineMode.replay(async entry => {
+        if (entry.parameters.title === 'Two') {
+            throw Object.assign(new Error('Server error executing tool'), { status: 503 });
+        }
+    }, 'uru_catalog_token');
+    assert.deepStrictEqual(transientResult, { replayed: 1, failed: [], remaining: 2 });
+    assert.deepStrictEqual(await journalTitles(), ['Two', 'Three']);
+    assert.strictEqual(
+        offlineServer.offlineMode.isTransientError({ code: -32000, data: { status: 429 } }),
+        true
+    );
+    assert.strictEqual(
+        offlineServer.offlineMode.isTransientError({ code: -32600, data: { status: 400 } }),
+        false
+    );
+    const journalDuringReplay = [];
+    await offlineServer.offlineMode.replay(async () => {
+        journalDuringReplay.push(await journalTitles());
+    }, 'uru_catalog_token');
+    assert.deepStrictEqual(journalDuringReplay, [['Two', 'Three'], ['Three']]);
+    assert.deepStrictEqual(await journalTitles(), []);
+    offlineServer.offlineMode.queueWrites = false;
+    const offlineRefused = await offlineServer.handleNamespaceExecuteTool('notion__execute_tool', {
+        tool_name: 'create_page',
+    });
+    assert.strictEqual(offlineRefused.isError, true);
+    assert.match(offlineRefused.content[0].text, /offline_write_refused/);
+    assert.strictEqual(
+        offlineServer.offlineMode.isReadOnlyTool({ name: 'GMAIL_FETCH_EMAILS' }),
+        true
+    );
+    assert.strictEqual(
+        offlineServer.offlineMode.isReadOnlyTool({
+            name: 'fetch_and_archive',
+            annotations: { readOnlyHint: true },
+        }),
+        true
+    );
+    fs.rmSync(catalogDir, { recursive: true, force: true });
+
+    const searchServer = new UruMCPServer({ ...baseConfig, persistCatalog: false });
+    searchServer.namespaceManager.fetchNamespacesFromProxy = async () => [
+        { name: 'gmail_work', displayName: 'Gmail', account_label: 'Work', connected_account_id: 'ca_g' },
+        { name: 'slack', displayName: 'Slack', connected_account_id: 'ca_s' },
+    ];
+    searchServer.namespaceManager.fetchToolsForApp = async appName =>
+        appName === 'gmail_work'
+            ? [
+                  { name: 'GMAIL_SEND_EMAIL', description: 'Send an email message', inputSchema: { type: 'object', properties: { recipient_email: {} } } },
+                  { name: 'GMAIL_FETCH_EMAILS', description: 'Fetch emails from the inbox', inputSchema: { type: 'object' } },
+              ]
+            : [
+                  { name: 'SLACK_SEND_MESSAGE', description: 'Post a message to a channel', inputSchema: { type: 'object', properties: { channel: {} } } },
+              ];
+    const searchListing = await searchServer.toolLoader.getToolsForListing();
+    assert.strictEqual(searchListing.tools[0].name, 'uru__search_tools');
+    const searchResult = await searchServer.toolSearch.search('send emial');
+    assert.strictEqual(searchResult.searchedNamespaces, 2);
+    assert.strictEqual(searchResult.results[0].tool, 'GMAIL_SEND_EMAIL');
+    assert.strictEqual(searchResult.results[0].account.account_label, 'Work');
+    assert.strictEqual(
+        (await searchServer.toolSearch.search('channel', { namespace: 'slack' })).results[0].tool,
+        'SLACK_SEND_MESSAGE'
+    );
+    const searchText = (await searchServer.handleSearchTools({ query: 'inbox' })).content[0].text;
+    assert.ok(searchText.includes('**GMAIL_FETCH_EMAILS** in `gmail_work` - Gmail (Work), account ca_g'));
+
+    const exposureConfig = { ...baseConfig, persistCatalog: false, preloadNamespaces: [] };
+    const stubExposure = server => {
+        server.namespaceManager.fetchNamespacesFromProxy =
+            searchServer.namespaceManager.fetchNamespacesFromProxy;
+        server.namespaceManager.fetchToolsForApp = searchServer.namespaceManager.fetchToolsForApp;
+        return server;
+    };
+    const flatServer = stubExposure(
+        new UruMCPServer({ ...exposureConfig, toolExposure: 'flat', maxToolsPerPage: 2 })
+    );
+    const flatPage = await flatServer.toolLoader.getToolsForListing();
+    assert.strictEqual(flatPage.tools.length, 2);
+    const flatTools = [...flatPage.tools];
+    for (let cursor = flatPage.nextCursor; cursor; ) {
+        const page = await flatServer.toolLoader.getToolsForListing(cursor);
+        flatTools.push(...page.tools);
+        cursor = page.nextCursor;
+    }
+    const flatNames = flatTools.map(tool => tool.name);
+    assert.ok(flatNames.includes('gmail_work__GMAIL_SEND_EMAIL'));
+    assert.ok(!flatNames.some(name => name.endsWith('__list_tools')));
+    assert.deepStrictEqual(
+        flatTools.find(tool => tool.name === 'slack__SLACK_SEND_MESSAGE').inputSchema.properties,
+        { channel: {} }
+    );
+    const flatCalls = [];
+    flatServer.executeToolOnProxy = async (toolName, parameters, appName, apiKey, namespace) => {
+        flatCalls.push([toolName, namespace, parameters.channel]);
+        return { content: [{ type: 'text', text: 'sent' }] };
+    };
+    await flatServer.handleNamespacedToolExecution('slack__SLACK_SEND_MESSAGE', { channel: 'ops' });
+    assert.deepStrictEqual(flatCalls, [['SLACK_SEND_MESSAGE', 'slack', 'ops']]);
+
+    // Listing through the handler must not add api_key to the schemas the validator checks
+    const sessionFlatServer = stubExposure(
+        new UruMCPServer({ ...exposureConfig, token: null, toolExposure: 'flat' })
+    );
+    const sessionFlatCalls = [];
+    sessionFlatServer.executeToolOnProxy = async (toolName, parameters, appName, apiKey) => {
+        sessionFlatCalls.push([toolName, apiKey]);
+        return { content: [{ type: 'text', text: 'sent' }] };
+    };
+    const sessionFlatClient = new Client({ name: 'flat-test', version: '1.0.0' });
+    const [flatClientSide, flatServerSide] = InMemoryTransport.createLinkedPair();
+    const sendWithSessionKey = flatClientSide.send.bind(flatClientSide);
+    flatClientSide.send = (message, options) =>
+        sendWithSessionKey(message, {
+            ...options,
+            authInfo: { token: 'uru_session_key', clientId: 'flat-test', scopes: [] },
+        });
+    await Promise.all([
+        sessionFlatServer.server.connect(flatServerSide),
+        sessionFlatClient.connect(flatClientSide),
+    ]);
+    const listedSlack = (await sessionFlatClient.listTools()).tools.find(
+        tool => tool.name === 'slack__SLACK_SEND_MESSAGE'
+    );
+    assert.ok(listedSlack.inputSchema.required.includes('api_key'));
+    const sessionFlatResult = await sessionFlatClient.callTool({
+        name: 'slack__SLACK_SEND_MESSAGE',
+        arguments: { channel: 'ops' },
+    });
+    assert.ok(!sessionFlatResult.isError, JSON.stringify(sessionFlatResult));
+    assert.deepStrictEqual(sessionFlatCalls, [['SLACK_SEND_MESSAGE', 'uru_session_key']]);
+    await sessionFlatClient.close();
+
+    const hybridServer = stubExposure(
+        new UruMCPServer({ ...exposureConfig, toolExposure: 'hybrid', pinnedNamespaces: ['slack'] })
+    );
+    const hybridNames = (await hybridServer.toolLoader.getToolsForListing()).tools.map(
+        tool => tool.name
+    );
+    assert.ok(hybridNames.includes('slack__SLACK_SEND_MESSAGE'));
+    assert.ok(hybridNames.includes('gmail_work__list_tools'));
+    assert.ok(!hybridNames.includes('slack__list_tools'));
+    assert.throws(
+        () => configManager.validateConfig({ ...baseConfig, toolExposure: 'tree' }),
+        /Tool exposure/
+    );
+
+    const policyFile = path.join(os.tmpdir(), `uru-policy-${process.pid}.yaml`);
+    fs.writeFileSync(
+        policyFile,
+        [
+            'deny:',
+            '  - namespace: slack',
+            '  - tool: "*_SEND_*"',
+            '    reason: Sending is blocked',
+        ].join('\n')
+    );
+    const policyServer = stubExposure(
+        new UruMCPServer({ ...exposureConfig, policyFile })
+    );
+    fs.unlinkSync(policyFile);
+    const policyTools = (await policyServer.toolLoader.getDiscoveryTools()).map(tool => tool.name);
+    assert.deepStrictEqual(policyTools, [
+        'gmail_work__list_tools',
+        'gmail_work__execute_tool',
+        'gmail_work__execute_batch',
+    ]);
+    const policyListing = (
+        await policyServer.handleNamespaceDiscovery('gmail_work__list_tools', {})
+    ).content[0].text;
+    assert.ok(policyListing.includes('GMAIL_FETCH_EMAILS'));
+    assert.ok(!policyListing.includes('GMAIL_SEND_EMAIL'));
+    policyServer.executeToolOnProxy = async () => {
+        throw new Error('blocked tools must not reach the proxy');
+    };
+    const policyDenied = await policyServer.handleNamespaceExecuteTool('gmail_work__execute_tool', {
+        tool_name: 'GMAIL_SEND_EMAIL',
+    });
+    assert.strictEqual(policyDenied.isError, true);
+    assert.match(policyDenied.content[0].text, /Code: policy_denied/);
+    assert.match(policyDenied.content[0].text, /Reason: Sending is blocked/);
+    assert.match(
+        (await policyServer.handleNamespaceDiscovery('slack__list_tools', {})).content[0].text,
+        /Namespace 'slack' is blocked by policy/
+    );
+    assert.strictEqual(
+        (await policyServer.toolSearch.search('send')).results.length,
+        0
+    );
+
+    const confirmServer = stubExposure(
+        new UruMCPServer({ ...exposureConfig, confirmTools: ['*_SEND_*'] })
+    );
+    const confirmCalls = [];
+    confirmServer.executeToolOnProxy = async (toolName, parameters) => {
+        confirmCalls.push(parameters.channel);
+        return { content: [{ type: 'text', text: 'sent' }] };
+    };
+    const confirmArgs = { tool_name: 'SLACK_SEND_MESSAGE', parameters: { channel: 'ops' } };
+    const confirmPending = await confirmServer.handleNamespaceExecuteTool(
+        'slack__execute_tool',
+        confirmArgs
+    );
+    const confirmToken = confirmPending.content[0].text.match(/confirm_[0-9a-f]{24}/)[0];
+    assert.match(confirmPending.content[0].text, /Confirmation required.*NOT run/);
+    assert.deepStrictEqual(confirmCalls, []);
+    const confirmMismatch = await confirmServer.handleNamespaceExecuteTool('slack__execute_tool', {
+        ...confirmArgs,
+        parameters: { channel: 'general' },
+        confirm_token: confirmToken,
+    });
+    assert.match(confirmMismatch.content[0].text, /Code: confirmation_invalid/);
+    await confirmServer.handleNamespaceExecuteTool('slack__execute_tool', {
+        ...confirmArgs,
+        confirm_token: confirmToken,
+    });
+    assert.deepStrictEqual(confirmCalls, ['ops']);
+    assert.ok(
+        !confirmServer.confirmationGate.consumeToken(
+            confirmToken,
+            'slack',
+            'SLACK_SEND_MESSAGE',
+            { channel: 'ops' },
+            'uru_test_token'
+        )
+    );
+    const otherKeyToken = (
+        await confirmServer.handleNamespaceExecuteTool('slack__execute_tool', confirmArgs)
+    ).content[0].text.match(/confirm_[0-9a-f]{24}/)[0];
+    const otherKeyResult = await confirmServer.handleNamespaceExecuteTool(
+        'slack__execute_tool',
+        { ...confirmArgs, confirm_token: otherKeyToken },
+        'uru_other_key'
+    );
+    assert.match(otherKeyResult.content[0].text, /Code: confirmation_invalid/);
+    assert.deepStrictEqual(confirmCalls, ['ops']);
+    const flatPending = await confirmServer.handleNamespacedToolExecution(
+        'slack__SLACK_SEND_MESSAGE',
+        { channel: 'ops' }
+    );
+    assert.ok(flatPending.content[0].text.includes('call `slack__SLACK_SEND_MESSAGE` again'));
+    assert.ok(!flatPending.content[0].text.includes('slack__execute_tool'));
+    const elicitations = [];
+    const elicitingServer = answer => ({
+        getClientCapabilities: () => ({ elicitation: {} }),
+        elicitInput: async request => {
+            elicitations.push(request.message);
+            return answer;
+        },
+    });
+    const confirmDeclined = await confirmServer.handleNamespaceExecuteTool(
+        'slack__execute_tool',
+        confirmArgs,
+        null,
+        { server: elicitingServer({ action: 'decline' }) }
+    );
+    assert.match(confirmDeclined.content[0].text, /Code: confirmation_declined/);
+    await confirmServer.handleNamespaceExecuteTool('slack__execute_tool', confirmArgs, null, {
+        server: elicitingServer({ action: 'accept', content: { confirm: true } }),
+    });
+    assert.deepStrictEqual(confirmCalls, ['ops', 'ops']);
+    assert.ok(elicitations[0].includes('"channel": "ops"'));
+    assert.ok(
+        confirmServer.confirmationGate.requiresConfirmation('gmail_work', 'GMAIL_TRASH', {
+            annotations: { destructiveHint: true },
+        })
+    );
+
+    const structuredServer = new UruMCPServer(exposureConfig);
+    let structuredPayload = { id: 'msg_1', labels: ['INBOX'] };
+    structuredServer.circuitBreaker.execute = async () => ({
+        status: 200,
+        data: { successful: true, data: structuredPayload },
+    });
+    const structured = await structuredServer.executeToolOnProxy('GMAIL_SEND_EMAIL', {}, 'gmail');
+    assert.deepStrictEqual(structured.structuredContent, structuredPayload);
+    assert.deepStrictEqual(JSON.parse(structured.content[0].text), structuredPayload);
+    structuredPayload = [{ id: 'msg_1' }];
+    assert.deepStrictEqual(
+        (await structuredServer.executeToolOnProxy('GMAIL_FETCH_EMAILS', {}, 'gmail'))
+            .structuredContent,
+        { result: structuredPayload }
+    );
+    structuredPayload = 'plain text';
+    assert.strictEqual(
+        (await structuredServer.executeToolOnProxy('GMAIL_FETCH_EMAILS', {}, 'gmail'))
+            .structuredContent,
+        undefined
+    );
+    const pngBase64 = Buffer.from('fake png bytes').toString('base64');
+    structuredPayload = {
+        chart: `data:image/png;base64,${pngBase64}`,
+        attachments: [
+            { filename: 'report.pdf', mimetype: 'application/pdf', data: pngBase64 },
+            {
+                name: 'big.zip',
+                mime_type: 'application/zip',
+                s3url: 'https://files.example.com/big.zip',
+                size: 5000000,
+            },
+        ],
+    };
+    const fileResult = await structuredServer.executeToolOnProxy('DRIVE_EXPORT', {}, 'drive');
+    assert.deepStrictEqual(
+        fileResult.content.map(item => item.type),
+        ['text', 'image', 'resource', 'resource_link']
+    );
+    assert.strictEqual(fileResult.content[1].data, pngBase64);
+    assert.ok(!fileResult.content[0].text.includes(pngBase64));
+    assert.strictEqual(fileResult.structuredContent.attachments[0].name, 'report.pdf');
+    const fileLink = fileResult.content[3];
+    assert.strictEqual(fileLink.size, 5000000);
+    structuredServer.fetchResultFile = async (url, apiKey) => ({
+        data: Buffer.from(`downloaded ${url} as ${apiKey}`),
+    });
+    const fileRead = await structuredServer.resultFiles.read(fileLink.uri, 'uru_test_token');
+    assert.strictEqual(
+        Buffer.from(fileRead.contents[0].blob, 'base64').toString(),
+        'downloaded https://files.example.com/big.zip as uru_test_token'
+    );
+    assert.strictEqual(await structuredServer.resultFiles.read('uru://files/missing'), null);
+    // Another tenant's session cannot read the file with the stored key
+    const fileClient = new Client({ name: 'file-test', version: '1.0.0' });
+    const [fileClientSide, fileServerSide] = InMemoryTransport.createLinkedPair();
+    const sendAsOtherTenant = fileClientSide.send.bind(fileClientSide);
+    fileClientSide.send = (message, options) =>
+        sendAsOtherTenant(message, {
+            ...options,
+            authInfo: { token: 'other_tenant_key', clientId: 'file-test', scopes: [] },
+        });
+    await Promise.all([
+        structuredServer.server.connect(fileServerSide),
+        fileClient.connect(fileClientSide),
+    ]);
+    await assert.rejects(fileClient.readResource({ uri: fileLink.uri }), /Resource not found/);
+    await fileClient.close();
+    const outputSchema = { type: 'object', properties: { id: { type: 'string' } } };
+    structuredServer.namespaceManager.proxyGet = async () => ({
+        data: {
+            tools: [
+                { name: 'GMAIL_SEND_EMAIL', output_schema: outputSchema },
+                { name: 'GMAIL_FETCH_EMAILS', outputSchema: { type: 'array' } },
+            ],
+        },
+    });
+    const schemaTools = await structuredServer.namespaceManager.fetchToolsForApp('gmail');
+    assert.deepStrictEqual(schemaTools[0].outputSchema, outputSchema);
+    assert.strictEqual(schemaTools[1].outputSchema, undefined);
+    assert.deepStrictEqual(
+        structuredServer.toolLoader.toListedTool(
+            structuredServer.namespaceManager.namespaceTools('gmail', schemaTools)[0]
+        ).outputSchema,
+        outputSchema
+    );
+
+    const progressServer = stubExposure(
+        new UruMCPServer({ ...exposureConfig, progressIntervalMs: 10 })
+    );
+    const progressNotes = [];
+    const progressExtra = {
+        _meta: { progressToken: 'tok' },
+        sendNotification: async notification => progressNotes.push(notification.params),
+    };
+    const originalAxiosPost = axios.post;
+    axios.post = async (url, body, requestConfig) => {
+        assert.strictEqual(requestConfig.responseType, 'stream');
+        await new Promise(resolve => setTimeout(resolve, 40));
+        return {
+            status: 200,
+            headers: { 'content-type': 'application/x-ndjson' },
+            data: Readable.from([
+                '{"type":"progress","progress":1,"total":2,"message":"half"}\n{"type":"prog',
+                'ress","progress":2,"total":2}\n{"successful":true,"data":{"ok":true}}\n',
+            ]),
+        };
+    };
+    const progressResult = await progressServer.executeToolOnProxy(
+        'SLOW_EXPORT',
+        {},
+        'drive',
+        null,
+        null,
+        { progress: ProgressReporter.fromRequest(progressExtra) }
+    );
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(progressResult.structuredContent, { ok: true });
+    const heartbeats = progressNotes.filter(note => note.total === undefined);
+    const forwarded = progressNotes.filter(note => note.total !== undefined);
+    assert.ok(heartbeats.length > 0);
+    assert.strictEqual(forwarded.length, 2);
+    assert.strictEqual(forwarded[0].message, 'half');
+    assert.ok(
+        progressNotes.every((note, i) => i === 0 || note.progress > progressNotes[i - 1].progress)
+    );
+
+    axios.post = (url, body, requestConfig) =>
+        new Promise((resolve, reject) => {
+            requestConfig.signal.addEventListener('abort', () =>
+                reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }))
+            );
+        });
+    const abortController = new AbortController();
+    const cancelledCall = progressServer.handleNamespaceExecuteTool(
+        'drive__execute_tool',
+        { tool_name: 'SLOW_EXPORT' },
+        null,
+        { signal: abortController.signal }
+    );
+    setTimeout(() => abortController.abort(), 10);
+    await assert.rejects(cancelledCall, error => error.cancelled === true);
+    assert.deepStrictEqual(progressServer.getExecutionStats(), {
+        calls: 2,
+        failed: 0,
+        cancelled: 1,
+    });
+    assert.strictEqual(progressServer.circuitBreaker.getStats().consecutiveFailures, 0);
+    axios.post = originalAxiosPost;
+
+    const jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uru-jobs-'));
+    const jobConfig = { ...exposureConfig, cacheDir: jobsDir, jobPollIntervalMs: 5 };
+    const originalAxiosGet = axios.get;
+    let jobStates = [];
+    const jobUrls = [];
+    axios.post = async () => ({
+        status: 202,
+        data: { job_id: 'job_1', status_url: '/jobs/job_1' },
+    });
+    axios.get = async url => {
+        jobUrls.push(url);
+        return { status: 200, data: jobStates.shift() };
+    };
+    jobStates = [
+        { status: 'running', progress: 1, total: 3 },
+        { status: 'completed', data: { rows: 3 } },
+    ];
+    const waitedJob = await new UruMCPServer(jobConfig).executeToolOnProxy(
+        'LONG_REPORT',
+        {},
+        'drive'
+    );
+    assert.deepStrictEqual(waitedJob.structuredContent, { rows: 3 });
+    assert.deepStrictEqual(jobUrls, [
+        'https://mcp.uruintelligence.com/jobs/job_1',
+        'https://mcp.uruintelligence.com/jobs/job_1',
+    ]);
+    assert.ok(!fs.existsSync(path.join(jobsDir, 'jobs.json')));
+
+    const handleServer = new UruMCPServer({ ...jobConfig, jobMode: 'handle' });
+    const jobHandle = await handleServer.executeToolOnProxy('LONG_REPORT', {}, 'drive');
+    assert.strictEqual(jobHandle.structuredContent.job_id, 'job_1');
+    assert.match(jobHandle.content[0].text, /uru__job_result/);
+    await handleServer.jobTracker.savePromise;
+    assert.ok(fs.existsSync(path.join(jobsDir, 'jobs.json')));
+    assert.strictEqual(fs.statSync(path.join(jobsDir, 'jobs.json')).mode & 0o777, 0o600);
+
+    // A restarted server still knows the job, but only for the same API key
+    const restartedServer = new UruMCPServer(jobConfig);
+    const otherKeyStatus = await restartedServer.handleJobStatus({ job_id: 'job_1' }, 'uru_other');
+    assert.match(otherKeyStatus.content[0].text, /Code: job_not_found/);
+    jobStates = [{ status: 'processing', progress: 2, total: 3, message: 'rendering' }];
+    const jobStatus = await restartedServer.handleJobStatus({ job_id: 'job_1' });
+    assert.strictEqual(jobStatus.structuredContent.status, 'running');
+    assert.strictEqual(jobStatus.structuredContent.message, 'rendering');
+    jobStates = [{ status: 'done', result: { successful: true, data: 'report ready' } }];
+    const jobResult = await restartedServer.handleJobResult({ job_id: 'job_1' });
+    assert.strictEqual(jobResult.content[0].text, 'report ready');
+    await restartedServer.jobTracker.savePromise;
+    assert.ok(!fs.existsSync(path.join(jobsDir, 'jobs.json')));
+
+    // Jobs not updated for maxAgeMs are dropped when the file is loaded
+    const staleJobsFile = path.join(jobsDir, 'stale', 'jobs.json');
+    fs.mkdirSync(path.dirname(staleJobsFile));
+    const staleUpdatedAt = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(
+        staleJobsFile,
+        JSON.stringify({
+            jobs: [
+                { jobId: 'old', toolName: 'LONG_REPORT', updatedAt: staleUpdatedAt },
+                { jobId: 'new', toolName: 'LONG_REPORT', updatedAt: new Date().toISOString() },
+            ],
+        })
+    );
+    const staleTracker = new JobTracker({ jobsFile: staleJobsFile });
+    await staleTracker.load();
+    assert.deepStrictEqual(Array.from(staleTracker.jobs.keys()), ['new']);
+
+    // The 202 response's result URL is used when the final status names none
+    axios.post = async () => ({
+        status: 202,
+        data: { job_id: 'job_2', result_url: '/jobs/job_2/result' },
+    });
+    jobUrls.length = 0;
+    jobStates = [{ status: 'completed' }, { successful: true, data: { rows: 5 } }];
+    const urlJob = await new UruMCPServer(jobConfig).executeToolOnProxy('LONG_REPORT', {}, 'drive');
+    assert.deepStrictEqual(urlJob.structuredContent, { rows: 5 });
+    assert.deepStrictEqual(jobUrls, [
+        'https://mcp.uruintelligence.com/jobs/job_2',
+        'https://mcp.uruintelligence.com/jobs/job_2/result',
+    ]);
+
+    // A tool with an outputSchema waits for its job even in handle mode
+    const flatJobServer = new UruMCPServer({ ...jobConfig, jobMode: 'handle', toolExposure: 'flat' });
+    flatJobServer.namespaceManager.fetchNamespacesFromProxy = async () => [
+        { name: 'drive', connected_account_id: 'ca_d' },
+    ];
+    flatJobServer.namespaceManager.fetchToolsForApp = async () => [
+        {
+            name: 'LONG_REPORT',
+            inputSchema: { type: 'object', properties: {} },
+            outputSchema: { type: 'object', required: ['rows'] },
+        },
+    ];
+    const jobAudits = [];
+    flatJobServer.auditLog = { record: entry => jobAudits.push(entry) };
+    axios.post = async () => ({ status: 202, data: { job_id: 'job_3' } });
+    jobStates = [{ status: 'running' }, { status: 'completed', data: { rows: 7 } }];
+    const flatJobClient = new Client({ name: 'job-test', version: '1.0.0' });
+    const [jobClientSide, jobServerSide] = InMemoryTransport.createLinkedPair();
+    await Promise.all([
+        flatJobServer.server.connect(jobServerSide),
+        flatJobClient.connect(jobClientSide),
+    ]);
+    await flatJobClient.listTools();
+    const flatJobResult = await flatJobClient.callTool({
+        name: 'drive__LONG_REPORT',
+        arguments: {},
+    });
+    assert.ok(!flatJobResult.isError);
+    assert.deepStrictEqual(flatJobResult.structuredContent, { rows: 7 });
+    assert.deepStrictEqual(
+        jobAudits.map(entry => [entry.jobId, entry.outcome]),
+        [['job_3', 'success']]
+    );
+    await flatJobClient.close();
+    await flatJobServer.jobTracker.savePromise;
+    axios.post = originalAxiosPost;
+    axios.get = originalAxiosGet;
+    fs.rmSync(jobsDir, { recursive: true, force: true });
+
+    const largeServer = new UruMCPServer({ ...exposureConfig, maxResultChars: 2000 });
+    const largePayload = {
+        total: 100,
+        messages: Array.from({ length: 100 }, (_, i) => ({ id: `m${i}`, subject: `Subject ${i}` })),
+    };
+    largeServer.circuitBreaker.execute = async () => ({
+        status: 200,
+        data: { successful: true, data: largePayload },
+    });
+    const largeResult = await largeServer.executeToolOnProxy('GMAIL_LIST', {}, 'gmail');
+    const largeText = largeResult.content[0].text;
+    assert.ok(largeText.length < 3000);
+    assert.match(largeText, /Top-level fields: total \(number\), messages \(array of 100\)/);
+    assert.strictEqual(largeResult.structuredContent, undefined);
+    const resultId = largeText.match(/res_[0-9a-f]{18}/)[0];
+    let readText = '';
+    for (let cursor = largeText.match(/"cursor": "(\d+)"/)[1]; cursor; ) {
+        const chunk = largeServer.handleReadResult({ result_id: resultId, cursor }).content[0].text;
+        readText += chunk.slice(0, chunk.lastIndexOf('\n\n('));
+        cursor = (chunk.match(/"cursor": "(\d+)"/) || [])[1];
+    }
+    const firstChunk = largeText.slice(
+        largeText.indexOf('\n\n') + 2,
+        largeText.lastIndexOf('\n\n(')
+    );
+    assert.deepStrictEqual(JSON.parse(firstChunk + readText), largePayload);
+    assert.match(
+        largeServer.handleReadResult({ result_id: resultId, path: '$.messages[1:3].id' }).content[0]
+            .text,
+        /2 matches[\s\S]*"m1",\s*"m2"/
+    );
+    assert.match(
+        largeServer.handleReadResult({ result_id: resultId, path: 'messages' }).content[0].text,
+        /Code: invalid_path/
+    );
+    assert.match(
+        largeServer.handleReadResult({ result_id: resultId }, 'uru_other').content[0].text,
+        /Code: result_not_found/
+    );
+    assert.deepStrictEqual(queryJsonPath(largePayload, '$..subject').length, 100);
+
+    // A truncated result still carries structuredContent matching the advertised outputSchema
+    const schemaServer = new UruMCPServer({
+        ...exposureConfig,
+        toolExposure: 'flat',
+        maxResultChars: 2000,
+    });
+    schemaServer.namespaceManager.fetchNamespacesFromProxy = async () => [
+        { name: 'gmail', connected_account_id: 'ca_g' },
+    ];
+    schemaServer.namespaceManager.fetchToolsForApp = async () => [
+        {
+            name: 'GMAIL_LIST',
+            inputSchema: { type: 'object', properties: {} },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    total: { type: 'number' },
+                    messages: {
+                        type: 'array',
+                        items: { type: 'object', required: ['id', 'subject'] },
+                    },
+                },
+                required: ['total', 'messages'],
+            },
+        },
+        {
+            name: 'GMAIL_LIST_ALL',
+            inputSchema: { type: 'object', properties: {} },
+            outputSchema: {
+                type: 'object',
+                properties: { messages: { type: 'array', minItems: 100 } },
+                required: ['messages'],
+            },
+        },
+    ];
+    schemaServer.circuitBreaker.execute = largeServer.circuitBreaker.execute;
+    const schemaClient = new Client({ name: 'schema-test', version: '1.0.0' });
+    const [schemaClientSide, schemaServerSide] = InMemoryTransport.createLinkedPair();
+    await Promise.all([
+        schemaServer.server.connect(schemaServerSide),
+        schemaClient.connect(schemaClientSide),
+    ]);
+    await schemaClient.listTools();
+    const schemaResult = await schemaClient.callTool({ name: 'gmail__GMAIL_LIST', arguments: {} });
+    assert.match(schemaResult.content[0].text, /over the 2000 character budget/);
+    assert.strictEqual(schemaResult.structuredContent.total, 100);
+    assert.ok(schemaResult.structuredContent.messages.length < 100);
+    assert.ok(JSON.stringify(schemaResult.structuredContent).length <= 2000);
+    // A preview that cannot match the schema never falls back to the full payload
+    const schemaTextOnly = await schemaClient.callTool({
+        name: 'gmail__GMAIL_LIST_ALL',
+        arguments: {},
+    });
+    assert.strictEqual(schemaTextOnly.isError, true);
+    assert.strictEqual(schemaTextOnly.structuredContent, undefined);
+    assert.match(schemaTextOnly.content[0].text, /uru__read_result/);
+    assert.ok(schemaTextOnly.content[0].text.length < 3000);
+    await schemaClient.close();
+    assert.deepStrictEqual(queryJsonPath(largePayload, "$['messages'][-1].id"), ['m99']);
+
+    const batchServer = stubExposure(new UruMCPServer({ ...exposureConfig, batchConcurrency: 2 }));
+    let batchRunning = 0;
+    let batchPeak = 0;
+    batchServer.executeToolOnProxy = async (toolName, parameters) => {
+        batchRunning += 1;
+        batchPeak = Math.max(batchPeak, batchRunning);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        batchRunning -= 1;
+        if (parameters.id === 'bad') {
+            throw new Error('message not found');
+        }
+        return {
+            content: [{ type: 'text', text: JSON.stringify({ id: parameters.id }) }],
+            structuredContent: { id: parameters.id },
+        };
+    };
+    const batchResult = await batchServer.handleNamespaceExecuteBatch('slack__execute_batch', {
+        calls: ['a', 'bad', 'c', 'd'].map(id => ({
+            tool_name: 'SLACK_FETCH_MESSAGE',
+            parameters: { id },
+        })),
+        concurrency: 10,
+    });
+    assert.strictEqual(batchPeak, 2);
+    assert.ok(!batchResult.isError);
+    assert.strictEqual(batchResult.structuredContent.succeeded, 3);
+    assert.strictEqual(batchResult.structuredContent.failed, 1);
+    assert.deepStrictEqual(
+        batchResult.structuredContent.results.map(entry => entry.ok),
+        [true, false, true, true]
+    );
+    assert.deepStrictEqual(batchResult.structuredContent.results[3].data, { id: 'd' });
+    assert.match(batchResult.structuredContent.results[1].error, /SLACK_FETCH_MESSAGE/);
+    await assert.rejects(
+        batchServer.handleNamespaceExecuteBatch('slack__execute_batch', { calls: [] }),
+        /calls/
+    );
+
+    const pipelinesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uru-pipelines-'));
+    fs.writeFileSync(
+        path.join(pipelinesDir, 'greet.yaml'),
+        [
+            'inputSchema:',
+            '  type: object',
+            '  properties: { name: { type: string } }',
+            '  required: [name]',
+            'steps:',
+            '  - id: find',
+            '    tool: slack__SLACK_FIND_USER',
+            '    parameters: { query: $.input.name }',
+            '  - id: post',
+            '    tool: slack__SLACK_POST',
+            '    parameters:',
+            '      channel: $.steps.find.users[0].id',
+            '      text: "Hi {{ $.input.name }}"',
+            '    rollback:',
+            '      tool: slack__SLACK_DELETE',
+            '      parameters: { ts: $.steps.post.ts }',
+            '  - id: notify',
+            '    tool: slack__SLACK_NOTIFY',
+            '  - id: never',
+            '    tool: slack__SLACK_NEVER',
+        ].join('\n')
+    );
+    const pipelineServer = stubExposure(new UruMCPServer({ ...exposureConfig, pipelinesDir }));
+    fs.rmSync(pipelinesDir, { recursive: true, force: true });
+    const pipelineCalls = [];
+    pipelineServer.executeToolOnProxy = async (toolName, parameters) => {
+        pipelineCalls.push([toolName, parameters]);
+        if (toolName === 'SLACK_NOTIFY') {
+            throw new Error('notify failed');
+        }
+        const outputs = { SLACK_FIND_USER: { users: [{ id: 'U1' }] }, SLACK_POST: { ts: '1700.1' } };
+        return { content: [{ type: 'text', text: JSON.stringify(outputs[toolName] || {}) }] };
+    };
+    const pipelineListed = (await pipelineServer.toolLoader.getToolsForListing()).tools.map(
+        tool => tool.name
+    );
+    assert.ok(pipelineListed.includes('pipeline__greet'));
+    const pipelineInvalid = await pipelineServer.handlePipeline('pipeline__greet', {});
+    assert.strictEqual(pipelineInvalid.isError, true);
+    assert.strictEqual(pipelineCalls.length, 0);
+    const pipelineResult = await pipelineServer.handlePipeline('pipeline__greet', { name: 'Ana' });
+    assert.strictEqual(pipelineResult.isError, true);
+    assert.deepStrictEqual(pipelineCalls, [
+        ['SLACK_FIND_USER', { query: 'Ana' }],
+        ['SLACK_POST', { channel: 'U1', text: 'Hi Ana' }],
+        ['SLACK_NOTIFY', {}],
+        ['SLACK_DELETE', { ts: '1700.1' }],
+    ]);
+    const pipelineReport = pipelineResult.structuredContent;
+    assert.strictEqual(pipelineReport.failed_step, 'notify');
+    assert.deepStrictEqual(
+        pipelineReport.steps.map(step => step.status),
+        ['ok', 'ok', 'failed', 'skipped']
+    );
+    assert.deepStrictEqual(pipelineReport.rollback, [
+        { id: 'post', tool: 'slack__SLACK_DELETE', status: 'ok' },
+    ]);
+    assert.throws(
+        () => new UruMCPServer({ ...exposureConfig, pipelinesDir: path.join(os.tmpdir(), 'none') }),
+        /ENOENT/
+    );
+
+    // Steps read untruncated results, and a step still running as a job fails the pipeline
+    const stepsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uru-pipeline-steps-'));
+    fs.writeFileSync(
+        path.join(stepsDir, 'invite.yaml'),
+        [
+            'steps:',
+            '  - id: list',
+            '    tool: slack__SLACK_LIST_USERS',
+            '  - id: post',
+            '    tool: slack__SLACK_POST',
+            '    parameters:',
+            '      channel: $.steps.list.users[49].id',
+        ].join('\n')
+    );
+    const stepServer = stubExposure(
+        new UruMCPServer({
+            ...exposureConfig,
+            pipelinesDir: stepsDir,
+            cacheDir: stepsDir,
+            maxResultChars: 500,
+            jobPollIntervalMs: 5,
+            jobWaitMs: 20,
+        })
+    );
+    const stepPosts = [];
+    axios.post = async (url, body) => {
+        stepPosts.push([url.split('/').pop(), body.channel]);
+        const users = Array.from({ length: 50 }, (_, i) => ({ id: `U${i}`, name: `User ${i}` }));
+        return {
+            status: 200,
+            data: { successful: true, data: url.endsWith('LIST_USERS') ? { users } : { ok: true } },
+        };
+    };
+    const stepResult = await stepServer.handlePipeline('pipeline__invite', {});
+    assert.ok(!stepResult.isError, stepResult.content[0].text);
+    assert.deepStrictEqual(stepPosts, [
+        ['SLACK_LIST_USERS', undefined],
+        ['SLACK_POST', 'U49'],
+    ]);
+    axios.post = async () => ({
+        status: 202,
+        data: { job_id: 'job_step', status_url: '/jobs/job_step' },
+    });
+    axios.get = async () => ({ status: 200, data: { status: 'running' } });
+    const pendingStep = await stepServer.handlePipeline('pipeline__invite', {});
+    axios.post = originalAxiosPost;
+    axios.get = originalAxiosGet;
+    assert.strictEqual(pendingStep.isError, true);
+    assert.strictEqual(pendingStep.structuredContent.failed_step, 'list');
+    assert.match(pendingStep.structuredContent.steps[0].error, /background job job_step/);
+    fs.rmSync(stepsDir, { recursive: true, force: true });
+
+    const tenantServer = new UruMCPServer({ ...exposureConfig, maxTenants: 3 });
+    const tenantManager = tenantServer.namespaceManager;
+    tenantManager.storeNamespaces([{ name: 'gmail_work', connected_account_id: 'ca_alice' }], 'k_alice');
+    tenantManager.storeNamespaces([{ name: 'gmail_work', connected_account_id: 'ca_bob' }], 'k_bob');
+    assert.strictEqual(tenantManager.getNamespaceMetadata('gmail_work', 'k_alice').connected_account_id, 'ca_alice');
+    assert.strictEqual(tenantManager.getNamespaceMetadata('gmail_work'), null);
+    tenantServer.toolRegistry.registerNamespaceTools('gmail_work', [{ name: 'GMAIL_SEND_EMAIL' }], 'k_alice');
+    assert.ok(tenantServer.toolRegistry.isNamespaceLoaded('gmail_work', 'k_alice'));
+    assert.ok(!tenantServer.toolRegistry.isNamespaceLoaded('gmail_work', 'k_bob'));
+    const tenantHeaders = [];
+    axios.post = async (url, body, requestConfig) => {
+        tenantHeaders.push(requestConfig.headers['X-Connected-Account-Id']);
+        return { status: 200, data: { successful: true, data: { sent: true } } };
+    };
+    await tenantServer.executeToolOnProxy('GMAIL_SEND_EMAIL', {}, 'gmail_work', 'k_bob', 'gmail_work');
+    axios.post = originalAxiosPost;
+    assert.deepStrictEqual(tenantHeaders, ['ca_bob']);
+    tenantManager.storeNamespaces([], 'k_carol');
+    assert.strictEqual(tenantManager.tenants.size, 3);
+    assert.strictEqual(tenantManager.getLastKnownNamespaces('k_alice'), null);
+
+    const redactor = new LogRedactor({ patterns: ['ACCT-\\d+'] });
+    const redacted = redactor.redact(
+        '{"api_key": "uru_secret123"} token=abc Authorization: Bearer abc.def ' +
+            'mail a.b@example.com call +1 555-123-4567 ACCT-991'
+    );
+    assert.ok(!/uru_secret123|abc\.def|example\.com|555-123|ACCT-991/.test(redacted), redacted);
+    assert.ok(redacted.includes('"api_key": "[REDACTED]"'));
+    assert.ok(redacted.includes('token=[REDACTED]'));
+    assert.match(redactor.payload({ a: 1 }), /^\[\d+ chars omitted/);
+    const payloadRedactor = new LogRedactor({ logPayloads: true, maxPayloadChars: 5 });
+    assert.strictEqual(payloadRedactor.payload('abcdefgh'), 'abcde… [3 more chars]');
+    const redactingServer = new UruMCPServer({ ...exposureConfig, token: 'uru_live_key_12345' });
+    assert.ok(!redactingServer.redactor.redact('key uru_live_key_12345').includes('uru_live'));
+    assert.throws(
+        () => configManager.validateConfig({ logRedactPatterns: ['('] }),
+        /Invalid log redaction pattern/
+    );
+
+    const logLines = [];
+    const logFile = path.join(os.tmpdir(), `uru-mcp-log-${process.pid}`, 'uru.log');
+    const jsonLogger = new Logger({
+        level: 'warn',
+        format: 'json',
+        file: logFile,
+        maxFileBytes: 300,
+        maxFiles: 1,
+        stream: { write: line => logLines.push(line) },
+    });
+    jsonLogger.log('dropped', 'info', 'test');
+    for (let index = 0; index < 4; index++) {
+        jsonLogger.log(`warning ${index} ${'x'.repeat(60)}`, 'warn', 'test');
+    }
+    assert.strictEqual(logLines.length, 4);
+    assert.deepStrictEqual(
+        { ...JSON.parse(logLines[0]), time: null, message: null },
+        { time: null, level: 'warning', logger: 'test', message: null }
+    );
+    assert.ok(fs.existsSync(`${logFile}.1`) && !fs.existsSync(`${logFile}.2`));
+    assert.ok(fs.readFileSync(logFile, 'utf8').includes('warning 3'));
+    fs.rmSync(path.dirname(logFile), { recursive: true, force: true });
+    // Startup logs name the token by fingerprint, never by a prefix
+    const tokenLogFile = path.join(os.tmpdir(), `uru-mcp-token-${process.pid}`, 'uru.log');
+    new UruMCPServer({ ...baseConfig, logLevel: 'info', logFile: tokenLogFile });
+    const tokenLog = fs.readFileSync(tokenLogFile, 'utf8');
+    assert.ok(tokenLog.includes(`Token fingerprint: ${fingerprint('uru_test_token')}`));
+    assert.ok(!tokenLog.includes('uru_test_'));
+    fs.rmSync(path.dirname(tokenLogFile), { recursive: true, force: true });
+    assert.throws(() => configManager.validateConfig({ logLevel: 'loud' }), /Log level/);
+    for (const [option, value, message] of [
+        ['jobWaitMs', NaN, /Job wait/],
+        ['jobPollIntervalMs', 0, /Job poll interval/],
+        ['maxResultChars', -1, /Max result chars/],
+        ['progressIntervalMs', NaN, /Progress interval/],
+        ['maxInlineFileBytes', -5, /Max inline file bytes/],
+        ['maxTenants', 0, /Max tenants/],
+    ]) {
+        assert.throws(() => configManager.validateConfig({ [option]: value }), message);
+    }
+    assert.strictEqual(configManager.validateConfig({ maxResultChars: 0 }).maxResultChars, 0);
+
+    const loggingServer = new UruMCPServer({ ...exposureConfig, token: 'uru_live_key_12345' });
+    const loggingClient = new Client({ name: 'uru-test', version: '1.0.0' });
+    const logMessages = [];
+    loggingClient.setNotificationHandler(LoggingMessageNotificationSchema, notification => {
+        logMessages.push(notification.params);
+    });
+    const [clientSide, serverSide] = InMemoryTransport.createLinkedPair();
+    await Promise.all([
+        loggingServer.server.connect(serverSide),
+        loggingClient.connect(clientSide),
+    ]);
+    loggingServer.log('quiet debug entry', 'debug');
+    await loggingClient.setLoggingLevel('debug');
+    loggingServer.log('probe with uru_live_key_12345', 'debug');
+    await new Promise(resolve => setImmediate(resolve));
+    const probe = logMessages.find(params => params.data.startsWith('probe'));
+    assert.deepStrictEqual(probe, {
+        level: 'debug',
+        logger: 'server',
+        data: 'probe with [REDACTED]',
+    });
+    assert.ok(!logMessages.some(params => params.data === 'quiet debug entry'));
+    await loggingClient.close();
+
+    const auditFile = path.join(os.tmpdir(), `uru-mcp-audit-${process.pid}`, 'audit.jsonl');
+    const auditServer = new UruMCPServer({ ...exposureConfig, auditLog: true, auditFile });
+    auditServer.namespaceManager.storeNamespaces([
+        { name: 'gmail_work', connected_account_id: 'ca_alice' },
+    ]);
+    axios.post = async (url, body) => {
+        if (body.to === 'bad@example.com') {
+            const error = new Error('Request failed with status code 400');
+            error.response = { status: 400, data: { error: 'invalid', log_id: 'log_bad' } };
+            throw error;
+        }
+        return { status: 200, data: { successful: true, data: { sent: true }, log_id: 'log_ok' } };
+    };
+    await auditServer.executeToolOnProxy(
+        'GMAIL_SEND_EMAIL',
+        { to: 'a@example.com', subject: 'Hi' },
+        'gmail_work',
+        null,
+        'gmail_work'
+    );
+    await assert.rejects(
+        auditServer.executeToolOnProxy('GMAIL_SEND_EMAIL', { to: 'bad@example.com' }, 'gmail')
+    );
+    axios.post = originalAxiosPost;
+    const auditRecords = await auditServer.auditLog.query();
+    assert.deepStrictEqual(
+        auditRecords.map(record => [
+            record.namespace,
+            record.connected_account_id,
+            record.tool,
+            record.outcome,
+            record.log_id,
+        ]),
+        [
+            ['gmail_work', 'ca_alice', 'GMAIL_SEND_EMAIL', 'success', 'log_ok'],
+            ['gmail', null, 'GMAIL_SEND_EMAIL', 'error', 'log_bad'],
+        ]
+    );
+    assert.ok(!fs.readFileSync(auditFile, 'utf8').includes('example.com'));
+    assert.strictEqual(
+        auditRecords[0].params_hash,
+        auditServer.auditLog.hashParameters({ subject: 'Hi', to: 'a@example.com' })
+    );
+    assert.ok(Number.isInteger(auditRecords[0].duration_ms));
+    const failedAudit = await auditServer.auditLog.query({ outcome: 'error', tool: 'gmail_*' });
+    assert.strictEqual(failedAudit.length, 1);
+    const oldAudit = await auditServer.auditLog.query({ since: '2000-01-01', until: '1h' });
+    assert.strictEqual(oldAudit.length, 0);
+    assert.strictEqual(AuditLog.toCsv(failedAudit).split('\n')[1].split(',')[5], 'error');
+    const auditCliOutput = await new Promise((resolve, reject) => {
+        const child = spawn(
+            process.execPath,
+            [
+                path.join(__dirname, 'bin', 'uru-mcp.js'),
+                '--audit',
+                '--audit-file',
+                auditFile,
+                '--audit-account',
+                'ca_alice',
+                '--format',
+                'jsonl',
+            ],
+            { stdio: ['ignore', 'pipe', 'pipe'], timeout: 10000 }
+        );
+        let stdout = '';
+        child.stdout.on('data', chunk => {
+            stdout += chunk.toString();
+        });
+        child.on('error', reject);
+        child.on('exit', code =>
+            code === 0 ? resolve(stdout) : reject(new Error(`--audit exited with ${code}`))
+        );
+    });
+    assert.deepStrictEqual(
+        auditCliOutput
+            .trim()
+            .split('\n')
+            .map(line => JSON.parse(line).log_id),
+        ['log_ok']
+    );
+    fs.rmSync(path.dirname(auditFile), { recursive: true, force: true });
+
+    const replayHeaders = [];
+    axios.post = async (url, body, options) => {
+        replayHeaders.push(options.headers['Idempotency-Key']);
+        return { status: 200, data: { successful: true, data: { ok: true } } };
+    };
+    const replayServer = new UruMCPServer(exposureConfig);
+    const replayEntry = { id: 'entry_1', toolName: 'SLACK_SEND_MESSAGE', parameters: {} };
+    await replayServer.replayQueuedWrite({ ...replayEntry, appName: 'slack', namespace: 'slack' });
+    await replayServer.executeToolOnProxy('SLACK_SEND_MESSAGE', {}, 'slack', null, 'slack');
+    assert.deepStrictEqual(replayHeaders, ['entry_1', undefined]);
+    axios.post = originalAxiosPost;
+    const metricsServer = stubExposure(new UruMCPServer(exposureConfig));
+    await metricsServer.toolLoader.loadNamespace('slack');
+    axios.post = async () => ({ status: 200, data: { successful: true, data: { ok: true } } });
+    await metricsServer.executeToolOnProxy('SLACK_SEND_MESSAGE', {}, 'slack', null, 'slack');
+    await metricsServer.executeToolOnProxy('SLACK_MADE_UP', {}, 'slack', null, 'slack');
+    await metricsServer.executeToolOnProxy('MADE_UP', {}, 'nowhere', null, 'nowhere');
+    axios.post = originalAxiosPost;
+    await assert.rejects(
+        metricsServer.observeRequest('tools/call', async () => {
+            throw new Error('boom');
+        })
+    );
+    metricsServer.toolLoader.metrics.cacheHits = 3;
+    metricsServer.toolLoader.metrics.cacheMisses = 1;
+    metricsServer.meters.toolCalls.inc({ namespace: 'a"b', tool: 'T', outcome: 'success' });
+    const metricsEndpoint = new MetricsServer(metricsServer.metricsRegistry, { port: 0 });
+    await metricsEndpoint.listen();
+    try {
+        const base = `http://127.0.0.1:${metricsEndpoint.port}`;
+        const scrape = await fetch(`${base}/metrics`);
+        assert.match(scrape.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+        const exposition = await scrape.text();
+        for (const line of [
+            'uru_mcp_tool_calls_total{namespace="slack",tool="SLACK_SEND_MESSAGE",outcome="success"} 1',
+            'uru_mcp_tool_call_duration_seconds_count{namespace="slack",tool="SLACK_SEND_MESSAGE"} 1',
+            'uru_mcp_tool_calls_total{namespace="slack",tool="unknown",outcome="success"} 1',
+            'uru_mcp_tool_calls_total{namespace="unknown",tool="unknown",outcome="success"} 1',
+            'uru_mcp_proxy_requests_total{status="200"} 3',
+            'uru_mcp_requests_total{method="tools/call",status="error"} 1',
+            'uru_mcp_namespace_cache_hit_ratio 0.75',
+            'uru_mcp_circuit_state{state="closed"} 1',
+            'uru_mcp_tool_calls_total{namespace="a\\"b",tool="T",outcome="success"} 1',
+            '# TYPE uru_mcp_namespace_load_duration_seconds histogram',
+        ]) {
+            assert.ok(exposition.split('\n').includes(line), `missing metric line: ${line}`);
+        }
+        assert.ok(!exposition.includes('MADE_UP') && !exposition.includes('nowhere'));
+        assert.strictEqual((await fetch(`${base}/other`)).status, 404);
+    } finally {
+        await metricsEndpoint.close();
+    }
+
+    const traceFile = path.join(os.tmpdir(), `uru-mcp-trace-${process.pid}`, 'traces.jsonl');
+    const tracingServer = new UruMCPServer({
+        ...exposureConfig,
+        traceExporter: 'file',
+        traceFile,
+    });
+    const clientTrace = { traceId: 'a'.repeat(32), spanId: 'b'.repeat(16) };
+    let executeHeaders = null;
+    axios.post = async (url, body, options) => {
+        executeHeaders = options.headers;
+        return { status: 200, data: { successful: true, data: {}, log_id: 'log_traced' } };
+    };
+    await tracingServer.traceRequest(
+        {
+            method: 'tools/call',
+            params: {
+                name: 'slack__SLACK_POST',
+                _meta: { traceparent: `00-${clientTrace.traceId}-${clientTrace.spanId}-01` },
+            },
+        },
+        {},
+        () => tracingServer.executeToolOnProxy('SLACK_POST', {}, 'slack', null, 'slack')
+    );
+    axios.post = originalAxiosPost;
+    const spans = new Map(
+        fs
+            .readFileSync(traceFile, 'utf8')
+            .trim()
+            .split('\n')
+            .map(line => JSON.parse(line))
+            .map(span => [span.name, span])
+    );
+    const requestSpan = spans.get('tools/call slack__SLACK_POST');
+    const executeSpan = spans.get('executeToolOnProxy');
+    assert.strictEqual(spans.get('fetchNamespacesFromProxy').parentSpanId, executeSpan.spanId);
+    assert.strictEqual(requestSpan.kind, 'server');
+    assert.strictEqual(requestSpan.traceId, clientTrace.traceId);
+    assert.strictEqual(requestSpan.parentSpanId, clientTrace.spanId);
+    assert.strictEqual(executeSpan.parentSpanId, requestSpan.spanId);
+    assert.strictEqual(executeSpan.attributes['uru.log_id'], 'log_traced');
+    assert.strictEqual(executeSpan.attributes['uru.outcome'], 'success');
+    assert.strictEqual(
+        executeHeaders.traceparent,
+        `00-${clientTrace.traceId}-${executeSpan.spanId}-01`
+    );
+    assert.strictEqual(tracingServer.namespaceManager.getAuthHeaders().traceparent, undefined);
+    assert.strictEqual(defaultServer.tracer.enabled, false);
+    assert.strictEqual(Tracer.parseTraceparent(`00-${'0'.repeat(32)}-${'b'.repeat(16)}-01`), null);
+    fs.rmSync(path.dirname(traceFile), { recursive: true, force: true });
+
+    const otlpTracer = new Tracer({ exporter: 'otlp', endpoint: 'http://collector:4318/' });
+    let otlpExport = null;
+    axios.post = async (url, body) => {
+        otlpExport = { url, body };
+        return { status: 200, data: {} };
+    };
+    await assert.rejects(
+        otlpTracer.startActiveSpan('fetchToolsForApp', { kind: 'client' }, async () => {
+            throw new Error('proxy down');
+        })
+    );
+    await otlpTracer.shutdown();
+    axios.post = originalAxiosPost;
+    assert.strictEqual(otlpExport.url, 'http://collector:4318/v1/traces');
+    const [otlpResource] = otlpExport.body.resourceSpans;
+    assert.deepStrictEqual(otlpResource.resource.attributes, [
+        { key: 'service.name', value: { stringValue: 'uru-mcp' } },
+    ]);
+    const [otlpSpan] = otlpResource.scopeSpans[0].spans;
+    assert.strictEqual(otlpSpan.kind, 3);
+    assert.deepStrictEqual(otlpSpan.status, { code: 2, message: 'proxy down' });
+    assert.match(otlpSpan.startTimeUnixNano, /^\d{19}$/);
+    assert.throws(
+        () => configManager.validateConfig({ ...baseConfig, traceExporter: 'zipkin' }),
+        /Trace exporter must be one of/
+    );
+    // An OTEL_TRACES_EXPORTER this server cannot use only turns tracing off
+    const originalWarn = console.warn;
+    const traceWarnings = [];
+    console.warn = message => traceWarnings.push(message);
+    try {
+        process.env.OTEL_TRACES_EXPORTER = 'jaeger,zipkin';
+        assert.strictEqual((await configManager.loadConfig({})).traceExporter, 'none');
+        assert.match(traceWarnings.join('\n'), /OTEL_TRACES_EXPORTER 'jaeger,zipkin'/);
+        process.env.OTEL_TRACES_EXPORTER = 'OTLP';
+        assert.strictEqual((await configManager.loadConfig({})).traceExporter, 'otlp');
+        process.env.URU_TRACE_EXPORTER = 'zipkin';
+        await assert.rejects(configManager.loadConfig({}), /Trace exporter must be one of/);
+    } finally {
+        console.warn = originalWarn;
+        delete process.env.OTEL_TRACES_EXPORTER;
+        delete process.env.URU_TRACE_EXPORTER;
+    }
+
     const originalSetInterval = global.setInterval;
     const originalClearInterval = global.clearInterval;
     let intervalCalls = 0;
@@ -162,6 +1617,126 @@ const UruMCPServer = require(${JSON.stringify(path.join(__dirname, 'lib', 'mcp-s
         });
     });
 
+    const httpServer = new UruMCPServer({
+        ...baseConfig,
+        token: 'gateway_key',
+        testMode: true,
+        transport: 'http',
+        port: 0,
+        httpMaxBodyBytes: 1024,
+    });
+    httpServer.toolLoader.getToolsForListing = async (cursor, limit, apiKey) => ({
+        tools: [{ name: `${apiKey}__list_tools`, inputSchema: { type: 'object', properties: {} } }],
+    });
+    await httpServer.start();
+    try {
+        const endpoint = new URL(`http://127.0.0.1:${httpServer._httpGateway.port}/mcp`);
+        const httpClient = new Client({ name: 'uru-test', version: '1.0.0' });
+        const httpTransport = new StreamableHTTPClientTransport(endpoint, {
+            requestInit: { headers: { Authorization: 'Bearer session_key' } },
+        });
+        await httpClient.connect(httpTransport);
+        const httpTools = await httpClient.listTools();
+        assert.strictEqual(httpTools.tools[0].name, 'session_key__list_tools');
+
+        const foreignResponse = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Accept: 'application/json, text/event-stream',
+                Authorization: 'Bearer other_key',
+                'Mcp-Session-Id': httpTransport.sessionId,
+            },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+        });
+        assert.strictEqual(foreignResponse.status, 403);
+
+        // A bearer token is required unless the gateway opts in to its own key
+        const initializeBody = JSON.stringify({
+            jsonrpc: '2.0',
+            id: 1,
+            method: 'initialize',
+            params: {
+                protocolVersion: '2025-06-18',
+                capabilities: {},
+                clientInfo: { name: 'anonymous', version: '1.0.0' },
+            },
+        });
+        const postHeaders = {
+            'Content-Type': 'application/json',
+            Accept: 'application/json, text/event-stream',
+        };
+        const anonymousResponse = await fetch(endpoint, {
+            method: 'POST',
+            headers: postHeaders,
+            body: initializeBody,
+        });
+        assert.strictEqual(anonymousResponse.status, 401);
+        assert.strictEqual(
+            new StreamableHttpGateway(httpServer, {
+                token: 'gateway_key',
+                allowDefaultToken: true,
+            }).getRequestToken({ headers: {} }),
+            'gateway_key'
+        );
+
+        // Oversized bodies get 413, with or without a Content-Length header
+        const oversized = JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'x'.repeat(2048) });
+        const authHeaders = { ...postHeaders, Authorization: 'Bearer session_key' };
+        const largeResponse = await fetch(endpoint, {
+            method: 'POST',
+            headers: authHeaders,
+            body: oversized,
+        });
+        assert.strictEqual(largeResponse.status, 413);
+        const streamedResponse = await fetch(endpoint, {
+            method: 'POST',
+            headers: authHeaders,
+            body: Readable.toWeb(Readable.from([oversized.slice(0, 900), oversized.slice(900)])),
+            duplex: 'half',
+        });
+        assert.strictEqual(streamedResponse.status, 413);
+        assert.strictEqual((await streamedResponse.json()).error.data.max_bytes, 1024);
+
+        // Log entries reach only the session whose request logged them
+        const sessionLogs = { session_key: [], second_key: [] };
+        httpServer.toolLoader.getToolsForListing = async (cursor, limit, apiKey) => {
+            httpServer.log(`listing tools for ${apiKey}`);
+            return { tools: [] };
+        };
+        const secondClient = new Client({ name: 'uru-test-2', version: '1.0.0' });
+        await secondClient.connect(
+            new StreamableHTTPClientTransport(endpoint, {
+                requestInit: { headers: { Authorization: 'Bearer second_key' } },
+            })
+        );
+        for (const [client, key] of [
+            [httpClient, 'session_key'],
+            [secondClient, 'second_key'],
+        ]) {
+            client.setNotificationHandler(LoggingMessageNotificationSchema, notification => {
+                sessionLogs[key].push(notification.params.data);
+            });
+            await client.setLoggingLevel('debug');
+        }
+        httpServer.log('global entry from a background task');
+        await httpClient.listTools();
+        await secondClient.listTools();
+        await new Promise(resolve => setTimeout(resolve, 100));
+        for (const [key, other] of [
+            ['session_key', 'second_key'],
+            ['second_key', 'session_key'],
+        ]) {
+            assert.ok(sessionLogs[key].includes(`listing tools for ${key}`), key);
+            assert.ok(!sessionLogs[key].some(data => data.includes(other)), key);
+            assert.ok(!sessionLogs[key].some(data => data.startsWith('global entry')), key);
+        }
+        await secondClient.close();
+        await httpClient.close();
+    } finally {
+        await httpServer.shutdown();
+    }
+
     console.log('PASS regression checks');
 }
 